@@ -1509,6 +1509,11 @@ interface IRigQuote {
     function quote() external view returns (address);
 }
 
+// Wrapped native token (WETH on Base)
+interface IWETH {
+    function deposit() external payable;
+}
+
 contract FranchiserController is AccessControl, ReentrancyGuard {
     using SafeERC20 for IERC20;
     bytes32 public constant OWNER_ROLE = keccak256("OWNER_ROLE");
@@ -1549,6 +1554,7 @@ contract FranchiserController is AccessControl, ReentrancyGuard {
     event ETHWithdrawn(address indexed to, uint256 amount);
     event TokensWithdrawn(address indexed token, address indexed to, uint256 amount);
     event EmergencyStop(address indexed by);
+    event ETHWrapped(address indexed quoteToken, uint256 amount);
 
     constructor(
         address _targetRig,
@@ -1777,6 +1783,31 @@ contract FranchiserController is AccessControl, ReentrancyGuard {
         emit TokensWithdrawn(token, to, withdrawAmount);
     }
 
+    /**
+     * @notice Wrap ETH held by the controller into the rig's quote token (MANAGER only)
+     * @dev Only succeeds when the quote token is WETH; wrapped tokens stay in the controller
+     * @param amount Amount to wrap (0 = all)
+     */
+    function wrapETH(uint256 amount) 
+        external 
+        onlyRole(MANAGER_ROLE) 
+        nonReentrant 
+    {
+        uint256 wrapAmount = amount == 0 ? address(this).balance : amount;
+        require(wrapAmount > 0, "No ETH to wrap");
+        require(address(this).balance >= wrapAmount, "Insufficient balance");
+
+        address quoteToken = IRigQuote(targetRig).quote();
+        uint256 balanceBefore = IERC20(quoteToken).balanceOf(address(this));
+        IWETH(quoteToken).deposit{value: wrapAmount}();
+        require(
+            IERC20(quoteToken).balanceOf(address(this)) == balanceBefore + wrapAmount,
+            "Quote token is not WETH"
+        );
+
+        emit ETHWrapped(quoteToken, wrapAmount);
+    }
+
     /**
      * @notice Get current mining status
      * @return isEnabled Whether auto mining is enabled
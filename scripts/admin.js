@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * Controller admin CLI
+ * Owner operations with human units: every action is shown (config as a
+ * before/after diff), simulated from the owner account, and only sent after
+ * confirmation.
+ *
+ * Usage: npm run admin -- <command> [options]
+ */
+
+const readline = require("readline");
+const { ethers } = require("ethers");
+const dotenv = require("dotenv");
+const { CONTROLLER_ABI, CONTROLLER_OWNER_ABI, RIG_ABI, ERC20_ABI } = require("./lib/abis");
+const { createProvider } = require("./lib/rpc");
+const { loadConfig, verifyChain } = require("./lib/config");
+const { parseAmount, applyConfigOptions, configFields, configArgs, printConfigDiff } = require("./lib/controller-config");
+
+dotenv.config();
+
+const USAGE = `Usage: npm run admin -- <command> [options]
+
+Commands:
+  show                               Print config, roles and balances
+  update-config [options]            Change config; unspecified fields keep their current value
+      --max-price <amount>             Max mining price in quote token units (e.g. 0.001)
+      --min-profit <pct|bps>           Min profit margin: "10%", "10" (percent) or "1000bps"
+      --max-mint <tokens>              Max mint amount (e.g. 100)
+      --min-mint <tokens>              Min mint amount (e.g. 1)
+      --enable | --disable             Auto mining on/off
+      --cooldown <duration>            Cooldown between mines: 300, 5m, 1h (max 1d)
+      --max-gas <gwei>                 Max gas price in gwei
+      --time-period <duration>         Time-based mint period: 3600, 1h
+  emergency-stop                     Disable auto mining immediately
+  withdraw-eth --to <addr> [--amount <eth>|all]
+  withdraw-tokens --to <addr> [--token <addr>|quote] [--amount <tokens>|all]
+  update-target-rig --rig <addr>
+  grant-manager --account <addr>     Grant MANAGER_ROLE
+  revoke-manager --account <addr>    Revoke MANAGER_ROLE
+
+Global options:
+  --controller <addr>                Controller (default: CONTROLLER_ADDRESS)
+  --yes                              Skip the confirmation prompt
+
+The owner key is read from PRIVATE_KEY.`;
+
+const COMMANDS = new Set([
+  "show",
+  "update-config",
+  "emergency-stop",
+  "withdraw-eth",
+  "withdraw-tokens",
+  "update-target-rig",
+  "grant-manager",
+  "revoke-manager",
+]);
+
+/**
+ * Parse `<command> --key value --flag --key=value`
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) {
+      options[key] = inline;
+    } else if (rest[i + 1] !== undefined && !rest[i + 1].startsWith("--")) {
+      options[key] = rest[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+  return { command, options };
+}
+
+function requireAddress(options, name) {
+  const value = options[name];
+  if (!value || value === true || !ethers.isAddress(value)) {
+    throw new Error(`--${name} <address> is required`);
+  }
+  return ethers.getAddress(value);
+}
+
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((resolve) => rl.question(question, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+/**
+ * Build the call for a command: method, args and the lines describing it
+ */
+async function planCommand(command, options, ctx) {
+  const { controller, config, quote, provider } = ctx;
+
+  switch (command) {
+    case "update-config": {
+      const next = applyConfigOptions(config, options, quote.decimals);
+
+      const changed = configFields(quote).some(([key]) => next[key] !== config[key]);
+      if (!changed) {
+        throw new Error("Nothing to change (pass at least one option that differs from the current config)");
+      }
+      return {
+        method: "updateConfig",
+        args: configArgs(next),
+        describe: () => {
+          console.log("⚙️  Configuration (before → after):");
+          printConfigDiff(config, next, quote);
+        },
+        after: next,
+      };
+    }
+
+    case "emergency-stop":
+      return {
+        method: "emergencyStop",
+        args: [],
+        describe: () => {
+          console.log("🚨 Emergency stop: auto mining will be disabled");
+          printConfigDiff(config, { ...config, autoMiningEnabled: false }, quote);
+        },
+        after: { ...config, autoMiningEnabled: false },
+      };
+
+    case "withdraw-eth": {
+      const to = requireAddress(options, "to");
+      const balance = await provider.getBalance(controller.target);
+      const amount = !options.amount || options.amount === "all" ? 0n : parseAmount(options.amount, 18, "amount");
+      return {
+        method: "withdrawETH",
+        args: [to, amount],
+        describe: () => {
+          console.log(`💸 Withdraw ${amount === 0n ? `all (${ethers.formatEther(balance)})` : ethers.formatEther(amount)} ETH to ${to}`);
+          console.log(`   Controller ETH balance: ${ethers.formatEther(balance)} ETH`);
+        },
+      };
+    }
+
+    case "withdraw-tokens": {
+      const to = requireAddress(options, "to");
+      const tokenAddress = !options.token || options.token === "quote" ? quote.address : requireAddress(options, "token");
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+      const [symbol, decimals, balance] = await Promise.all([
+        token.symbol().catch(() => "tokens"),
+        token.decimals().catch(() => 18n),
+        token.balanceOf(controller.target),
+      ]);
+      const amount = !options.amount || options.amount === "all" ? 0n : parseAmount(options.amount, decimals, "amount");
+      return {
+        method: "withdrawTokens",
+        args: [tokenAddress, to, amount],
+        describe: () => {
+          console.log(`💸 Withdraw ${amount === 0n ? `all (${ethers.formatUnits(balance, decimals)})` : ethers.formatUnits(amount, decimals)} ${symbol} to ${to}`);
+          console.log(`   Token: ${tokenAddress}`);
+          console.log(`   Controller balance: ${ethers.formatUnits(balance, decimals)} ${symbol}`);
+        },
+      };
+    }
+
+    case "update-target-rig": {
+      const rig = requireAddress(options, "rig");
+      if ((await provider.getCode(rig)) === "0x") {
+        throw new Error(`No contract found at rig address ${rig}`);
+      }
+      const rigQuote = await new ethers.Contract(rig, RIG_ABI, provider).quote().catch(() => null);
+      return {
+        method: "updateTargetRig",
+        args: [rig],
+        describe: () => {
+          console.log(`🎯 Target rig: ${ctx.targetRig} → ${rig}`);
+          if (rigQuote && quote.address && rigQuote.toLowerCase() !== quote.address.toLowerCase()) {
+            console.log(`⚠️  New rig uses a different quote token (${rigQuote}); fund the controller accordingly`);
+          }
+        },
+      };
+    }
+
+    case "grant-manager":
+    case "revoke-manager": {
+      const account = requireAddress(options, "account");
+      const role = await controller.MANAGER_ROLE();
+      const has = await controller.hasRole(role, account);
+      const grant = command === "grant-manager";
+      if (has === grant) {
+        throw new Error(`${account} ${grant ? "already has" : "does not have"} MANAGER_ROLE`);
+      }
+      return {
+        method: grant ? "grantRole" : "revokeRole",
+        args: [role, account],
+        describe: () => console.log(`🔑 ${grant ? "Grant" : "Revoke"} MANAGER_ROLE ${grant ? "to" : "from"} ${account}`),
+      };
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}"`);
+  }
+}
+
+async function show(ctx) {
+  const { controller, config, quote, provider } = ctx;
+  const [ownerRole, managerRole, ethBalance, quoteBalance] = await Promise.all([
+    controller.OWNER_ROLE(),
+    controller.MANAGER_ROLE(),
+    provider.getBalance(controller.target),
+    quote.address ? new ethers.Contract(quote.address, ERC20_ABI, provider).balanceOf(controller.target) : 0n,
+  ]);
+  console.log(`🎯 Target Rig: ${ctx.targetRig}`);
+  console.log(`💰 Balances: ${ethers.formatEther(ethBalance)} ETH | ${ethers.formatUnits(quoteBalance, quote.decimals)} ${quote.symbol}`);
+  console.log("⚙️  Configuration:");
+  printConfigDiff(config, config, quote);
+  if (ctx.owner) {
+    const [isOwner, isManager] = await Promise.all([
+      controller.hasRole(ownerRole, ctx.owner),
+      controller.hasRole(managerRole, ctx.owner),
+    ]);
+    console.log(`🔑 ${ctx.owner}: OWNER_ROLE ${isOwner ? "✅" : "❌"} | MANAGER_ROLE ${isManager ? "✅" : "❌"}`);
+  }
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  if (!command || command === "help" || options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.has(command)) {
+    throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+
+  // Validated settings (CONFIG_FILE + environment); owner transactions only go to the configured chain
+  const settings = loadConfig({ required: options.controller ? [] : ["CONTROLLER_ADDRESS"] });
+  const controllerAddress = options.controller ? requireAddress(options, "controller") : settings.values.CONTROLLER_ADDRESS;
+
+  const provider = createProvider(settings.env, { settings: settings.rpc });
+  await verifyChain(provider, settings);
+  const wallet = settings.values.PRIVATE_KEY ? new ethers.Wallet(settings.values.PRIVATE_KEY, provider) : null;
+  const controller = new ethers.Contract(controllerAddress, [...CONTROLLER_ABI, ...CONTROLLER_OWNER_ABI], wallet || provider);
+
+  console.log("🛠️  Auto-Mine Franchiser Admin\n");
+  console.log(`📍 Controller: ${controllerAddress}`);
+  if (wallet) {
+    console.log(`👤 Owner: ${wallet.address}`);
+  }
+
+  const [configResult, targetRig] = await Promise.all([controller.config(), controller.targetRig()]);
+  const config = configResult.toObject();
+  const quote = { address: null, symbol: "???", decimals: 18 };
+  try {
+    quote.address = await new ethers.Contract(targetRig, RIG_ABI, provider).quote();
+    const token = new ethers.Contract(quote.address, ERC20_ABI, provider);
+    quote.symbol = await token.symbol();
+    quote.decimals = Number(await token.decimals());
+  } catch (error) {
+    console.warn("⚠️  Could not read the rig's quote token; amounts assume 18 decimals");
+  }
+  console.log("");
+
+  const ctx = { controller, config, quote, provider, targetRig, owner: wallet ? wallet.address : null };
+  if (command === "show") {
+    await show(ctx);
+    return;
+  }
+  if (!wallet) {
+    throw new Error("PRIVATE_KEY (owner key) not set in .env");
+  }
+
+  const plan = await planCommand(command, options, ctx);
+  plan.describe();
+  console.log("");
+
+  // Simulate from the owner account before asking for anything
+  let gasEstimate;
+  try {
+    await controller[plan.method].staticCall(...plan.args);
+    gasEstimate = await controller[plan.method].estimateGas(...plan.args);
+  } catch (error) {
+    const reason = error.reason || error.shortMessage || error.message;
+    throw new Error(`Simulation failed, nothing sent: ${reason}`);
+  }
+  console.log(`🧪 Simulation OK (gas estimate ${gasEstimate})`);
+
+  if (!options.yes && !(await confirm(`Send ${plan.method}? [y/N] `))) {
+    console.log(process.stdin.isTTY ? "Aborted." : "Aborted: no TTY to confirm on (pass --yes to skip the prompt).");
+    process.exitCode = 1;
+    return;
+  }
+
+  const tx = await controller[plan.method](...plan.args);
+  console.log(`📝 Transaction submitted: ${tx.hash}`);
+  const receipt = await tx.wait();
+  if (receipt.status !== 1) {
+    throw new Error(`Transaction reverted: ${receipt.hash}`);
+  }
+  console.log(`✅ Confirmed in block ${receipt.blockNumber} (gas used ${receipt.gasUsed})`);
+
+  if (plan.after) {
+    const actual = (await controller.config({ blockTag: receipt.blockNumber })).toObject();
+    console.log("\n⚙️  Configuration now:");
+    printConfigDiff(config, actual, quote);
+  }
+}
+
+main().catch((error) => {
+  console.error(`\n❌ ${error.message}`);
+  process.exit(1);
+});
@@ -1,168 +1,227 @@
 #!/usr/bin/env node
 /**
  * Check controller status and display current configuration
+ *
+ * Usage:
+ *   node scripts/check-status.js [address...] [--json] [--watch [seconds]]
+ *
+ * Exit codes: 0 healthy, 1 error, 2 underfunded, 3 disabled, 4 unreachable
+ * (the most severe one when several controllers are checked)
  */
 
+const fs = require("fs");
 const { ethers } = require("ethers");
 const dotenv = require("dotenv");
+const { loadControllers, findController, marketFromEnv } = require("./lib/controllers");
+const { evaluateMarket, describeMarket } = require("./lib/profitability");
+const { createProvider } = require("./lib/rpc");
+const { forecastRunway, describeRunway, recentMinesFromChain } = require("./lib/funding");
+const { loadConfig, verifyChain, isWeth } = require("./lib/config");
+const { queueEpoch, rankCompetitors, describeCompetition } = require("./lib/competition");
+const { createMulticall } = require("./lib/multicall");
+const { readLedger, DEFAULT_LEDGER_PATH } = require("./lib/ledger");
+const { spendPolicyFromEnv, hasSpendPolicy, evaluateSpendPolicy } = require("./lib/spend-policy");
+const { createLogger, logSettingsFromEnv } = require("./lib/logger");
+const { CONTROLLER_ABI, RIG_ABI, ERC20_ABI } = require("./lib/abis");
 
 dotenv.config();
 
-const RPC_URL = process.env.BASE_RPC_URL || "https://mainnet.base.org";
-const CONTROLLER_ADDRESS = process.env.CONTROLLER_ADDRESS;
+const DEFAULT_RUNWAY_LOOKBACK_BLOCKS = 43200; // ~24h on Base
+const DEFAULT_WATCH_SECONDS = 30;
+const SCHEMA_VERSION = 1;
 
-const CONTROLLER_ABI = [
-  "function getMiningStatus() view returns (bool isEnabled, bool canMintNow, uint256 currentPrice, uint256 nextMintTime, uint256 nextTimeBasedMintTime, uint256 quoteBalance, uint256 currentEpochId, bool priceConditionMet, bool timeConditionMet)",
-  "function config() view returns (uint256 maxMiningPrice, uint256 minProfitMargin, uint256 maxMintAmount, uint256 minMintAmount, bool autoMiningEnabled, uint256 cooldownPeriod, uint256 maxGasPrice, uint256 timeBasedMintPeriod)",
-  "function checkProfitability() view returns (bool isProfitable, uint256 currentPrice, uint256 recommendedAmount, uint256 reason)",
-  "function lastMintTimestamp() view returns (uint256)",
-  "function targetRig() view returns (address)",
-];
+const EXIT_CODES = { healthy: 0, error: 1, underfunded: 2, disabled: 3, unreachable: 4 };
+const SEVERITY = ["healthy", "underfunded", "disabled", "error", "unreachable"];
+const HEALTH_LABELS = {
+  healthy: "✅ HEALTHY",
+  underfunded: "💸 UNDERFUNDED",
+  disabled: "⏸️  DISABLED",
+  error: "❌ ERROR",
+  unreachable: "🔌 UNREACHABLE",
+};
 
-const RIG_ABI = [
-  "function quote() view returns (address)"
-];
+// Diagnostics go to stderr so the report (and --json) keeps stdout; LOG_FILE
+// belongs to the monitor
+const diagnostics = (env) => createLogger({ ...logSettingsFromEnv(env), file: null }, { stderr: true });
+let logger = diagnostics(process.env);
+// Configured controllers (CONTROLLERS_FILE or the environment), loaded once in main()
+let controllers = [];
 
-const ERC20_ABI = [
-  "function symbol() view returns (string)",
-  "function decimals() view returns (uint8)"
-];
+const USAGE = `Usage: npm run status -- [address...] [--json] [--watch [seconds]]
 
-async function main() {
-  if (!CONTROLLER_ADDRESS) {
-    console.error("❌ CONTROLLER_ADDRESS not set in .env");
-    process.exit(1);
+  address...         Controllers to check (default: CONTROLLER_ADDRESS);
+                     several addresses print a comparison table
+  --json             Machine-readable output (one line per refresh with --watch)
+  --watch [seconds]  Refresh every N seconds (default ${DEFAULT_WATCH_SECONDS}) until Ctrl-C
+
+Exit codes: 0 healthy, 1 error, 2 underfunded, 3 disabled, 4 unreachable`;
+
+function parseArgs(argv) {
+  const options = { addresses: [], json: false, watch: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg === "--watch" || arg.startsWith("--watch=")) {
+      const inline = arg.includes("=") ? arg.split("=")[1] : undefined;
+      const value = inline ?? (/^\d+$/.test(argv[i + 1] || "") ? argv[++i] : undefined);
+      options.watch = value === undefined ? DEFAULT_WATCH_SECONDS : parseInt(value);
+      if (!(options.watch > 0)) {
+        throw new Error(`--watch: expected a number of seconds (got "${value}")`);
+      }
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option "${arg}"\n\n${USAGE}`);
+    } else if (ethers.isAddress(arg)) {
+      options.addresses.push(ethers.getAddress(arg));
+    } else {
+      throw new Error(`"${arg}" is not an address\n\n${USAGE}`);
+    }
   }
+  return options;
+}
+
+const isUnreachable = (error) =>
+  ["RPC_UNAVAILABLE", "QUORUM_NOT_MET", "NETWORK_ERROR", "TIMEOUT", "SERVER_ERROR"].includes(error.code);
 
-  const provider = new ethers.JsonRpcProvider(RPC_URL);
-  const controller = new ethers.Contract(CONTROLLER_ADDRESS, CONTROLLER_ABI, provider);
+/**
+ * Read everything the report needs from one controller. Amounts stay bigint
+ * here (serialized as integer strings in the smallest unit for --json); on
+ * failure `health` is "unreachable" or "error" and `error` says why.
+ * @param {ResilientRpcProvider} provider
+ * @param {object} multicall createMulticall() instance
+ * @param {string} address Controller address
+ * @param {object} config loadConfig() result
+ */
+async function collectStatus(provider, multicall, address, config) {
+  const status = {
+    schemaVersion: SCHEMA_VERSION,
+    controller: address,
+    checkedAt: new Date().toISOString(),
+    health: "healthy",
+    exitCode: EXIT_CODES.healthy,
+    error: null,
+    warnings: [],
+    network: null,
+    blockNumber: null,
+    targetRig: null,
+    quoteToken: { address: null, symbol: "???", decimals: 18 },
+    config: null,
+    mining: null,
+    profitability: null,
+    market: null,
+    balances: null,
+    runway: null,
+    lastMine: null,
+    competition: null,
+    policy: null,
+  };
+  const fail = (health, error) => {
+    status.health = health;
+    status.exitCode = EXIT_CODES[health];
+    status.error = error.message;
+    return status;
+  };
+
+  const controller = new ethers.Contract(address, CONTROLLER_ABI, provider);
 
-  console.log("⚙️  Auto-Mine Franchiser Status\n");
-  console.log(`📍 Controller: ${CONTROLLER_ADDRESS}`);
-  console.log(`🌐 RPC: ${RPC_URL}`);
-  
-  // Test RPC connection
   try {
-    const network = await provider.getNetwork();
-    console.log(`🔗 Network: ${network.name} (Chain ID: ${network.chainId})`);
+    const [network, code] = await Promise.all([
+      provider.getNetwork(),
+      provider.getCode(address),
+    ]);
+    status.network = { name: network.name, chainId: Number(network.chainId) };
+    if (code === "0x") {
+      return fail("unreachable", new Error(`No contract found at address ${address}. Is the contract deployed?`));
+    }
   } catch (error) {
-    console.warn(`⚠️  Warning: Could not get network info: ${error.message}`);
+    return fail("unreachable", error);
   }
-  console.log("");
 
   try {
-    // Verify contract exists
-    const code = await provider.getCode(CONTROLLER_ADDRESS);
-    if (code === "0x") {
-      throw new Error(`No contract found at address ${CONTROLLER_ADDRESS}. Is the contract deployed?`);
-    }
+    // The controller's state in one call; the rig and token reads that depend
+    // on it are pinned to the same block, so the report is one snapshot
+    const reads = multicall.batch();
+    const readTargetRig = reads.add(controller, "targetRig");
+    const readConfig = reads.add(controller, "config");
+    const readMining = reads.add(controller, "getMiningStatus");
+    const readProfitability = reads.add(controller, "checkProfitability");
+    const readLastMint = reads.add(controller, "lastMintTimestamp");
+    const readEthBalance = reads.ethBalance(address);
+    const block = await reads.run();
+    status.blockNumber = block.number;
 
     // Get rig address
     let targetRig;
     try {
-      targetRig = await controller.targetRig();
+      targetRig = readTargetRig();
       if (!targetRig || targetRig === ethers.ZeroAddress) {
         throw new Error("Target rig address is not set or is zero address");
       }
     } catch (error) {
-      throw new Error(`Failed to get target rig address: ${error.message}`);
+      throw Object.assign(new Error(`Failed to get target rig address: ${error.message}`), { code: error.code });
     }
-    console.log(`🎯 Target Rig: ${targetRig}`);
-    
-    // Verify rig contract exists
-    const rigCode = await provider.getCode(targetRig);
+    status.targetRig = targetRig;
+
+    // Rig code, tokens and epoch holder
+    const rig = new ethers.Contract(targetRig, RIG_ABI, provider);
+    const rigReads = multicall.batch();
+    const readQuote = rigReads.add(rig, "quote");
+    const readUnit = rigReads.add(rig, "unit");
+    const readEpochState = queueEpoch(rigReads, provider, targetRig, config.values.EPOCH_PERIOD || 3600);
+    const [rigCode] = await Promise.all([provider.getCode(targetRig, block.number), rigReads.run(block.number)]);
     if (rigCode === "0x") {
-      console.warn(`⚠️  Warning: No contract found at rig address ${targetRig}. Some operations may fail.`);
+      status.warnings.push(`No contract found at rig address ${targetRig}. Some operations may fail.`);
     }
-    
+
     // Get quote token info
-    let quoteSymbol = "???";
-    let quoteDecimals = 18;
     try {
-      const rig = new ethers.Contract(targetRig, RIG_ABI, provider);
-      const quoteTokenAddress = await rig.quote();
-      const quoteToken = new ethers.Contract(quoteTokenAddress, ERC20_ABI, provider);
-      quoteSymbol = await quoteToken.symbol();
-      quoteDecimals = await quoteToken.decimals();
-      console.log(`💰 Quote Token: ${quoteSymbol} (${quoteTokenAddress})`);
+      const quoteAddress = readQuote();
+      const quoteToken = new ethers.Contract(quoteAddress, ERC20_ABI, provider);
+      const tokenReads = multicall.batch();
+      const readSymbol = tokenReads.add(quoteToken, "symbol");
+      const readDecimals = tokenReads.add(quoteToken, "decimals");
+      await tokenReads.run(block.number);
+      status.quoteToken = { address: quoteAddress, symbol: readSymbol(), decimals: Number(readDecimals()) };
     } catch (error) {
-      console.log(`💰 Quote Token: unable to fetch`);
+      status.warnings.push("Unable to fetch quote token");
     }
-    console.log("");
+    const quote = status.quoteToken;
 
     // Get configuration
-    const config = await controller.config();
-    console.log("⚙️  Configuration:");
-    console.log(`  Max Mining Price: ${ethers.formatUnits(config.maxMiningPrice, quoteDecimals)} ${quoteSymbol} per mine`);
-    console.log(`  Min Profit: ${Number(config.minProfitMargin) / 100}%`);
-    console.log(`  Mint Range: ${ethers.formatEther(config.minMintAmount)} - ${ethers.formatEther(config.maxMintAmount)} tokens`);
-    console.log(`  Auto Mining: ${config.autoMiningEnabled ? "✅ ENABLED" : "❌ DISABLED"}`);
-    console.log(`  Cooldown: ${Number(config.cooldownPeriod)}s`);
-    console.log(`  Max Gas: ${Number(config.maxGasPrice)} gwei`);
-    console.log(`  Time-Based Mint Period: ${Number(config.timeBasedMintPeriod)}s\n`);
+    const controllerConfig = readConfig();
+    status.config = controllerConfig.toObject();
 
     // Get mining status
-    let status;
+    let mining;
     try {
-      status = await controller.getMiningStatus();
+      mining = readMining();
     } catch (error) {
-      if (error.code === "CALL_EXCEPTION" || error.message.includes("missing revert data")) {
-        // Try using direct provider call as fallback
-        try {
-          console.log("⚠️  Standard call failed, trying direct provider call...");
-          const iface = new ethers.Interface(CONTROLLER_ABI);
-          const data = iface.encodeFunctionData("getMiningStatus", []);
-          const result = await provider.call({
-            to: CONTROLLER_ADDRESS,
-            data: data
-          });
-          status = iface.decodeFunctionResult("getMiningStatus", result);
-          console.log("✅ Direct call succeeded\n");
-        } catch (error2) {
-          throw new Error(`Failed to get mining status. This usually means:\n` +
-            `  1. The rig contract at ${targetRig} doesn't exist or is invalid\n` +
-            `  2. The rig contract doesn't implement the required interface\n` +
-            `  3. There's a network connectivity issue with RPC ${RPC_URL}\n` +
-            `  4. The RPC endpoint may be rate-limited or having issues\n\n` +
-            `Try using a different RPC endpoint (set BASE_RPC_URL in .env) or check network connectivity.\n` +
-            `Original error: ${error.message}\n` +
-            `Fallback error: ${error2.message}`);
-        }
-      } else {
-        throw error;
-      }
+      throw Object.assign(new Error(`Failed to get mining status. This usually means:\n` +
+        `  1. The rig contract at ${targetRig} doesn't exist or is invalid\n` +
+        `  2. The rig contract doesn't implement the required interface\n` +
+        `  3. Every configured RPC endpoint is unreachable or rate-limited (add more with BASE_RPC_URLS)\n\n` +
+        `Original error: ${error.message}`), { code: error.code });
     }
-    console.log("📊 Mining Status:");
-    console.log(`  Current Price: ${ethers.formatUnits(status.currentPrice, quoteDecimals)} ${quoteSymbol}`);
-    console.log(`  Epoch: ${Number(status.currentEpochId)}`);
-    console.log(`  Quote Balance: ${ethers.formatUnits(status.quoteBalance, quoteDecimals)} ${quoteSymbol}`);
-    console.log(`  Can Mint Now: ${status.canMintNow ? "✅ YES" : "❌ NO"}`);
-    console.log(`  Price Condition: ${status.priceConditionMet ? "✅ MET" : "❌ NOT MET"}`);
-    console.log(`  Time Condition: ${status.timeConditionMet ? "✅ MET" : "❌ NOT MET"}`);
-    
-    if (!status.canMintNow && status.nextMintTime > 0n) {
-      const nextMint = new Date(Number(status.nextMintTime) * 1000);
-      const now = new Date();
-      const waitTime = Math.max(0, Math.floor((nextMint - now) / 1000));
-      console.log(`  Next Mine (Cooldown): ${nextMint.toLocaleString()} (in ${waitTime}s)`);
-    }
-    
-    if (!status.timeConditionMet && status.nextTimeBasedMintTime > 0n) {
-      const nextTimeMint = new Date(Number(status.nextTimeBasedMintTime) * 1000);
-      const now = new Date();
-      const waitTime = Math.max(0, Math.floor((nextTimeMint - now) / 1000));
-      console.log(`  Next Time-Based Mint: ${nextTimeMint.toLocaleString()} (in ${waitTime}s)`);
-    }
-    console.log("");
+    status.mining = {
+      enabled: mining.isEnabled,
+      canMintNow: mining.canMintNow,
+      currentPrice: mining.currentPrice,
+      currentEpochId: mining.currentEpochId,
+      priceConditionMet: mining.priceConditionMet,
+      timeConditionMet: mining.timeConditionMet,
+      nextMintTime: Number(mining.nextMintTime),
+      nextTimeBasedMintTime: Number(mining.nextTimeBasedMintTime),
+    };
 
     // Check profitability
     let isProfitable, currentPrice, recommendedAmount, reason;
     try {
-      [isProfitable, currentPrice, recommendedAmount, reason] = await controller.checkProfitability();
+      [isProfitable, currentPrice, recommendedAmount, reason] = readProfitability();
     } catch (error) {
       if (error.code === "CALL_EXCEPTION" || error.message.includes("missing revert data")) {
-        console.warn(`⚠️  Warning: Could not check profitability. This may be due to rig contract issues.`);
-        console.warn(`   Error: ${error.message}\n`);
+        status.warnings.push(`Could not check profitability. This may be due to rig contract issues. (${error.shortMessage || error.message})`);
         isProfitable = false;
         currentPrice = 0n;
         recommendedAmount = 0n;
@@ -171,50 +230,446 @@ async function main() {
         throw error;
       }
     }
-    const reasonText = reason === 0n ? "Price-based" : reason === 1n ? "Time-based" : "Not profitable";
-    console.log("💰 Profitability:");
-    console.log(`  Status: ${isProfitable ? "✅ PROFITABLE" : "❌ NOT PROFITABLE"}`);
-    console.log(`  Reason: ${reasonText}`);
-    console.log(`  Current Price: ${ethers.formatUnits(currentPrice, quoteDecimals)} ${quoteSymbol}`);
-    console.log(`  Recommended: ${ethers.formatEther(recommendedAmount)} tokens\n`);
-
-    // Check balance sufficiency
-    if (isProfitable) {
-      const priceFormatted = ethers.formatUnits(currentPrice, quoteDecimals);
-      console.log(`💸 Mine Cost: ${priceFormatted} ${quoteSymbol}`);
-      
-      const balanceFormatted = ethers.formatUnits(status.quoteBalance, quoteDecimals);
-      console.log(`💰 Balance: ${balanceFormatted} ${quoteSymbol}`);
-      
-      if (status.quoteBalance >= currentPrice) {
-        console.log(`✅ Sufficient balance for next mine\n`);
-      } else {
-        const needed = currentPrice - status.quoteBalance;
-        const neededFormatted = ethers.formatUnits(needed, quoteDecimals);
-        console.log(`❌ Need ${neededFormatted} more ${quoteSymbol}\n`);
+    status.profitability = {
+      isProfitable,
+      reason: reason === 0n ? "price" : reason === 1n ? "time" : "none",
+      currentPrice,
+      recommendedAmount,
+    };
+
+    // Market valuation (same gate the monitor applies before mining)
+    const configured = findController(address, controllers);
+    const market = configured ? configured.market : marketFromEnv(config.env);
+    if (market) {
+      try {
+        const quoteAddress = quote.address || readQuote();
+        const mineRecipient = configured ? configured.recipient : config.values.RECIPIENT_ADDRESS || config.values.OWNER_ADDRESS;
+        const breakdown = await evaluateMarket({
+          provider,
+          rig: targetRig,
+          unit: readUnit(),
+          quote: quoteAddress,
+          quoteIsNative: isWeth(config.network, quoteAddress),
+          price: currentPrice,
+          minProfitMargin: controllerConfig.minProfitMargin,
+          market,
+          l1Tx: config.network.opStack && mineRecipient
+            ? { chainId: config.chainId, to: address, data: controller.interface.encodeFunctionData("executeMine", [mineRecipient, ""]) }
+            : null,
+        });
+        status.market = {
+          wouldMine: isProfitable && breakdown.meetsMargin,
+          reason: !isProfitable
+            ? "controller conditions not met"
+            : breakdown.meetsMargin ? "margin meets minProfitMargin" : "margin below minProfitMargin",
+          breakdown,
+          error: null,
+        };
+      } catch (error) {
+        status.market = {
+          wouldMine: false,
+          reason: "monitor does not mine without a valuation",
+          breakdown: null,
+          error: error.shortMessage || error.message,
+        };
       }
     }
 
+    // Balances; idle ETH counts towards funding when the monitor can wrap it
+    const ethBalance = readEthBalance();
+    const wrappable = quote.symbol.toUpperCase() === "WETH";
+    const funds = mining.quoteBalance + (wrappable ? ethBalance : 0n);
+    status.balances = {
+      quote: mining.quoteBalance,
+      eth: ethBalance,
+      ethWrappable: wrappable,
+      mineCost: mining.currentPrice,
+      sufficient: funds >= mining.currentPrice,
+      shortfall: funds >= mining.currentPrice ? 0n : mining.currentPrice - funds,
+    };
+
+    // Funding runway from recent mines
+    try {
+      status.runway = forecastRunway({
+        quoteBalance: mining.quoteBalance,
+        wrappableEth: wrappable ? ethBalance : 0n,
+        currentPrice: mining.currentPrice,
+        recentMines: await recentMinesFromChain(controller, provider, config.values.RUNWAY_LOOKBACK_BLOCKS || DEFAULT_RUNWAY_LOOKBACK_BLOCKS),
+        fallbackIntervalSeconds: Number(controllerConfig.timeBasedMintPeriod),
+      });
+    } catch (error) {
+      status.warnings.push(`Runway forecast unavailable: ${error.shortMessage || error.message}`);
+    }
+
     // Last mine info
-    const lastMint = await controller.lastMintTimestamp();
-    if (lastMint > 0n) {
-      const lastMintDate = new Date(Number(lastMint) * 1000);
-      const timeSince = Math.floor((Date.now() - lastMintDate.getTime()) / 1000);
-      console.log(`🕒 Last Mine: ${lastMintDate.toLocaleString()} (${timeSince}s ago)`);
+    const lastMint = Number(readLastMint());
+    status.lastMine = lastMint > 0
+      ? { timestamp: lastMint, secondsAgo: Math.max(0, Math.floor(Date.now() / 1000) - lastMint) }
+      : null;
+
+    try {
+      status.competition = collectCompetition(readEpochState, address, config);
+    } catch (error) {
+      status.warnings.push(`Epoch holder unavailable: ${error.shortMessage || error.message}`);
+    }
+    status.policy = collectPolicy(status, address, config);
+  } catch (error) {
+    return fail(isUnreachable(error) ? "unreachable" : "error", error);
+  }
+
+  if (!status.config.autoMiningEnabled) {
+    status.health = "disabled";
+  } else if (!status.balances.sufficient) {
+    status.health = "underfunded";
+  }
+  status.exitCode = EXIT_CODES[status.health];
+  return status;
+}
+
+/**
+ * Who holds the rig's epoch now, plus the competitor history the monitor
+ * keeps in its ledger (when it runs on this machine)
+ * @param {Function} readEpochState queueEpoch() getter from a batch that has run
+ */
+function collectCompetition(readEpochState, address, config) {
+  const configured = findController(address, controllers);
+  const recipients = configured
+    ? configured.recipients.map((r) => r.address)
+    : [config.values.RECIPIENT_ADDRESS || config.values.OWNER_ADDRESS];
+  const epoch = readEpochState();
+  const competition = {
+    epochId: epoch.epochId,
+    holder: epoch.miner,
+    ours: recipients.some((r) => Boolean(r) && epoch.miner.toLowerCase() === r.toLowerCase()),
+    heldSeconds: Math.max(0, Number(epoch.curve.timestamp - epoch.curve.startTime)),
+    history: null,
+  };
+
+  const totals = ledgerTotals(address, config);
+  if (totals) {
+    competition.history = {
+      epochsObserved: totals.epochsObserved,
+      epochsWon: totals.epochsWon,
+      racesLost: totals.racesLost,
+      summary: describeCompetition(totals),
+      competitors: rankCompetitors(totals),
+    };
+  }
+  return competition;
+}
+
+/**
+ * Whether the spend policy would let the monitor mine at the current price.
+ * Budgets count the mines in the monitor's ledger (when it runs on this machine).
+ * @returns {object|null} null when no limits are set
+ */
+function collectPolicy(status, address, config) {
+  const configured = findController(address, controllers);
+  const settings = configured ? configured.spendPolicy : spendPolicyFromEnv(config.env);
+  if (!hasSpendPolicy(settings)) {
+    return null;
+  }
+  const totals = ledgerTotals(address, config);
+  const result = evaluateSpendPolicy(settings, {
+    now: Date.now(),
+    price: status.mining.currentPrice,
+    quoteDecimals: status.quoteToken.decimals,
+    history: totals ? totals.mineHistory : [],
+    format: formatter(status),
+  });
+  return { settings, ledger: Boolean(totals), ...result, blocksSoFar: totals ? totals.policyBlocks : {} };
+}
+
+// The monitor's ledger, read-only; replayed again only once the monitor has appended to it
+let ledgerCache = null;
+
+/**
+ * The monitor's ledger totals for a controller, or null without a ledger file
+ */
+function ledgerTotals(address, config) {
+  const ledgerPath = config.values.LEDGER_PATH || DEFAULT_LEDGER_PATH;
+  const stat = fs.statSync(ledgerPath, { throwIfNoEntry: false });
+  if (!stat) {
+    return null;
+  }
+  const version = `${stat.size}:${stat.mtimeMs}`;
+  if (!ledgerCache || ledgerCache.path !== ledgerPath || ledgerCache.version !== version) {
+    const ledger = readLedger(ledgerPath, { warn: (message) => logger.warn(message, { event: "ledger" }) });
+    ledgerCache = { path: ledgerPath, version, ledger };
+  }
+  return ledgerCache.ledger.totals(address);
+}
+
+function formatter(status) {
+  const { symbol, decimals } = status.quoteToken;
+  return (value) => `${ethers.formatUnits(value, decimals)} ${symbol}`;
+}
+
+/**
+ * The full emoji report for one controller
+ * @returns {string[]} Lines
+ */
+function renderReport(status, provider) {
+  const lines = [];
+  const out = (line = "") => lines.push(line);
+  const formatQuote = formatter(status);
+  const { symbol } = status.quoteToken;
+
+  out("⚙️  Auto-Mine Franchiser Status\n");
+  out(`📍 Controller: ${status.controller}`);
+  out(`🌐 RPC: ${provider.endpoints.map((e) => e.label).join(", ")}`);
+  if (status.network) {
+    out(`🔗 Network: ${status.network.name} (Chain ID: ${status.network.chainId})`);
+  }
+  out(`🩺 Health: ${HEALTH_LABELS[status.health]} (exit ${status.exitCode})`);
+  out("");
+
+  if (status.targetRig) {
+    out(`🎯 Target Rig: ${status.targetRig}`);
+    out(status.quoteToken.address
+      ? `💰 Quote Token: ${symbol} (${status.quoteToken.address})`
+      : `💰 Quote Token: unable to fetch`);
+    out("");
+  }
+  for (const warning of status.warnings) {
+    out(`⚠️  Warning: ${warning}`);
+  }
+  if (status.warnings.length > 0) out("");
+
+  if (status.error) {
+    out(`❌ Error: ${status.error}`);
+    return lines;
+  }
+
+  const { config, mining, profitability } = status;
+  out("⚙️  Configuration:");
+  out(`  Max Mining Price: ${formatQuote(config.maxMiningPrice)} per mine`);
+  out(`  Min Profit: ${Number(config.minProfitMargin) / 100}%`);
+  out(`  Mint Range: ${ethers.formatEther(config.minMintAmount)} - ${ethers.formatEther(config.maxMintAmount)} tokens`);
+  out(`  Auto Mining: ${config.autoMiningEnabled ? "✅ ENABLED" : "❌ DISABLED"}`);
+  out(`  Cooldown: ${Number(config.cooldownPeriod)}s`);
+  out(`  Max Gas: ${Number(config.maxGasPrice)} gwei`);
+  out(`  Time-Based Mint Period: ${Number(config.timeBasedMintPeriod)}s\n`);
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  out("📊 Mining Status:");
+  out(`  Current Price: ${formatQuote(mining.currentPrice)}`);
+  out(`  Epoch: ${Number(mining.currentEpochId)}`);
+  out(`  Quote Balance: ${formatQuote(status.balances.quote)}`);
+  out(`  Can Mint Now: ${mining.canMintNow ? "✅ YES" : "❌ NO"}`);
+  out(`  Price Condition: ${mining.priceConditionMet ? "✅ MET" : "❌ NOT MET"}`);
+  out(`  Time Condition: ${mining.timeConditionMet ? "✅ MET" : "❌ NOT MET"}`);
+  if (!mining.canMintNow && mining.nextMintTime > 0) {
+    const nextMint = new Date(mining.nextMintTime * 1000);
+    out(`  Next Mine (Cooldown): ${nextMint.toLocaleString()} (in ${Math.max(0, mining.nextMintTime - nowSeconds)}s)`);
+  }
+  if (!mining.timeConditionMet && mining.nextTimeBasedMintTime > 0) {
+    const nextTimeMint = new Date(mining.nextTimeBasedMintTime * 1000);
+    out(`  Next Time-Based Mint: ${nextTimeMint.toLocaleString()} (in ${Math.max(0, mining.nextTimeBasedMintTime - nowSeconds)}s)`);
+  }
+  out("");
+
+  const reasonText = { price: "Price-based", time: "Time-based", none: "Not profitable" }[profitability.reason];
+  out("💰 Profitability:");
+  out(`  Status: ${profitability.isProfitable ? "✅ PROFITABLE" : "❌ NOT PROFITABLE"}`);
+  out(`  Reason: ${reasonText}`);
+  out(`  Current Price: ${formatQuote(profitability.currentPrice)}`);
+  out(`  Recommended: ${ethers.formatEther(profitability.recommendedAmount)} tokens\n`);
+
+  if (status.market) {
+    out("📈 Market Valuation:");
+    if (status.market.breakdown) {
+      for (const line of describeMarket(status.market.breakdown, formatQuote)) {
+        out(`  ${line}`);
+      }
+    } else {
+      out(`  ⚠️  Valuation failed: ${status.market.error}`);
+    }
+    out(`  Decision: ${status.market.wouldMine ? "✅ WOULD MINE" : "⛔ WOULD SKIP"} (${status.market.reason})\n`);
+  }
+
+  const { balances } = status;
+  out(`💸 Mine Cost: ${formatQuote(balances.mineCost)}`);
+  out(`💰 Balance: ${formatQuote(balances.quote)}`);
+  if (balances.sufficient) {
+    out(`✅ Sufficient balance for next mine\n`);
+  } else {
+    out(`❌ Need ${formatQuote(balances.shortfall)} more\n`);
+  }
+
+  out("⛽ Funding Runway:");
+  if (balances.eth > 0n) {
+    out(`  ETH on controller: ${ethers.formatEther(balances.eth)} ETH ${balances.ethWrappable ? "(wrapped into WETH by the monitor)" : "(idle: quote token is not WETH, withdraw it)"}`);
+  }
+  out(status.runway ? `  ${describeRunway(status.runway, formatQuote)}\n` : "  ⚠️  Forecast unavailable\n");
+
+  if (status.competition) {
+    const { competition } = status;
+    out("🏁 Competition:");
+    out(`  Epoch ${competition.epochId} held by ${competition.holder} (${competition.ours ? "ours" : "competitor"}) for ${competition.heldSeconds}s`);
+    if (competition.history) {
+      out(`  ${competition.history.summary}`);
+      for (const competitor of competition.history.competitors) {
+        const average = competitor.averagePrice !== null ? `, avg ${formatQuote(competitor.averagePrice)}` : "";
+        out(`    ${competitor.address}: ${competitor.mines} mine(s)${average}, last ${new Date(competitor.lastSeen).toLocaleString()}`);
+      }
     } else {
-      console.log(`🕒 Last Mine: Never`);
+      out("  No history yet (the monitor records takeovers in its ledger)");
+    }
+    out("");
+  }
+
+  if (status.policy) {
+    const { policy } = status;
+    out("🚧 Spend Policy:");
+    for (const { window, spent, limit } of policy.usage.spend) {
+      out(`  Spent in the ${window}: ${formatQuote(spent)} of ${formatQuote(limit)}`);
+    }
+    if (policy.usage.minesToday) {
+      out(`  Mines in the last 24h: ${policy.usage.minesToday.mines} of ${policy.usage.minesToday.limit}`);
+    }
+    if (!policy.ledger && (policy.usage.spend.length > 0 || policy.usage.minesToday)) {
+      out("  ⚠️  No ledger on this machine, budgets count no past mines");
+    }
+    if (policy.allowed) {
+      out("  ✅ A mine at the current price is within policy");
+    }
+    for (const { policy: id, reason } of policy.blocked) {
+      out(`  ⛔ Blocked by ${id}: ${reason}`);
+    }
+    const blocks = Object.entries(policy.blocksSoFar);
+    if (blocks.length > 0) {
+      out(`  Mines held back so far: ${blocks.map(([id, count]) => `${id} ${count}`).join(", ")}`);
     }
+    out("");
+  }
+
+  if (status.lastMine) {
+    out(`🕒 Last Mine: ${new Date(status.lastMine.timestamp * 1000).toLocaleString()} (${status.lastMine.secondsAgo}s ago)`);
+  } else {
+    out(`🕒 Last Mine: Never`);
+  }
+  return lines;
+}
+
+/**
+ * One row per controller, for side-by-side comparison
+ * @returns {string[]} Lines
+ */
+function renderTable(statuses) {
+  const short = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+  const ago = (seconds) => (seconds >= 3600 ? `${(seconds / 3600).toFixed(1)}h` : seconds >= 60 ? `${Math.round(seconds / 60)}m` : `${seconds}s`);
+  const header = ["Controller", "Health", "Auto", "Price", "Max Price", "Balance", "Runway", "Can Mint", "Last Mine", "Epoch Holder", "Policy"];
+  const rows = statuses.map((status) => {
+    if (status.error) {
+      return [short(status.controller), status.health, ...Array(header.length - 2).fill("-")];
+    }
+    const formatQuote = formatter(status);
+    const runway = !status.runway ? "?" : status.runway.mines === null ? "free" : `${status.runway.mines} mines`;
+    return [
+      short(status.controller),
+      status.health,
+      status.config.autoMiningEnabled ? "on" : "off",
+      formatQuote(status.mining.currentPrice),
+      formatQuote(status.config.maxMiningPrice),
+      formatQuote(status.balances.quote),
+      runway,
+      status.mining.canMintNow ? "yes" : "no",
+      status.lastMine ? `${ago(status.lastMine.secondsAgo)} ago` : "never",
+      !status.competition ? "?" : status.competition.ours ? "ours" : short(status.competition.holder),
+      !status.policy ? "-" : status.policy.allowed ? "ok" : `blocked: ${status.policy.blocked.map((b) => b.policy).join(", ")}`,
+    ];
+  });
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+
+  const lines = ["⚙️  Auto-Mine Franchiser Status\n", line(header), line(widths.map((w) => "-".repeat(w)))];
+  lines.push(...rows.map(line));
+  const failures = statuses.filter((status) => status.error);
+  if (failures.length > 0) {
+    lines.push("");
+    for (const status of failures) {
+      lines.push(`❌ ${status.controller}: ${status.error.split("\n")[0]}`);
+    }
+  }
+  return lines;
+}
+
+function toJson(statuses, indent = 2) {
+  const body = statuses.length === 1 ? statuses[0] : { schemaVersion: SCHEMA_VERSION, controllers: statuses };
+  return JSON.stringify(body, (_, v) => (typeof v === "bigint" ? v.toString() : v), indent);
+}
+
+/**
+ * The most severe exit code across controllers
+ */
+function exitCodeFor(statuses) {
+  const worst = statuses.reduce((acc, status) => Math.max(acc, SEVERITY.indexOf(status.health)), 0);
+  return EXIT_CODES[SEVERITY[worst]];
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.healthy;
+  }
+  const config = loadConfig();
+  logger = diagnostics(config.env);
+  controllers = loadControllers(config.env);
+  const addresses = options.addresses.length > 0 ? options.addresses : [config.values.CONTROLLER_ADDRESS].filter(Boolean);
+  if (addresses.length === 0) {
+    logger.error("❌ CONTROLLER_ADDRESS not set in .env (or pass controller addresses)", { event: "config_error" });
+    return EXIT_CODES.error;
+  }
+
+  // Fails over between BASE_RPC_URLS endpoints and backs off on rate limits
+  const provider = createProvider(config.env, {
+    settings: config.rpc,
+    log: (message) => logger.info(message, { event: "rpc" }),
+    warn: (message) => logger.warn(message, { event: "rpc" }),
+  });
 
+  // A wrong chain is a configuration error; an unreachable RPC is reported per controller
+  try {
+    await verifyChain(provider, config);
   } catch (error) {
-    console.error("\n❌ Error:", error.message);
-    if (error.code) {
-      console.error(`   Error code: ${error.code}`);
+    if (error.code === "CHAIN_MISMATCH") throw error;
+  }
+
+  const multicall = createMulticall(provider);
+  const render = async () => {
+    const statuses = await Promise.all(addresses.map((address) => collectStatus(provider, multicall, address, config)));
+    if (options.json) {
+      // Watch mode emits one JSON document per line
+      return { statuses, output: toJson(statuses, options.watch ? 0 : 2) };
     }
-    if (error.data) {
-      console.error(`   Error data: ${error.data}`);
+    const lines = statuses.length === 1 ? renderReport(statuses[0], provider) : renderTable(statuses);
+    return { statuses, output: lines.join("\n") };
+  };
+
+  if (!options.watch) {
+    const { statuses, output } = await render();
+    console.log(output);
+    return exitCodeFor(statuses);
+  }
+
+  for (;;) {
+    const { output } = await render();
+    if (options.json) {
+      console.log(output);
+    } else {
+      // Render first, then redraw in one write so the screen never flickers
+      const stamp = `\n🔄 Every ${options.watch}s, last update ${new Date().toLocaleTimeString()} (Ctrl-C to exit)`;
+      process.stdout.write(`${process.stdout.isTTY ? "\x1b[2J\x1b[H" : ""}${output}\n${stamp}\n`);
     }
-    process.exit(1);
+    await new Promise((resolve) => setTimeout(resolve, options.watch * 1000));
   }
 }
 
-main();
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    logger.error(`\n❌ Error: ${error.message}${error.code ? `\n   Error code: ${error.code}` : ""}`, { event: "fatal", code: error.code });
+    process.exit(EXIT_CODES.error);
+  });
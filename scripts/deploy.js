@@ -1,100 +1,400 @@
 #!/usr/bin/env node
 /**
- * Deploy FranchiserController contract
+ * Deploy FranchiserController and wire it up
+ * Deploys the forge artifact with ethers, applies the full config with
+ * updateConfig, optionally funds the controller with the rig's quote token,
+ * writes a deployment manifest and sets CONTROLLER_ADDRESS in .env.
+ *
+ * Every step is recorded in the manifest as it happens, so running the same
+ * command again after a failure resumes where it stopped: a sent transaction
+ * is awaited instead of sent twice, and finished steps are skipped.
+ *
+ * Usage: npm run deploy:js -- [options]
  */
 
-const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { ethers } = require("ethers");
 const dotenv = require("dotenv");
+const { RIG_ABI, ERC20_ABI, CONTROLLER_ABI, CONTROLLER_OWNER_ABI } = require("./lib/abis");
+const { createProvider } = require("./lib/rpc");
+const { loadConfig, verifyChain, explorerUrl } = require("./lib/config");
+const { loadArtifact, ensureArtifacts, ROOT } = require("./lib/artifacts");
+const {
+  CONTRACT_DEFAULTS,
+  parseAmount,
+  applyConfigOptions,
+  configFields,
+  configArgs,
+  printConfigDiff,
+} = require("./lib/controller-config");
 
 dotenv.config();
 
-// Configuration
-const FRANCHISER_RIG =
-  process.env.FRANCHISER_RIG || "0xA8A6189582ac4cbE0144f70CE330Dd8f06114D8F";
-const OWNER_ADDRESS = process.env.OWNER_ADDRESS;
-const MANAGER_ADDRESS = process.env.MANAGER_ADDRESS;
-const MAX_MINING_PRICE =
-  process.env.MAX_MINING_PRICE || hre.ethers.parseEther("0.0001"); // 0.001 ETH default per mine
-const MIN_PROFIT_MARGIN = process.env.MIN_PROFIT_MARGIN || "0"; // 10% default
+// FRANCHISER_RIG is the old name of TARGET_RIG
+if (!process.env.TARGET_RIG && process.env.FRANCHISER_RIG) {
+  console.warn("⚠️  FRANCHISER_RIG is deprecated, use TARGET_RIG");
+  process.env.TARGET_RIG = process.env.FRANCHISER_RIG;
+}
+
+const MANIFEST_VERSION = 1;
+const TX_TIMEOUT_MS = 5 * 60 * 1000;
+
+const USAGE = `Usage: npm run deploy:js -- [options]
+
+Deploys FranchiserController from forge's out/ (built if missing) using
+PRIVATE_KEY, with TARGET_RIG, OWNER_ADDRESS, MANAGER_ADDRESS, MAX_MINING_PRICE
+and MIN_PROFIT_MARGIN from .env. Running it again resumes an unfinished
+deployment recorded in the manifest.
+
+Config (defaults: the contract's constructor defaults):
+  --max-price <amount>      Max mining price in quote token units (default MAX_MINING_PRICE)
+  --min-profit <pct|bps>    Min profit margin (default MIN_PROFIT_MARGIN)
+  --max-mint <tokens>       Max mint amount
+  --min-mint <tokens>       Min mint amount
+  --disable                 Deploy with auto mining off
+  --cooldown <duration>     Cooldown between mines: 300, 5m, 1h
+  --max-gas <gwei>          Max gas price in gwei
+  --time-period <duration>  Time-based mint period: 3600, 1h
+
+Options:
+  --fund <amount>           Transfer this much quote token from the deployer to the controller
+  --manifest <file>         Deployment manifest (default deployments/<chainId>.json)
+  --artifacts <dir>         Forge artifacts (default out)
+  --env-file <file>         File to set CONTROLLER_ADDRESS in (default .env)
+  --no-env                  Leave the env file alone
+  --fresh                   Start a new deployment even if the manifest has one
+                            (the old manifest is kept next to it)`;
+
+/**
+ * Parse `--key value --flag --key=value`
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) {
+      options[key] = inline;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      options[key] = argv[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+  if (options.enable) {
+    throw new Error("--enable: auto mining is on by default (use --disable to turn it off)");
+  }
+  return options;
+}
+
+function deployError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const toJson = (value) => JSON.parse(JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+
+/**
+ * The manifest file: what was deployed, with which arguments and config, and
+ * how far each step got
+ */
+function openManifest(file, { fresh }) {
+  let data = null;
+  if (fs.existsSync(file)) {
+    if (fresh) {
+      const kept = file.replace(/\.json$/, `.${Date.now()}.json`);
+      fs.renameSync(file, kept);
+      console.log(`📦 Previous manifest kept as ${path.relative(process.cwd(), kept)}`);
+    } else {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+  }
+  return {
+    file,
+    data,
+    save() {
+      this.data.updatedAt = new Date().toISOString();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(this.data, null, 2) + "\n");
+    },
+    step(name, fields) {
+      this.data.steps[name] = { ...this.data.steps[name], ...toJson(fields) };
+      this.save();
+    },
+  };
+}
+
+/**
+ * Receipt of a transaction sent earlier (null when the node no longer knows it)
+ */
+async function waitForSent(provider, hash) {
+  const tx = await provider.getTransaction(hash);
+  if (!tx) {
+    return null;
+  }
+  console.log(`⏳ Waiting for ${hash} from the previous run...`);
+  return provider.waitForTransaction(hash, 1, TX_TIMEOUT_MS);
+}
+
+/**
+ * Send a transaction for a step: the hash is recorded before waiting, so a
+ * resumed run waits for it instead of sending a second one
+ */
+async function runTransaction(manifest, name, provider, send) {
+  const previous = manifest.data.steps[name];
+  if (previous && previous.tx && previous.status === "sent") {
+    const receipt = await waitForSent(provider, previous.tx);
+    if (receipt) {
+      return receipt;
+    }
+    console.log(`⚠️  ${previous.tx} was dropped, sending again`);
+  }
+  const tx = await send();
+  manifest.step(name, { status: "sent", tx: tx.hash });
+  console.log(`📝 Transaction submitted: ${tx.hash}`);
+  return tx.wait(1, TX_TIMEOUT_MS);
+}
+
+function requireSuccess(receipt, what) {
+  if (!receipt || receipt.status !== 1) {
+    throw new Error(`${what} failed${receipt ? `: transaction ${receipt.hash} reverted` : ""}`);
+  }
+}
+
+/**
+ * Set KEY=value in an env file, keeping the line's comment (appended when absent)
+ */
+function setEnvValue(file, key, value) {
+  const text = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+  const line = new RegExp(`^(\\s*${key}\\s*=)[^#\\n]*?(\\s*#.*)?$`, "m");
+  const next = line.test(text)
+    ? text.replace(line, (match, prefix, comment) => `${prefix}${value}${comment || ""}`)
+    : `${text}${text && !text.endsWith("\n") ? "\n" : ""}${key}=${value}\n`;
+  if (next !== text) {
+    fs.writeFileSync(file, next);
+  }
+  return next !== text;
+}
+
+async function readQuote(provider, targetRig) {
+  const quote = { address: null, symbol: "???", decimals: 18 };
+  try {
+    quote.address = await new ethers.Contract(targetRig, RIG_ABI, provider).quote();
+    const token = new ethers.Contract(quote.address, ERC20_ABI, provider);
+    quote.symbol = await token.symbol();
+    quote.decimals = Number(await token.decimals());
+  } catch (error) {
+    console.warn("⚠️  Could not read the rig's quote token; amounts assume 18 decimals");
+  }
+  return quote;
+}
 
 async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
   console.log("🚀 Deploying FranchiserController...\n");
 
   // Validate inputs
-  if (!OWNER_ADDRESS) {
-    throw new Error("OWNER_ADDRESS not set");
+  const config = loadConfig({ required: ["TARGET_RIG", "OWNER_ADDRESS", "MANAGER_ADDRESS", "PRIVATE_KEY"] });
+  for (const warning of config.warnings) {
+    console.warn(`⚠️  ${warning}`);
   }
-  if (!MANAGER_ADDRESS) {
-    throw new Error("MANAGER_ADDRESS not set");
+  const provider = createProvider(config.env, { settings: config.rpc });
+  const network = await verifyChain(provider, config);
+  const deployer = new ethers.Wallet(config.values.PRIVATE_KEY, provider);
+  const quote = await readQuote(provider, config.values.TARGET_RIG);
+
+  const constructorArgs = {
+    targetRig: config.values.TARGET_RIG,
+    owner: config.values.OWNER_ADDRESS,
+    manager: config.values.MANAGER_ADDRESS,
+    maxMiningPrice: config.values.MAX_MINING_PRICE ?? CONTRACT_DEFAULTS.maxMiningPrice,
+    minProfitMargin: BigInt(config.values.MIN_PROFIT_MARGIN ?? CONTRACT_DEFAULTS.minProfitMargin),
+  };
+  const desired = applyConfigOptions(
+    { ...CONTRACT_DEFAULTS, maxMiningPrice: constructorArgs.maxMiningPrice, minProfitMargin: constructorArgs.minProfitMargin },
+    options,
+    quote.decimals,
+  );
+  const fundAmount = options.fund ? parseAmount(options.fund, quote.decimals, "fund") : 0n;
+
+  const artifactsDir = path.resolve(ROOT, options.artifacts || "out");
+  ensureArtifacts(artifactsDir);
+  const artifact = loadArtifact(artifactsDir, "FranchiserController", "FranchiserController");
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer);
+
+  // Resume the manifest's deployment, or start one
+  const manifestFile = path.resolve(options.manifest || path.join("deployments", `${network.chainId}.json`));
+  const manifest = openManifest(manifestFile, { fresh: Boolean(options.fresh) });
+  if (manifest.data) {
+    if (manifest.data.chainId !== Number(network.chainId)) {
+      throw deployError("MANIFEST_MISMATCH", `${path.relative(process.cwd(), manifestFile)} is for chain ${manifest.data.chainId}; pass --manifest or --fresh`);
+    }
+    const recorded = JSON.stringify(manifest.data.constructorArgs);
+    if (recorded !== JSON.stringify(toJson(constructorArgs))) {
+      throw deployError("MANIFEST_MISMATCH", `${path.relative(process.cwd(), manifestFile)} records a deployment with other constructor arguments (${recorded}); pass --fresh to deploy a new controller`);
+    }
+    const recordedFund = manifest.data.steps.fund;
+    if (fundAmount > 0n && recordedFund && recordedFund.amount !== undefined && BigInt(recordedFund.amount) !== fundAmount) {
+      const amount = `${ethers.formatUnits(BigInt(recordedFund.amount), quote.decimals)} ${quote.symbol}`;
+      throw deployError("MANIFEST_MISMATCH", `${path.relative(process.cwd(), manifestFile)} records funding of ${amount}${recordedFund.status === "done" ? " (done)" : ""}; pass --fund ${ethers.formatUnits(BigInt(recordedFund.amount), quote.decimals)} to resume, or transfer more with the token itself`);
+    }
+    console.log(`📦 Resuming from ${path.relative(process.cwd(), manifestFile)}`);
+  } else {
+    manifest.data = {
+      version: MANIFEST_VERSION,
+      contract: "FranchiserController",
+      network: config.network.name,
+      chainId: Number(network.chainId),
+      deployer: deployer.address,
+      address: null,
+      tx: null,
+      block: null,
+      constructorArgs: toJson(constructorArgs),
+      config: null,
+      steps: {},
+      createdAt: new Date().toISOString(),
+    };
+    // Written once the deployment is sent
   }
 
   console.log("📋 Configuration:");
-  console.log(`  Franchiser Rig: ${FRANCHISER_RIG}`);
-  console.log(`  Owner: ${OWNER_ADDRESS}`);
-  console.log(`  Manager: ${MANAGER_ADDRESS}`);
-  console.log(
-    `  Max Mining Price: ${hre.ethers.formatEther(MAX_MINING_PRICE)} ETH per mine`,
-  );
-  console.log(`  Min Profit: ${MIN_PROFIT_MARGIN / 100}%\n`);
+  console.log(`  Network: ${config.network.label} (Chain ID: ${network.chainId})`);
+  console.log(`  Deployer: ${deployer.address}`);
+  console.log(`  Target Rig: ${constructorArgs.targetRig}`);
+  console.log(`  Owner: ${constructorArgs.owner}`);
+  console.log(`  Manager: ${constructorArgs.manager}`);
+  for (const [key, label, format] of configFields(quote)) {
+    console.log(`  ${label}: ${format(desired[key])}`);
+  }
+  if (fundAmount > 0n) {
+    console.log(`  Funding: ${ethers.formatUnits(fundAmount, quote.decimals)} ${quote.symbol}`);
+  }
+  console.log("");
 
-  // Deploy
-  const FranchiserController = await hre.ethers.getContractFactory(
-    "FranchiserController",
-  );
-  const controller = await FranchiserController.deploy(
-    FRANCHISER_RIG,
-    OWNER_ADDRESS,
-    MANAGER_ADDRESS,
-    MAX_MINING_PRICE,
-    MIN_PROFIT_MARGIN,
-  );
+  // Better to stop now than after deploying. A funding transfer the node
+  // already knows has taken its amount out of the balance, so it is not checked.
+  const funded = manifest.data.steps.fund;
+  const fundToken = quote.address && new ethers.Contract(quote.address, [...ERC20_ABI, "function transfer(address to, uint256 amount) returns (bool)"], deployer);
+  const fundSent = funded && (funded.status === "done" || (funded.tx && (await provider.getTransaction(funded.tx)) !== null));
+  if (fundAmount > 0n && !fundSent) {
+    if (!fundToken) {
+      throw new Error("Cannot fund: the rig's quote token is unknown");
+    }
+    const balance = await fundToken.balanceOf(deployer.address);
+    if (balance < fundAmount) {
+      throw new Error(`Deployer has ${ethers.formatUnits(balance, quote.decimals)} ${quote.symbol}, not enough to fund ${options.fund} (get more ${quote.symbol}, or fund later)`);
+    }
+  }
 
-  await controller.waitForDeployment();
-  const address = await controller.getAddress();
+  // 1. Deploy (skipped when the recorded address has code)
+  const hasCode = async (address) => address && (await provider.getCode(address)) !== "0x";
+  if (await hasCode(manifest.data.address)) {
+    console.log(`✅ Already deployed at ${manifest.data.address}`);
+  } else {
+    const deployArgs = [constructorArgs.targetRig, constructorArgs.owner, constructorArgs.manager, constructorArgs.maxMiningPrice, constructorArgs.minProfitMargin];
+    const receipt = await runTransaction(manifest, "deploy", provider, () => factory.deploy(...deployArgs).then((c) => c.deploymentTransaction()));
+    requireSuccess(receipt, "Deployment");
+    Object.assign(manifest.data, { address: receipt.contractAddress, tx: receipt.hash, block: receipt.blockNumber });
+    manifest.step("deploy", { status: "done", tx: receipt.hash, block: receipt.blockNumber });
+    console.log("✅ FranchiserController deployed!");
+    console.log(`  Address: ${receipt.contractAddress}`);
+    console.log(`  Transaction: ${receipt.hash} (block ${receipt.blockNumber})\n`);
+  }
+  const address = manifest.data.address;
+  const controller = new ethers.Contract(address, [...CONTROLLER_ABI, ...CONTROLLER_OWNER_ABI], deployer);
 
-  console.log("✅ FranchiserController deployed!");
-  console.log(`  Address: ${address}`);
-  console.log(`  Transaction: ${controller.deploymentTransaction().hash}\n`);
+  // 2. Configure (skipped when the chain already has the desired config)
+  const current = (await controller.config()).toObject();
+  const matches = configFields(quote).every(([key]) => current[key] === desired[key]);
+  if (matches) {
+    console.log("✅ Config already applied");
+    manifest.data.config = toJson(desired);
+    manifest.step("configure", { status: "done" });
+  } else if (!(await controller.hasRole(await controller.OWNER_ROLE(), deployer.address))) {
+    console.log(`⚠️  The deployer is not the owner, so the config is left to ${constructorArgs.owner}:`);
+    printConfigDiff(current, desired, quote);
+    console.log("   Apply it with: npm run admin -- update-config ... (owner key as PRIVATE_KEY)");
+    manifest.data.config = toJson(current);
+    manifest.step("configure", { status: "skipped", reason: "deployer lacks OWNER_ROLE", wanted: desired });
+  } else {
+    console.log("⚙️  Applying config:");
+    printConfigDiff(current, desired, quote);
+    const receipt = await runTransaction(manifest, "configure", provider, () => controller.updateConfig(...configArgs(desired)));
+    requireSuccess(receipt, "updateConfig");
+    manifest.data.config = toJson(desired);
+    manifest.step("configure", { status: "done", tx: receipt.hash, block: receipt.blockNumber });
+    console.log(`✅ Config applied in block ${receipt.blockNumber}\n`);
+  }
 
-  // Display setup instructions
-  console.log("📝 Next Steps:");
-  console.log(`  1. Add CONTROLLER_ADDRESS=${address} to your .env file`);
-  console.log(`  2. Fund the controller with ETH: send ETH to ${address}`);
-  console.log(`  3. Start the monitor: npm run monitor`);
-  console.log(
-    `  4. View on BaseScan: https://basescan.org/address/${address}\n`,
-  );
+  // 3. Fund with quote token (once per manifest, for the amount it records)
+  if (fundAmount > 0n && funded && funded.status === "done") {
+    console.log(`✅ Already funded with ${ethers.formatUnits(BigInt(funded.amount), quote.decimals)} ${quote.symbol} (${funded.tx})`);
+  } else if (fundAmount > 0n) {
+    manifest.step("fund", { amount: fundAmount, token: quote.address });
+    const receipt = await runTransaction(manifest, "fund", provider, () => fundToken.transfer(address, fundAmount));
+    requireSuccess(receipt, "Funding");
+    manifest.step("fund", { status: "done", tx: receipt.hash, block: receipt.blockNumber });
+    console.log(`✅ Funded with ${ethers.formatUnits(fundAmount, quote.decimals)} ${quote.symbol}\n`);
+  }
 
-  // Verify on BaseScan (if API key provided)
-  if (process.env.BASESCAN_API_KEY) {
-    console.log("⏳ Waiting 30s before verification...");
-    await new Promise((resolve) => setTimeout(resolve, 30000));
-
-    try {
-      console.log("🔍 Verifying contract on BaseScan...");
-      await hre.run("verify:verify", {
-        address: address,
-        constructorArguments: [
-          FRANCHISER_RIG,
-          OWNER_ADDRESS,
-          MANAGER_ADDRESS,
-          MAX_MINING_PRICE,
-          MIN_PROFIT_MARGIN,
-        ],
-      });
-      console.log("✅ Contract verified!");
-    } catch (error) {
-      console.log(
-        "⚠️  Verification failed (may already be verified):",
-        error.message,
-      );
-    }
+  // 4. CONTROLLER_ADDRESS in .env
+  if (!options["no-env"]) {
+    const envFile = path.resolve(options["env-file"] || ".env");
+    const changed = setEnvValue(envFile, "CONTROLLER_ADDRESS", address);
+    manifest.step("env", { status: "done", file: path.relative(process.cwd(), envFile) });
+    console.log(changed ? `✅ CONTROLLER_ADDRESS set in ${path.relative(process.cwd(), envFile)}` : `✅ CONTROLLER_ADDRESS already set in ${path.relative(process.cwd(), envFile)}`);
+  }
+
+  // 5. Verify on BaseScan (if API key provided); failures do not undo the deployment
+  const verified = manifest.data.steps.verify;
+  if (config.values.BASESCAN_API_KEY && config.network.explorer && !(verified && verified.status === "done")) {
+    console.log("🔍 Verifying contract on BaseScan (forge verify-contract)...");
+    const encodedArgs = factory.interface.encodeDeploy([constructorArgs.targetRig, constructorArgs.owner, constructorArgs.manager, constructorArgs.maxMiningPrice, constructorArgs.minProfitMargin]);
+    const result = spawnSync("forge", [
+      "verify-contract", address, "src/FranchiserController.sol:FranchiserController",
+      "--chain-id", String(network.chainId),
+      "--constructor-args", encodedArgs,
+      "--etherscan-api-key", config.values.BASESCAN_API_KEY,
+      "--watch",
+    ], { cwd: ROOT, stdio: "inherit" });
+    const ok = !result.error && result.status === 0;
+    manifest.step("verify", { status: ok ? "done" : "failed" });
+    console.log(ok ? "✅ Contract verified!" : `⚠️  Verification failed${result.error ? `: ${result.error.message}` : ""} (run the deploy again to retry)`);
+  }
+
+  console.log(`\n📦 Manifest: ${path.relative(process.cwd(), manifestFile)}`);
+  console.log("📝 Next Steps:");
+  if (fundAmount === 0n) {
+    console.log(`  - Fund the controller with the rig's quote token (${quote.symbol}), or send ETH to ${address} for the monitor to wrap`);
+  }
+  console.log("  - Start the monitor: npm run monitor");
+  if (explorerUrl(config, address)) {
+    console.log(`  - View on the explorer: ${explorerUrl(config, address)}`);
   }
 }
 
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error("❌ Deployment failed:", error);
+    if (["INVALID_CONFIG", "CHAIN_MISMATCH", "MANIFEST_MISMATCH"].includes(error.code)) {
+      console.error("❌ Deployment failed:", error.message);
+    } else {
+      console.error("❌ Deployment failed:", error.shortMessage || error.message);
+      console.error("   Progress is in the manifest; run the same command again to resume.");
+    }
     process.exit(1);
   });
@@ -0,0 +1,52 @@
+/**
+ * Minimal contract ABIs shared by the scripts
+ */
+
+const CONTROLLER_ABI = [
+  "function targetRig() view returns (address)",
+  "function checkProfitability() view returns (bool isProfitable, uint256 currentPrice, uint256 recommendedAmount, uint256 reason)",
+  "function executeMine(address recipient, string epochUri) external returns (uint256 price)",
+  "function getMiningStatus() view returns (bool isEnabled, bool canMintNow, uint256 currentPrice, uint256 nextMintTime, uint256 nextTimeBasedMintTime, uint256 quoteBalance, uint256 currentEpochId, bool priceConditionMet, bool timeConditionMet)",
+  "function config() view returns (uint256 maxMiningPrice, uint256 minProfitMargin, uint256 maxMintAmount, uint256 minMintAmount, bool autoMiningEnabled, uint256 cooldownPeriod, uint256 maxGasPrice, uint256 timeBasedMintPeriod)",
+  "function lastMintTimestamp() view returns (uint256)",
+  "function wrapETH(uint256 amount) external",
+  "function updateTargetRig(address newRig) external",
+  "event TokensMinted(address indexed recipient, uint256 amount, uint256 cost, uint256 epochId)",
+  "event ConfigUpdated(uint256 maxMiningPrice, uint256 minProfitMargin, uint256 maxMintAmount, uint256 minMintAmount, bool autoMiningEnabled, uint256 cooldownPeriod, uint256 maxGasPrice, uint256 timeBasedMintPeriod)",
+  "event TargetRigUpdated(address indexed oldRig, address indexed newRig)",
+  "event EmergencyStop(address indexed by)",
+  "event ETHWrapped(address indexed quoteToken, uint256 amount)",
+  "event ETHWithdrawn(address indexed to, uint256 amount)",
+  "event TokensWithdrawn(address indexed token, address indexed to, uint256 amount)"
+];
+
+// Owner operations and role management (AccessControl)
+const CONTROLLER_OWNER_ABI = [
+  "function updateConfig(uint256 maxMiningPrice, uint256 minProfitMargin, uint256 maxMintAmount, uint256 minMintAmount, bool autoMiningEnabled, uint256 cooldownPeriod, uint256 maxGasPrice, uint256 timeBasedMintPeriod) external",
+  "function emergencyStop() external",
+  "function withdrawETH(address to, uint256 amount) external",
+  "function withdrawTokens(address token, address to, uint256 amount) external",
+  "function grantRole(bytes32 role, address account) external",
+  "function revokeRole(bytes32 role, address account) external",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function OWNER_ROLE() view returns (bytes32)",
+  "function MANAGER_ROLE() view returns (bytes32)",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)"
+];
+
+// Rig getters (quote is a public immutable, so it has a generated getter)
+const RIG_ABI = [
+  "function quote() view returns (address)",
+  "function unit() view returns (address)",
+  "function getPrice() view returns (uint256)",
+  "function epochId() view returns (uint256)"
+];
+
+const ERC20_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)"
+];
+
+module.exports = { CONTROLLER_ABI, CONTROLLER_OWNER_ABI, RIG_ABI, ERC20_ABI };
@@ -0,0 +1,40 @@
+/**
+ * Forge artifacts
+ * ABI and bytecode from forge's out/<Source>.sol/<Contract>.json, building
+ * the contracts first when they are missing.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+
+/**
+ * @param {string} dir Artifacts directory (forge's `out/`)
+ * @param {string} source Source file name without `.sol`
+ * @param {string} contract
+ * @returns {{ abi: object[], bytecode: string }}
+ */
+function loadArtifact(dir, source, contract) {
+  const file = path.join(dir, `${source}.sol`, `${contract}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Missing artifact ${path.relative(ROOT, file)} (run "npm run build")`);
+  }
+  const artifact = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { abi: artifact.abi, bytecode: artifact.bytecode.object || artifact.bytecode };
+}
+
+/**
+ * Run `forge build` when the controller artifact is missing
+ */
+function ensureArtifacts(dir) {
+  if (fs.existsSync(path.join(dir, "FranchiserController.sol"))) return;
+  console.log("🔨 Building contracts (forge build)...");
+  const result = spawnSync("forge", ["build"], { cwd: ROOT, stdio: "inherit" });
+  if (result.error || result.status !== 0) {
+    throw new Error(`forge build failed${result.error ? `: ${result.error.message}` : ""} (install Foundry: https://book.getfoundry.sh)`);
+  }
+}
+
+module.exports = { loadArtifact, ensureArtifacts, ROOT };
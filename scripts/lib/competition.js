@@ -0,0 +1,115 @@
+/**
+ * Epoch Competition
+ * Follows who holds the rig's epoch from one check to the next. Every epoch
+ * change is a takeover: ours when the new `epochMiner` is one of our
+ * recipients, a competitor's otherwise. The price the new holder paid is the
+ * previous epoch's Dutch auction price at the new epoch's start time; when the
+ * rig does not follow the linear curve, the last price we read stands in as
+ * an estimate.
+ */
+
+const { ethers } = require("ethers");
+const { queuePriceCurve, priceAt } = require("./scheduler");
+const { createMulticall } = require("./multicall");
+
+const RIG_EPOCH_ABI = [
+  "function epochId() view returns (uint256)",
+  "function epochMiner() view returns (address)"
+];
+
+/**
+ * Add the rig's epoch, holder and price curve reads to a multicall batch
+ * @param {object} batch createMulticall().batch()
+ * @param {ethers.Provider} provider
+ * @param {string} rigAddress
+ * @param {number} defaultEpochPeriod Used when the rig has no EPOCH_PERIOD() getter
+ * @returns {() => object} The epoch, once the batch has run
+ */
+function queueEpoch(batch, provider, rigAddress, defaultEpochPeriod) {
+  const curve = queuePriceCurve(batch, provider, rigAddress, defaultEpochPeriod);
+  const rig = new ethers.Contract(rigAddress, RIG_EPOCH_ABI, provider);
+  const epochId = batch.add(rig, "epochId");
+  const miner = batch.add(rig, "epochMiner");
+  return () => ({ rig: rigAddress, epochId: epochId(), miner: miner(), curve: curve() });
+}
+
+/**
+ * Epoch, holder and price curve, pinned to one block
+ * @param {ethers.Provider} provider
+ * @param {string} rigAddress
+ * @param {number} defaultEpochPeriod
+ * @param {object} [multicall] createMulticall() instance to read through
+ */
+async function readEpoch(provider, rigAddress, defaultEpochPeriod, multicall = createMulticall(provider)) {
+  const batch = multicall.batch();
+  const epoch = queueEpoch(batch, provider, rigAddress, defaultEpochPeriod);
+  await batch.run();
+  return epoch();
+}
+
+/**
+ * Remembers the last epoch seen and turns the next reading into a takeover
+ * @param {(miner: string) => boolean} isOurs
+ */
+function createEpochTracker(isOurs) {
+  let last = null;
+
+  /**
+   * @returns {object|null} Takeover ({ epochId, miner, ours, startTime, price, estimated, skipped }),
+   *   null when the epoch has not moved (or the rig changed)
+   */
+  function observe(epoch) {
+    const previous = last;
+    last = epoch;
+    if (!previous || previous.rig !== epoch.rig || epoch.epochId <= previous.epochId) {
+      return null;
+    }
+
+    // Epochs that started and ended between two checks hide the price paid
+    const skipped = Number(epoch.epochId - previous.epochId - 1n);
+    let price = null;
+    let estimated = false;
+    if (skipped === 0) {
+      if (previous.curve.valid) {
+        price = priceAt(previous.curve, epoch.curve.startTime);
+      } else {
+        price = previous.curve.price;
+        estimated = true;
+      }
+    }
+    return {
+      epochId: epoch.epochId,
+      miner: epoch.miner,
+      ours: isOurs(epoch.miner),
+      startTime: epoch.curve.startTime,
+      price,
+      estimated,
+      skipped,
+    };
+  }
+
+  return { observe, current: () => last };
+}
+
+/**
+ * Competitors from ledger totals, most active first
+ * @param {object} totals Ledger totals for a controller
+ * @param {number} [limit]
+ */
+function rankCompetitors(totals, limit = 5) {
+  return Object.values(totals.competitors)
+    .map((c) => ({ ...c, averagePrice: c.pricedMines > 0 ? c.totalPaid / BigInt(c.pricedMines) : null }))
+    .sort((a, b) => b.mines - a.mines || b.lastSeen - a.lastSeen)
+    .slice(0, limit);
+}
+
+/**
+ * One-line summary of how contested the rig is
+ */
+function describeCompetition(totals) {
+  const theirs = totals.epochsObserved - totals.epochsWon;
+  const share = totals.epochsObserved > 0 ? ` (${Math.round((totals.epochsWon * 100) / totals.epochsObserved)}% ours)` : "";
+  return `${totals.epochsObserved} epochs seen${share}, ${theirs} by ${Object.keys(totals.competitors).length} competitor(s), ${totals.racesLost} race(s) lost`;
+}
+
+module.exports = { queueEpoch, readEpoch, createEpochTracker, rankCompetitors, describeCompetition };
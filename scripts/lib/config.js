@@ -0,0 +1,338 @@
+/**
+ * Configuration
+ * One validated view of the settings every script reads: an optional JSON
+ * config file (CONFIG_FILE) supplies defaults, the environment (.env included)
+ * overrides it, and every known key is checked against a schema so typos and
+ * garbage fail at startup with a list of what is wrong. Addresses are
+ * checksummed, NETWORK selects a preset (chain ID, default RPC, explorer, WETH) and
+ * `verifyChain` refuses an RPC that serves a different chain.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { rpcSettingsFromEnv } = require("./rpc");
+const { leaderSettingsFromEnv, leaderProblems } = require("./leader");
+const { LEVELS, FORMATS } = require("./logger");
+
+const NETWORKS = {
+  base: {
+    name: "base",
+    label: "Base",
+    chainId: 8453,
+    rpcUrl: "https://mainnet.base.org",
+    rpcKeys: ["BASE_RPC_URLS", "BASE_RPC_URL"],
+    explorer: "https://basescan.org",
+    weth: "0x4200000000000000000000000000000000000006",
+    opStack: true,
+  },
+  "base-sepolia": {
+    name: "base-sepolia",
+    label: "Base Sepolia",
+    chainId: 84532,
+    rpcUrl: "https://sepolia.base.org",
+    rpcKeys: ["BASE_SEPOLIA_RPC_URLS", "BASE_SEPOLIA_RPC_URL"],
+    explorer: "https://sepolia.basescan.org",
+    weth: "0x4200000000000000000000000000000000000006",
+    opStack: true,
+  },
+  local: {
+    name: "local",
+    label: "Local node",
+    chainId: 31337,
+    rpcUrl: "http://127.0.0.1:8545",
+    rpcKeys: ["LOCAL_RPC_URL"],
+    explorer: null,
+    weth: null,
+    opStack: false,
+  },
+};
+
+// Values copied unchanged from .env.example ("0x...", "...") count as unset
+const PLACEHOLDER = /^(0x)?\.\.\.$/;
+
+const int = (min, max = Number.MAX_SAFE_INTEGER) => ({ type: "int", min, max });
+const address = (extra = {}) => ({ type: "address", ...extra });
+const SCHEMA = {
+  NETWORK: { type: "enum", values: Object.keys(NETWORKS) },
+  CHAIN_ID: int(1),
+  BASE_RPC_URL: { type: "urls" },
+  BASE_RPC_URLS: { type: "urls" },
+  BASE_SEPOLIA_RPC_URL: { type: "urls" },
+  BASE_SEPOLIA_RPC_URLS: { type: "urls" },
+  LOCAL_RPC_URL: { type: "urls" },
+  RPC_TIMEOUT: int(1),
+  RPC_MAX_ROUNDS: int(1),
+  RPC_BACKOFF_BASE_MS: int(0),
+  RPC_BACKOFF_MAX_MS: int(0),
+  RPC_READ_QUORUM: int(1),
+
+  PRIVATE_KEY: { type: "privateKey" },
+  OWNER_ADDRESS: address({ nonZero: true }),
+  MANAGER_PRIVATE_KEY: { type: "privateKey" },
+  MANAGER_SIGNER: { type: "enum", values: ["env", "keystore", "remote"] },
+  MANAGER_KEYSTORE: { type: "file" },
+  MANAGER_KEYSTORE_PASSWORD_FILE: { type: "file" },
+  MANAGER_REMOTE_SIGNER_URL: { type: "urls" },
+  MANAGER_ADDRESS: address({ nonZero: true }),
+  TARGET_RIG: address({ nonZero: true }),
+  CONTROLLER_ADDRESS: address({ nonZero: true }),
+  RECIPIENT_ADDRESS: address({ nonZero: true }),
+  RECIPIENTS: { type: "string" },
+  RECIPIENT_POLICY: { type: "enum", values: ["fixed", "round-robin", "weighted", "least-received"] },
+
+  MAX_MINING_PRICE: { type: "uint" },
+  MIN_PROFIT_MARGIN: int(0, 1000000),
+
+  POLL_INTERVAL: int(1000),
+  EVENT_POLL_INTERVAL: int(0),
+  DEX_POOL_ADDRESS: address({ nonZero: true }),
+  DEX_POOL_TYPE: { type: "enum", values: ["v2", "v3"] },
+  DEX_GAS_POOL_ADDRESS: address({ nonZero: true }),
+  DEX_GAS_POOL_TYPE: { type: "enum", values: ["v2", "v3"] },
+  WETH_ADDRESS: address({ nonZero: true }),
+  EXPECTED_HOLD_SECONDS: int(1),
+  MINE_GAS_UNITS: int(21000),
+  SCHEDULER: { type: "enum", values: ["predictive", "fixed"] },
+  SCHEDULER_MAX_SLEEP: int(1),
+  SCHEDULER_LEAD_SECONDS: int(0),
+  BLOCK_TIME: int(1),
+  EPOCH_PERIOD: int(1),
+  EPOCH_URI: { type: "string" },
+  EPOCH_URI_LIST: { type: "file" },
+  EPOCH_URI_MAX_LENGTH: int(0),
+  AUTO_WRAP: { type: "bool" },
+  AUTO_WRAP_TARGET_MINES: int(1),
+  AUTO_WRAP_MIN_ETH: { type: "decimal" },
+  RUNWAY_LOOKBACK_BLOCKS: int(1),
+  MAX_SPEND_PER_HOUR: { type: "decimal" },
+  MAX_SPEND_PER_DAY: { type: "decimal" },
+  MAX_SPEND_PER_WEEK: { type: "decimal" },
+  MAX_MINES_PER_DAY: int(1),
+  PRICE_CEILING: { type: "decimal" },
+  MINING_WINDOWS: { type: "string" },
+  MINING_BLACKOUTS: { type: "string" },
+  TX_TIMEOUT: int(1000),
+  TX_MAX_REPLACEMENTS: int(0),
+  GAS_LIMIT_MARGIN_PCT: int(0, 1000),
+  PRIORITY_FEE_GWEI: { type: "decimal" },
+  TX_STATE_PATH: { type: "string" },
+  CONTROLLERS_FILE: { type: "file" },
+  LEDGER_PATH: { type: "string" },
+  HTTP_PORT: int(1, 65535),
+  HTTP_HOST: { type: "string" },
+  HEALTH_MAX_MISSED_POLLS: int(1),
+  LEADER_BACKEND: { type: "string" },
+  LEADER_LEASE_PATH: { type: "string" },
+  LEADER_LEASE_TTL: int(1000),
+  LEADER_RENEW_INTERVAL: int(100),
+  LEADER_ID: { type: "string" },
+  LOG_LEVEL: { type: "enum", values: Object.keys(LEVELS) },
+  LOG_FORMAT: { type: "enum", values: FORMATS },
+  LOG_FILE: { type: "string" },
+  LOG_FILE_MAX_MB: int(1),
+  LOG_FILE_COUNT: int(1),
+
+  NOTIFY_WEBHOOK_URL: { type: "urls" },
+  NOTIFY_DISCORD_WEBHOOK_URL: { type: "urls" },
+  NOTIFY_SLACK_WEBHOOK_URL: { type: "urls" },
+  NOTIFY_TELEGRAM_BOT_TOKEN: { type: "string" },
+  NOTIFY_TELEGRAM_CHAT_ID: { type: "string" },
+  NOTIFY_EVENTS: { type: "string" },
+  NOTIFY_LOW_BALANCE_MINES: int(0),
+  NOTIFY_ERROR_THRESHOLD: int(0),
+  NOTIFY_DEDUP_SECONDS: int(0),
+  NOTIFY_MAX_PER_MINUTE: int(1),
+
+  BASESCAN_API_KEY: { type: "string" },
+};
+
+const isSet = (value) => value !== undefined && value !== null && String(value).trim() !== "" && !PLACEHOLDER.test(String(value).trim());
+
+/**
+ * Check one value against its schema entry
+ * @returns {{value?: *, error?: string}} Normalized value, or why it is invalid
+ */
+function checkValue(spec, raw) {
+  const text = String(raw).trim();
+  switch (spec.type) {
+    case "int": {
+      if (!/^-?\d+$/.test(text)) return { error: `expected an integer (got "${text}")` };
+      const value = Number(text);
+      if (value < spec.min || value > spec.max) {
+        return { error: spec.max === Number.MAX_SAFE_INTEGER ? `must be at least ${spec.min} (got ${value})` : `must be between ${spec.min} and ${spec.max} (got ${value})` };
+      }
+      return { value };
+    }
+    case "uint":
+      return /^\d+$/.test(text) ? { value: BigInt(text) } : { error: `expected an integer amount in wei (got "${text}")` };
+    case "decimal":
+      return /^\d+(\.\d+)?$/.test(text) ? { value: text } : { error: `expected a non-negative number (got "${text}")` };
+    case "bool":
+      if (!["true", "false"].includes(text.toLowerCase())) return { error: `expected true or false (got "${text}")` };
+      return { value: text.toLowerCase() === "true" };
+    case "enum":
+      return spec.values.includes(text) ? { value: text } : { error: `expected one of ${spec.values.join(", ")} (got "${text}")` };
+    case "address": {
+      if (!ethers.isAddress(text)) return { error: `not a valid address (got "${text}")` };
+      const value = ethers.getAddress(text);
+      if (spec.nonZero && value === ethers.ZeroAddress) return { error: "must not be the zero address" };
+      return { value };
+    }
+    case "privateKey":
+      return /^(0x)?[0-9a-fA-F]{64}$/.test(text) ? { value: text } : { error: "expected a 32-byte hex private key" };
+    case "urls": {
+      const urls = text.split(",").map((url) => url.trim()).filter(Boolean);
+      const bad = urls.find((url) => !/^(https?|wss?):\/\//.test(url));
+      return bad ? { error: `not an http(s)/ws(s) URL: "${bad}"` } : { value: text };
+    }
+    case "file":
+      return fs.existsSync(path.resolve(text)) ? { value: text } : { error: `file not found: ${text}` };
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Checksummed, non-zero address or a descriptive error (shared with CONTROLLERS_FILE validation)
+ * @param {string} value
+ * @param {string} what Used in the error message
+ */
+function requireAddress(value, what) {
+  const { value: checked, error } = checkValue(address({ nonZero: true }), value ?? "");
+  if (error) {
+    throw configError([`${what}: ${isSet(value) ? error : "is required"}`]);
+  }
+  return checked;
+}
+
+function configError(problems, source) {
+  const error = new Error(`Invalid configuration${source ? ` (${source})` : ""}:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+  error.code = "INVALID_CONFIG";
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Read the optional JSON config file: an object keyed like the environment
+ * (e.g. { "NETWORK": "base", "CONTROLLER_ADDRESS": "0x..." })
+ */
+function readConfigFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  } catch (error) {
+    throw configError([`cannot read ${file}: ${error.message}`]);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw configError([`${file} must contain a JSON object`]);
+  }
+  const unknown = Object.keys(parsed).filter((key) => !SCHEMA[key]);
+  if (unknown.length > 0) {
+    throw configError(unknown.map((key) => `${key}: unknown setting in ${file}`));
+  }
+  return parsed;
+}
+
+/**
+ * Load and validate the configuration. Config file values fill in whatever the
+ * environment leaves unset (like dotenv, nothing already set is overridden),
+ * then addresses in `env` are rewritten checksummed so every helper reading
+ * the environment sees the validated values.
+ * @param {object} [options]
+ * @param {string[]} [options.required] Keys this script cannot run without
+ * @param {object} [options.env] Environment to read and normalize (defaults to process.env)
+ * @returns {{ network: object, chainId: number, rpc: object, values: object, env: object, file: string|null, warnings: string[] }}
+ */
+function loadConfig({ required = [], env = process.env } = {}) {
+  const file = isSet(env.CONFIG_FILE) ? env.CONFIG_FILE : null;
+  if (file) {
+    for (const [key, value] of Object.entries(readConfigFile(file))) {
+      if (!isSet(env[key]) && value !== null) {
+        env[key] = String(value);
+      }
+    }
+  }
+
+  const problems = [];
+  const values = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (!isSet(env[key])) {
+      if (required.includes(key)) {
+        problems.push(`${key}: is required (set it in .env${file ? ` or ${file}` : " or CONFIG_FILE"})`);
+      }
+      continue;
+    }
+    const { value, error } = checkValue(spec, env[key]);
+    if (error) {
+      problems.push(`${key}: ${error}`);
+    } else {
+      values[key] = value;
+      if (spec.type === "address") env[key] = value;
+    }
+  }
+
+  if ((values.RPC_BACKOFF_BASE_MS ?? 500) > (values.RPC_BACKOFF_MAX_MS ?? 30000)) {
+    problems.push("RPC_BACKOFF_BASE_MS: must not exceed RPC_BACKOFF_MAX_MS");
+  }
+  if (problems.length === 0) {
+    problems.push(...leaderProblems(leaderSettingsFromEnv(env)));
+  }
+  if (problems.length > 0) {
+    throw configError(problems, file ? `${file} + environment` : "environment");
+  }
+
+  const warnings = [];
+  const preset = NETWORKS[values.NETWORK || "base"];
+  const network = values.WETH_ADDRESS ? { ...preset, weth: values.WETH_ADDRESS } : preset;
+  const chainId = values.CHAIN_ID || network.chainId;
+  if (values.CHAIN_ID && values.CHAIN_ID !== network.chainId) {
+    warnings.push(`CHAIN_ID ${values.CHAIN_ID} overrides the ${network.label} chain ID ${network.chainId}`);
+  }
+
+  const rpcKey = network.rpcKeys.find((key) => values[key]);
+  const rpc = {
+    ...rpcSettingsFromEnv(env),
+    urls: (rpcKey ? values[rpcKey] : network.rpcUrl).split(",").map((url) => url.trim()).filter(Boolean),
+  };
+
+  return { network, chainId, rpc, values, env, file, warnings };
+}
+
+/**
+ * Refuse to continue when the RPC serves a different chain than configured
+ * @param {ethers.Provider} provider
+ * @param {object} config loadConfig() result
+ * @returns {Promise<ethers.Network>}
+ */
+async function verifyChain(provider, config) {
+  const network = await provider.getNetwork();
+  if (Number(network.chainId) !== config.chainId) {
+    const error = new Error(
+      `RPC is on chain ${network.chainId} but chain ${config.chainId} is configured ` +
+      `(${config.chainId === config.network.chainId ? `NETWORK=${config.network.name}` : "CHAIN_ID"}). ` +
+      `Check the RPC URL, or set NETWORK (${Object.keys(NETWORKS).join(", ")}) / CHAIN_ID`
+    );
+    error.code = "CHAIN_MISMATCH";
+    throw error;
+  }
+  return network;
+}
+
+/**
+ * Whether a token is the network's WETH (by address: symbols can be anything)
+ * @param {object} network loadConfig().network
+ * @param {string|null} token
+ */
+function isWeth(network, token) {
+  return Boolean(network && network.weth && token) && token.toLowerCase() === network.weth.toLowerCase();
+}
+
+/**
+ * Block explorer link for an address on the configured network (null without an explorer)
+ */
+function explorerUrl(config, addressOrTx, kind = "address") {
+  return config.network.explorer ? `${config.network.explorer}/${kind}/${addressOrTx}` : null;
+}
+
+module.exports = { loadConfig, verifyChain, requireAddress, explorerUrl, isWeth, NETWORKS, SCHEMA };
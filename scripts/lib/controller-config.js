@@ -0,0 +1,134 @@
+/**
+ * Controller config in human units
+ * Parsing and display helpers for the updateConfig() fields, shared by the
+ * admin CLI and the deploy script.
+ */
+
+const { ethers } = require("ethers");
+
+// Constructor defaults in FranchiserController.sol (script/Deploy.s.sol uses the same price and margin).
+// maxGasPrice is in gwei: the constructor's `10 gwei` reads as 10e9 gwei in
+// executeMine, so the deploy pipeline sets the intended 10 gwei cap instead
+const CONTRACT_DEFAULTS = {
+  maxMiningPrice: ethers.parseEther("0.001"),
+  minProfitMargin: 1000n,
+  maxMintAmount: ethers.parseEther("100"),
+  minMintAmount: ethers.parseEther("1"),
+  autoMiningEnabled: true,
+  cooldownPeriod: 300n,
+  maxGasPrice: 10n,
+  timeBasedMintPeriod: 3600n,
+};
+
+/**
+ * Seconds from "300", "5m", "1h", "1d"
+ */
+function parseDuration(value, name) {
+  const match = String(value).match(/^(\d+)([smhd]?)$/);
+  if (!match) {
+    throw new Error(`--${name}: expected a duration like 300, 5m, 1h or 1d (got "${value}")`);
+  }
+  const unit = { "": 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+  return BigInt(match[1]) * BigInt(unit);
+}
+
+/**
+ * Basis points from "10%", "10" (percent) or "1000bps"
+ */
+function parseMargin(value) {
+  const text = String(value).trim();
+  if (/^\d+bps$/.test(text)) {
+    return BigInt(text.slice(0, -3));
+  }
+  const percent = text.endsWith("%") ? text.slice(0, -1) : text;
+  if (!/^\d+(\.\d{1,2})?$/.test(percent)) {
+    throw new Error(`--min-profit: expected "10%", "10" or "1000bps" (got "${value}")`);
+  }
+  return ethers.parseUnits(percent, 2);
+}
+
+/**
+ * Whole gwei, as the contract stores maxGasPrice
+ */
+function parseGwei(value, name) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) || BigInt(text) === 0n) {
+    throw new Error(`--${name}: expected a whole number of gwei above 0 (got "${value}")`);
+  }
+  return BigInt(text);
+}
+
+function parseAmount(value, decimals, name) {
+  try {
+    return ethers.parseUnits(String(value), decimals);
+  } catch (error) {
+    throw new Error(`--${name}: invalid amount "${value}"`);
+  }
+}
+
+/**
+ * Apply `--max-price 0.001 --cooldown 5m ...` options to a config
+ * @param {object} config Current (or default) config
+ * @param {object} options Parsed command line options
+ * @param {number} quoteDecimals
+ * @returns {object} New config
+ */
+function applyConfigOptions(config, options, quoteDecimals) {
+  const next = { ...config };
+  if (options["max-price"] !== undefined) next.maxMiningPrice = parseAmount(options["max-price"], quoteDecimals, "max-price");
+  if (options["min-profit"] !== undefined) next.minProfitMargin = parseMargin(options["min-profit"]);
+  if (options["max-mint"] !== undefined) next.maxMintAmount = parseAmount(options["max-mint"], 18, "max-mint");
+  if (options["min-mint"] !== undefined) next.minMintAmount = parseAmount(options["min-mint"], 18, "min-mint");
+  if (options.enable && options.disable) throw new Error("Use either --enable or --disable");
+  if (options.enable) next.autoMiningEnabled = true;
+  if (options.disable) next.autoMiningEnabled = false;
+  if (options.cooldown !== undefined) next.cooldownPeriod = parseDuration(options.cooldown, "cooldown");
+  if (options["max-gas"] !== undefined) next.maxGasPrice = parseGwei(options["max-gas"], "max-gas");
+  if (options["time-period"] !== undefined) next.timeBasedMintPeriod = parseDuration(options["time-period"], "time-period");
+  return next;
+}
+
+/**
+ * Human-readable config fields, in updateConfig() argument order
+ */
+function configFields(quote) {
+  const formatQuote = (v) => `${ethers.formatUnits(v, quote.decimals)} ${quote.symbol}`;
+  return [
+    ["maxMiningPrice", "Max Mining Price", formatQuote],
+    ["minProfitMargin", "Min Profit", (v) => `${Number(v) / 100}% (${v} bps)`],
+    ["maxMintAmount", "Max Mint Amount", (v) => `${ethers.formatEther(v)} tokens`],
+    ["minMintAmount", "Min Mint Amount", (v) => `${ethers.formatEther(v)} tokens`],
+    ["autoMiningEnabled", "Auto Mining", (v) => (v ? "ENABLED" : "DISABLED")],
+    ["cooldownPeriod", "Cooldown", (v) => `${v}s`],
+    ["maxGasPrice", "Max Gas", (v) => `${v} gwei`],
+    ["timeBasedMintPeriod", "Time-Based Mint Period", (v) => `${v}s`],
+  ];
+}
+
+/**
+ * updateConfig() arguments for a config object
+ */
+function configArgs(config) {
+  return configFields({ decimals: 18, symbol: "" }).map(([key]) => config[key]);
+}
+
+function printConfigDiff(before, after, quote) {
+  for (const [key, label, format] of configFields(quote)) {
+    if (before[key] === after[key]) {
+      console.log(`    ${label}: ${format(before[key])}`);
+    } else {
+      console.log(`  ✏️  ${label}: ${format(before[key])} → ${format(after[key])}`);
+    }
+  }
+}
+
+module.exports = {
+  CONTRACT_DEFAULTS,
+  parseDuration,
+  parseMargin,
+  parseAmount,
+  applyConfigOptions,
+  configFields,
+  configArgs,
+  printConfigDiff,
+};
@@ -0,0 +1,82 @@
+/**
+ * Controller Events
+ * Follows a controller's TargetRigUpdated, ConfigUpdated and EmergencyStop
+ * events, so metadata cached from it can be dropped as soon as the owner
+ * changes something. Polls eth_getLogs over the blocks added since the last
+ * poll rather than using eth_newFilter: a filter lives on one node and is
+ * lost when the provider fails over to another endpoint.
+ */
+
+const WATCHED_EVENTS = ["TargetRigUpdated", "ConfigUpdated", "EmergencyStop"];
+// After a longer gap (laptop asleep, RPC outage) everything cached is dropped instead of catching up
+const MAX_CATCH_UP_BLOCKS = 5000;
+
+/**
+ * @param {object} options
+ * @param {ethers.Contract} options.controller Controller with the events in its ABI
+ * @param {ethers.Provider} options.provider
+ * @param {(event: object) => void} options.onEvent Called per event, in chain order:
+ *   { name, args, blockNumber, transactionHash }
+ * @param {() => void} options.onGap Called when events may have been missed
+ * @param {(error: Error) => void} [options.onError] Failed background polls
+ */
+function createControllerWatcher({ controller, provider, onEvent, onGap, onError = () => {} }) {
+  const topics = WATCHED_EVENTS.map((name) => controller.interface.getEvent(name).topicHash);
+  let lastBlock = null;
+  let inFlight = null;
+  let timer = null;
+
+  async function pollOnce() {
+    const latest = await provider.getBlockNumber();
+    if (lastBlock === null || latest - lastBlock > MAX_CATCH_UP_BLOCKS) {
+      const missed = lastBlock !== null;
+      lastBlock = latest;
+      if (missed) onGap();
+      return [];
+    }
+    if (latest <= lastBlock) {
+      return [];
+    }
+    const logs = await provider.getLogs({ address: controller.target, topics: [topics], fromBlock: lastBlock + 1, toBlock: latest });
+    lastBlock = latest;
+    const events = logs.map((log) => {
+      const parsed = controller.interface.parseLog(log);
+      return { name: parsed.name, args: parsed.args, blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+    });
+    events.forEach(onEvent);
+    return events;
+  }
+
+  /**
+   * Deliver events since the last poll (the first poll only sets the starting block)
+   * @returns {Promise<object[]>}
+   */
+  function poll() {
+    if (!inFlight) {
+      inFlight = pollOnce().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  }
+
+  /**
+   * Also poll in the background, between checks
+   * @param {number} intervalMs 0 polls only when poll() is called
+   */
+  function start(intervalMs) {
+    if (intervalMs > 0 && !timer) {
+      timer = setInterval(() => poll().catch(onError), intervalMs);
+      timer.unref();
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { poll, start, stop, lastBlock: () => lastBlock };
+}
+
+module.exports = { createControllerWatcher, WATCHED_EVENTS };
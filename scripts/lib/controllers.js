@@ -0,0 +1,198 @@
+/**
+ * Controller List
+ * Resolves which controllers to operate on: the entries of CONTROLLERS_FILE
+ * when set, otherwise the single controller described by the environment
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { requireAddress } = require("./config");
+const { epochUriFromEnv, epochUriProblems } = require("./epoch-uri");
+const { parseRecipients, recipientProblems } = require("./recipients");
+const { spendPolicyFromEnv, spendPolicyProblems } = require("./spend-policy");
+
+/**
+ * Market valuation settings from the environment (used as the default for
+ * every controller)
+ */
+function marketFromEnv(env = process.env) {
+  if (!env.DEX_POOL_ADDRESS) {
+    return null;
+  }
+  return {
+    pool: env.DEX_POOL_ADDRESS,
+    poolType: env.DEX_POOL_TYPE || "v2",
+    holdSeconds: env.EXPECTED_HOLD_SECONDS ? parseInt(env.EXPECTED_HOLD_SECONDS) : undefined,
+    gasUnits: env.MINE_GAS_UNITS ? parseInt(env.MINE_GAS_UNITS) : undefined,
+    gasPool: env.DEX_GAS_POOL_ADDRESS || undefined,
+    gasPoolType: env.DEX_GAS_POOL_TYPE || undefined,
+  };
+}
+
+// Market settings and the environment variable each one comes from
+const MARKET_KEYS = {
+  pool: "DEX_POOL_ADDRESS",
+  poolType: "DEX_POOL_TYPE",
+  holdSeconds: "EXPECTED_HOLD_SECONDS",
+  gasUnits: "MINE_GAS_UNITS",
+  gasPool: "DEX_GAS_POOL_ADDRESS",
+  gasPoolType: "DEX_GAS_POOL_TYPE",
+};
+const POOL_TYPES = ["v2", "v3"];
+
+// Per-controller epoch URI ("epochUri" template or "epochUriList" path), replacing the environment's
+const epochUriOverride = (source) => (source.epochUri || source.epochUriList
+  ? { template: source.epochUri || null, list: source.epochUriList || null }
+  : null);
+
+/**
+ * Load the controllers to operate on
+ * @param {object} [env] Environment to read (defaults to process.env)
+ * @returns {Array<{name: string, address: string, recipient: string, recipients: Array<{address: string, weight: number}>, recipientPolicy: string, pollInterval: number, signer: string, market: object|null, epochUri: object, spendPolicy: object}>}
+ *   `recipient` is the first of `recipients`
+ */
+function loadControllers(env = process.env) {
+  const pollInterval = parseInt(env.POLL_INTERVAL || "60000"); // 1 minute default
+  const recipient = env.RECIPIENT_ADDRESS || env.OWNER_ADDRESS;
+  const recipients = env.RECIPIENTS ? parseRecipients(env.RECIPIENTS) : null;
+  const recipientPolicy = env.RECIPIENT_POLICY || "fixed";
+  const market = marketFromEnv(env);
+  const epochUri = epochUriFromEnv(env);
+  const spendPolicy = spendPolicyFromEnv(env);
+  // An explicit list wins over the single recipient
+  const withRecipients = (list, single, policy) => {
+    const resolved = list || [{ address: single, weight: 1 }];
+    return { recipient: resolved[0].address, recipients: resolved, recipientPolicy: policy };
+  };
+
+  if (!env.CONTROLLERS_FILE) {
+    return [{
+      name: "default",
+      address: env.CONTROLLER_ADDRESS,
+      ...withRecipients(recipients, recipient, recipientPolicy),
+      pollInterval,
+      signer: "MANAGER_PRIVATE_KEY",
+      market,
+      epochUri,
+      spendPolicy,
+    }];
+  }
+
+  const file = JSON.parse(fs.readFileSync(path.resolve(env.CONTROLLERS_FILE), "utf8"));
+  const defaults = file.defaults || {};
+  if (!Array.isArray(file.controllers) || file.controllers.length === 0) {
+    throw new Error(`${env.CONTROLLERS_FILE}: "controllers" must be a non-empty array`);
+  }
+
+  return file.controllers.map((entry, index) => {
+    // Recipients come from the entry, else the defaults, else the environment
+    const source = [entry, defaults].find((s) => s.recipients || s.recipient);
+    const list = !source ? recipients : source.recipients ? parseRecipients(source.recipients) : null;
+    return {
+      name: entry.name || `controller-${index}`,
+      address: entry.address,
+      ...withRecipients(list, entry.recipient || defaults.recipient || recipient, entry.recipientPolicy || defaults.recipientPolicy || recipientPolicy),
+      pollInterval: entry.pollInterval || defaults.pollInterval || pollInterval,
+      signer: entry.signer || defaults.signer || "MANAGER_PRIVATE_KEY",
+      market: entry.market || defaults.market || market,
+      epochUri: { ...epochUri, ...(epochUriOverride(entry) || epochUriOverride(defaults)) },
+      // Each "spendPolicy" key replaces the environment's (null lifts a limit)
+      spendPolicy: { ...spendPolicy, ...defaults.spendPolicy, ...entry.spendPolicy },
+    };
+  });
+}
+
+/**
+ * Validate loaded controllers: checksummed addresses, non-zero recipients
+ * with a valid policy, a sane poll interval, usable epoch URIs, readable spend
+ * limits, market pools and amounts, and unique names. Reports every problem at
+ * once.
+ * @param {Array<object>} entries loadControllers() result
+ * @returns {Array<object>} Entries with checksummed addresses
+ */
+function checkControllers(entries) {
+  const problems = [];
+  const names = new Set();
+  const checked = entries.map((entry) => {
+    const where = entry.name === "default" ? null : `controller "${entry.name}"`;
+    const check = (value, key, envKey) => {
+      try {
+        return requireAddress(value, where ? `${where} ${key}` : envKey);
+      } catch (error) {
+        problems.push(...error.problems);
+        return value;
+      }
+    };
+    if (names.has(entry.name)) {
+      problems.push(`${where}: duplicate name`);
+    }
+    names.add(entry.name);
+    if (!Number.isInteger(entry.pollInterval) || entry.pollInterval < 1000) {
+      problems.push(`${where || "POLL_INTERVAL"}: poll interval must be an integer of at least 1000 ms (got ${JSON.stringify(entry.pollInterval)})`);
+    }
+    if (entry.epochUri) {
+      const uriKey = where ? `${where} epochUri` : entry.epochUri.list ? "EPOCH_URI_LIST" : "EPOCH_URI";
+      problems.push(...epochUriProblems(entry.epochUri).map((problem) => `${uriKey}: ${problem}`));
+    }
+    if (entry.spendPolicy) {
+      problems.push(...spendPolicyProblems(entry.spendPolicy, where));
+    }
+    let market = entry.market;
+    if (market) {
+      // The same checks the environment's DEX_* keys get in config.js
+      const marketKey = (key) => (where ? `${where} market.${key}` : MARKET_KEYS[key]);
+      const isSet = (key) => market[key] !== null && market[key] !== undefined;
+      for (const key of Object.keys(market).filter((key) => !MARKET_KEYS[key])) {
+        problems.push(`${where} market: unknown setting "${key}" (expected ${Object.keys(MARKET_KEYS).join(", ")})`);
+      }
+      for (const key of ["poolType", "gasPoolType"]) {
+        if (isSet(key) && !POOL_TYPES.includes(String(market[key]).toLowerCase())) {
+          problems.push(`${marketKey(key)}: expected one of ${POOL_TYPES.join(", ")} (got "${market[key]}")`);
+        }
+      }
+      for (const [key, min] of [["holdSeconds", 1], ["gasUnits", 21000]]) {
+        if (isSet(key) && !(Number.isInteger(market[key]) && market[key] >= min)) {
+          problems.push(`${marketKey(key)}: expected a whole number of at least ${min} (got ${JSON.stringify(market[key])})`);
+        }
+      }
+      market = {
+        ...market,
+        pool: check(market.pool, "market.pool", MARKET_KEYS.pool),
+        gasPool: isSet("gasPool") ? check(market.gasPool, "market.gasPool", MARKET_KEYS.gasPool) : undefined,
+      };
+    }
+    const recipientsKey = where ? `${where} recipients` : "RECIPIENTS";
+    problems.push(...recipientProblems(entry.recipientPolicy, entry.recipients).map((problem) => `${recipientsKey}: ${problem}`));
+    const recipients = entry.recipients.map((r) => ({
+      ...r,
+      address: check(r.address, entry.recipients.length > 1 ? "recipients" : "recipient", entry.recipients.length > 1 ? "RECIPIENTS" : "RECIPIENT_ADDRESS (or OWNER_ADDRESS)"),
+    }));
+    return {
+      ...entry,
+      address: check(entry.address, "address", "CONTROLLER_ADDRESS"),
+      recipient: recipients[0].address,
+      recipients,
+      market,
+    };
+  });
+  if (problems.length > 0) {
+    const error = new Error(`Invalid controller configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+    error.code = "INVALID_CONFIG";
+    error.problems = problems;
+    throw error;
+  }
+  return checked;
+}
+
+/**
+ * Find the configured entry for a controller address, if any
+ * @param {string} address
+ * @param {Array<object>} entries loadControllers() result
+ */
+function findController(address, entries) {
+  return entries.find(
+    (entry) => entry.address && entry.address.toLowerCase() === String(address).toLowerCase()
+  ) || null;
+}
+
+module.exports = { loadControllers, checkControllers, findController, marketFromEnv };
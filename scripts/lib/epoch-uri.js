@@ -0,0 +1,131 @@
+/**
+ * Epoch URI
+ * The metadata URI passed to executeMine, which the rig keeps as the new
+ * epoch's `epochUri`. Either one template (EPOCH_URI) or a rotating list of
+ * templates (EPOCH_URI_LIST: a text file with one per line, or a directory
+ * whose files hold one each) that advances by one entry per successful mine.
+ * The list is re-read for every mine, so entries can be added while the
+ * monitor runs.
+ *
+ * Placeholders: {epochId} {timestamp} {recipient} {controller} {price} {priceWei}
+ * ({price} in whole quote tokens, e.g. 0.00081; {timestamp} in unix seconds)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const PLACEHOLDERS = ["epochId", "timestamp", "recipient", "controller", "price", "priceWei"];
+const DEFAULT_MAX_LENGTH = 256; // Bytes; the rig stores the URI, so every 32 bytes cost storage gas
+
+// Realistic upper values for checking templates at startup
+const SAMPLE = {
+  epochId: "9999999999",
+  timestamp: "9999999999",
+  recipient: `0x${"f".repeat(40)}`,
+  controller: `0x${"f".repeat(40)}`,
+  price: "1000.000000000000000001",
+  priceWei: "1000000000000000000001",
+};
+
+/**
+ * Epoch URI settings from the environment
+ */
+function epochUriFromEnv(env = process.env) {
+  return {
+    template: env.EPOCH_URI || null,
+    list: env.EPOCH_URI_LIST || null,
+    maxLength: parseInt(env.EPOCH_URI_MAX_LENGTH || String(DEFAULT_MAX_LENGTH)),
+  };
+}
+
+function uriError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Templates currently configured (empty when no URI is set)
+ */
+function readTemplates(settings) {
+  if (settings.template) {
+    return [settings.template];
+  }
+  if (!settings.list) {
+    return [];
+  }
+  try {
+    const resolved = path.resolve(settings.list);
+    if (fs.statSync(resolved).isDirectory()) {
+      return fs.readdirSync(resolved)
+        .filter((name) => !name.startsWith("."))
+        .sort()
+        .map((name) => fs.readFileSync(path.join(resolved, name), "utf8").trim())
+        .filter(Boolean);
+    }
+    return fs.readFileSync(resolved, "utf8")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+  } catch (error) {
+    throw uriError("EPOCH_URI_UNAVAILABLE", `Cannot read epoch URI list ${settings.list}: ${error.message}`);
+  }
+}
+
+const fill = (template, context) => template.replace(/\{(\w+)\}/g, (match, key) => (key in context ? String(context[key]) : match));
+
+/**
+ * Problems with the settings, for startup validation
+ * @returns {string[]}
+ */
+function epochUriProblems(settings) {
+  if (settings.template && settings.list) {
+    return ["set an epoch URI template or a list, not both"];
+  }
+  let templates;
+  try {
+    templates = readTemplates(settings);
+  } catch (error) {
+    return [error.message];
+  }
+  if (settings.list && templates.length === 0) {
+    return [`${settings.list} has no URIs`];
+  }
+
+  const problems = [];
+  for (const template of templates) {
+    const unknown = [...template.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).filter((key) => !PLACEHOLDERS.includes(key));
+    if (unknown.length > 0) {
+      problems.push(`"${template}": unknown placeholder ${unknown.map((key) => `{${key}}`).join(", ")} (available: ${PLACEHOLDERS.map((key) => `{${key}}`).join(" ")})`);
+      continue;
+    }
+    const length = Buffer.byteLength(fill(template, SAMPLE));
+    if (length > settings.maxLength) {
+      problems.push(`"${template}": up to ${length} bytes when filled in, over the ${settings.maxLength} byte limit (EPOCH_URI_MAX_LENGTH)`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * The URI for one mine
+ * @param {object} settings epochUriFromEnv() settings
+ * @param {object} context Placeholder values plus `index` (successful mines so far, selects the list entry)
+ * @returns {{ uri: string, entry: number|null }} `entry` is the list position used (null for a single template)
+ * @throws {Error} code EPOCH_URI_TOO_LONG or EPOCH_URI_UNAVAILABLE
+ */
+function renderEpochUri(settings, { index = 0, ...context }) {
+  const templates = readTemplates(settings);
+  if (templates.length === 0) {
+    return { uri: "", entry: null };
+  }
+  const entry = settings.list ? index % templates.length : null;
+  const uri = fill(templates[entry ?? 0], context);
+  const length = Buffer.byteLength(uri);
+  if (length > settings.maxLength) {
+    throw uriError("EPOCH_URI_TOO_LONG", `Epoch URI is ${length} bytes, over the ${settings.maxLength} byte limit (EPOCH_URI_MAX_LENGTH): ${uri.slice(0, 60)}...`);
+  }
+  return { uri, entry };
+}
+
+module.exports = { epochUriFromEnv, epochUriProblems, renderEpochUri, PLACEHOLDERS, DEFAULT_MAX_LENGTH };
@@ -0,0 +1,56 @@
+/**
+ * Error Categories
+ * Maps errors to the stable categories used in stats, metrics, the ledger
+ * and structured logs. Controller reverts are matched on the exact require()
+ * reason ethers decodes from the revert data, everything else on the error
+ * code (ethers codes plus the ones our own modules set).
+ */
+
+// require() reasons in FranchiserController.executeMine
+const REVERT_CATEGORIES = {
+  "Auto mining disabled": "disabled",
+  "Cooldown active": "cooldown",
+  "Gas price too high": "gas_price",
+  "Price too high and time condition not met": "price_too_high",
+  "Insufficient quote token balance": "insufficient_balance",
+};
+
+const CODE_CATEGORIES = {
+  GAS_PRICE_TOO_HIGH: "gas_price", // tx-manager: base fee above the controller's maxGasPrice
+  NETWORK_ERROR: "rpc",
+  SERVER_ERROR: "rpc",
+  TIMEOUT: "rpc",
+  RPC_UNAVAILABLE: "rpc", // rpc.js: every endpoint failed
+  QUORUM_NOT_MET: "rpc",
+  INSUFFICIENT_FUNDS: "manager_funds", // Manager cannot pay for gas
+  NONCE_EXPIRED: "nonce",
+  REPLACEMENT_UNDERPRICED: "nonce",
+  NONCE_BLOCKED: "nonce", // tx-manager: an earlier transaction is still pending
+  CALL_EXCEPTION: "revert",
+};
+
+// Categories that describe a normal waiting state rather than a failure
+// (losing an epoch to another miner is part of competing for it)
+const EXPECTED_CATEGORIES = new Set(["disabled", "cooldown", "price_too_high", "epoch_race"]);
+
+/**
+ * The require() reason or custom error name of a revert, if ethers could decode one
+ * @returns {string|null}
+ */
+function revertReason(error) {
+  if (error.reason) return error.reason;
+  if (error.revert) return error.revert.name === "Error" ? String(error.revert.args[0]) : error.revert.name;
+  return null;
+}
+
+/**
+ * Map an error to a stable category for stats and metrics
+ * @returns {string}
+ */
+function classifyError(error) {
+  const reason = revertReason(error);
+  if (reason && REVERT_CATEGORIES[reason]) return REVERT_CATEGORIES[reason];
+  return CODE_CATEGORIES[error.code] || "other";
+}
+
+module.exports = { classifyError, revertReason, EXPECTED_CATEGORIES };
@@ -0,0 +1,115 @@
+/**
+ * Funding
+ * Keeps the controller's quote balance topped up from native ETH sent to it
+ * (via the manager-callable `wrapETH`, WETH-quoted rigs only) and forecasts
+ * how long the balance lasts from recent mine prices and frequency.
+ */
+
+const { ethers } = require("ethers");
+
+const RECENT_MINES = 20;
+
+/**
+ * Auto-wrap settings from the environment
+ */
+function fundingSettingsFromEnv(env = process.env) {
+  return {
+    autoWrap: (env.AUTO_WRAP || "true").toLowerCase() !== "false",
+    targetMines: BigInt(env.AUTO_WRAP_TARGET_MINES || "10"),
+    minWrapWei: ethers.parseEther(env.AUTO_WRAP_MIN_ETH || "0.001"),
+  };
+}
+
+/**
+ * How much ETH to wrap so the quote balance covers `targetMines` mines at
+ * `mineCost`. Returns null when nothing should be wrapped; 0n means "all"
+ * (used when the remainder would be dust).
+ * @param {object} params
+ * @param {bigint} params.ethBalance Native ETH held by the controller
+ * @param {bigint} params.quoteBalance Quote (WETH) held by the controller
+ * @param {bigint} params.mineCost Expected cost of one mine
+ * @param {object} params.settings fundingSettingsFromEnv() settings
+ */
+function planWrap({ ethBalance, quoteBalance, mineCost, settings }) {
+  if (!settings.autoWrap || ethBalance < settings.minWrapWei) return null;
+  const target = mineCost * settings.targetMines;
+  if (quoteBalance >= target) return null;
+  const needed = target - quoteBalance;
+  if (needed >= ethBalance || ethBalance - needed < settings.minWrapWei) return 0n;
+  return needed < settings.minWrapWei ? settings.minWrapWei : needed;
+}
+
+/**
+ * Forecast how many mines the balance pays for and how long that lasts
+ * @param {object} params
+ * @param {bigint} params.quoteBalance Quote balance of the controller
+ * @param {bigint} [params.wrappableEth] Native ETH that will be wrapped into quote (WETH rigs)
+ * @param {bigint} params.currentPrice Used as the mine cost until mines have been observed
+ * @param {Array<{time: number, cost: bigint}>} params.recentMines Oldest first, time in ms
+ * @param {number} params.fallbackIntervalSeconds Mine spacing without history (e.g. timeBasedMintPeriod)
+ * @returns {{ funds: bigint, mineCost: bigint, mines: bigint|null, intervalSeconds: number, seconds: number|null, basis: string }}
+ */
+function forecastRunway({ quoteBalance, wrappableEth = 0n, currentPrice, recentMines, fallbackIntervalSeconds }) {
+  const mines = recentMines.slice(-RECENT_MINES);
+  const funds = quoteBalance + wrappableEth;
+
+  let mineCost = currentPrice;
+  let basis = "current price";
+  if (mines.length > 0) {
+    mineCost = mines.reduce((sum, m) => sum + m.cost, 0n) / BigInt(mines.length);
+    basis = `last ${mines.length} mine${mines.length === 1 ? "" : "s"}`;
+  }
+
+  let intervalSeconds = fallbackIntervalSeconds;
+  if (mines.length >= 2) {
+    intervalSeconds = (mines[mines.length - 1].time - mines[0].time) / 1000 / (mines.length - 1);
+  }
+
+  const minesLeft = mineCost > 0n ? funds / mineCost : null;
+  return {
+    funds,
+    mineCost,
+    mines: minesLeft,
+    intervalSeconds,
+    seconds: minesLeft === null ? null : Number(minesLeft) * intervalSeconds,
+    basis,
+  };
+}
+
+/**
+ * "~N mines / ~X hours" summary line
+ */
+function describeRunway(runway, formatQuote) {
+  if (runway.mines === null) {
+    return `Balance ${formatQuote(runway.funds)} (mines are currently free)`;
+  }
+  const hours = runway.seconds / 3600;
+  const duration = hours >= 48 ? `~${(hours / 24).toFixed(1)} days` : `~${hours.toFixed(1)} hours`;
+  const every = runway.intervalSeconds >= 3600
+    ? `${(runway.intervalSeconds / 3600).toFixed(1)}h`
+    : `${Math.round(runway.intervalSeconds / 60)}m`;
+  return `Balance lasts ~${runway.mines} mines / ${duration} (${formatQuote(runway.mineCost)} per mine, one every ~${every}, from ${runway.basis})`;
+}
+
+/**
+ * Recent successful mines from TokensMinted events, for tools without a ledger
+ * @param {ethers.Contract} controller Controller with the TokensMinted event in its ABI
+ * @param {ethers.Provider} provider
+ * @param {number} lookbackBlocks How far back to search
+ * @param {number} [chunkSize] Blocks per getLogs request (public RPCs cap the range)
+ */
+async function recentMinesFromChain(controller, provider, lookbackBlocks, chunkSize = 10000) {
+  const latest = await provider.getBlockNumber();
+  const events = [];
+  for (let to = latest; to > latest - lookbackBlocks && events.length < RECENT_MINES; to -= chunkSize) {
+    const from = Math.max(0, to - chunkSize + 1, latest - lookbackBlocks + 1);
+    const chunk = await controller.queryFilter("TokensMinted", from, to);
+    events.unshift(...chunk);
+    if (from === 0) break;
+  }
+  const recent = events.slice(-RECENT_MINES);
+  const blocks = await Promise.all(recent.map((event) => provider.getBlock(event.blockNumber)));
+  return recent.map((event, i) => ({ time: blocks[i].timestamp * 1000, cost: event.args.cost }));
+}
+
+module.exports = { fundingSettingsFromEnv, planWrap, forecastRunway, describeRunway, recentMinesFromChain };
@@ -0,0 +1,321 @@
+/**
+ * Controller History
+ * Reads every event a controller has emitted (mines, config updates,
+ * withdrawals, wraps, rig changes) with chunked getLogs requests, and joins
+ * mines with their block time and gas cost. Progress is cached per controller,
+ * so a later run only scans the blocks added since. The last REORG_DEPTH
+ * blocks are re-read every run instead of cached.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_CACHE_DIR = "data/report-cache";
+const DEFAULT_CHUNK_SIZE = 10000; // Blocks per getLogs request; halved when the node refuses the range
+const REORG_DEPTH = 12;
+const CACHE_VERSION = 1;
+const FETCH_BATCH = 10; // Blocks / receipts requested at once
+
+// Node responses that mean "ask for a smaller block range"
+const RANGE_LIMIT_PATTERN = /block range|range (is )?too (large|wide)|more than \d+ (results|logs)|too many (results|logs)|max(imum)? .*range|response size|query timeout|limit exceeded/i;
+
+function historyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Scan progress for one controller, kept in `<dir>/<chainId>-<controller>.json`
+ * @param {string} dir
+ * @param {object} key
+ * @param {number} key.chainId
+ * @param {string} key.controller
+ * @param {boolean} [key.refresh] Ignore what is cached
+ */
+function openHistoryCache(dir, { chainId, controller, refresh = false }) {
+  const file = path.resolve(dir, `${chainId}-${controller.toLowerCase()}.json`);
+  const empty = () => ({ version: CACHE_VERSION, chainId, controller, fromBlock: null, scannedTo: null, events: [], blocks: {}, receipts: {} });
+  let data = empty();
+  if (!refresh && fs.existsSync(file)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (stored.version === CACHE_VERSION && stored.chainId === chainId) {
+        data = stored;
+      }
+    } catch (error) {
+      // Unreadable cache: scan again from scratch
+    }
+  }
+
+  return {
+    file,
+    data,
+    /**
+     * Start over when asked for blocks before the cached range
+     */
+    coverFrom(fromBlock) {
+      if (data.fromBlock === null || fromBlock < data.fromBlock) {
+        data = empty();
+        this.data = data;
+        data.fromBlock = fromBlock;
+      }
+    },
+    save() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(data));
+    },
+  };
+}
+
+/**
+ * Block the controller was deployed in, by binary search over eth_getCode
+ * (needs a node with historical state)
+ */
+async function findDeploymentBlock(provider, address, latest) {
+  let low = 0;
+  let high = latest;
+  try {
+    if ((await provider.getCode(address, latest)) === "0x") {
+      throw historyError("NOT_A_CONTRACT", `No contract at ${address}`);
+    }
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if ((await provider.getCode(address, mid)) === "0x") {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+  } catch (error) {
+    if (error.code === "NOT_A_CONTRACT") throw error;
+    throw historyError("DEPLOY_BLOCK_UNKNOWN", `Could not find the deployment block (${error.shortMessage || error.message}); pass --from <block>`);
+  }
+  return low;
+}
+
+/**
+ * Plain record of a parsed log (bigints as decimal strings, so it can be cached)
+ */
+function toRecord(log) {
+  const args = {};
+  log.fragment.inputs.forEach((input, i) => {
+    const value = log.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return { event: log.eventName, block: log.blockNumber, logIndex: log.index, hash: log.transactionHash, ...args };
+}
+
+/**
+ * Logs in [from, to], split into chunks the node accepts
+ */
+async function queryRange(controller, from, to, state) {
+  const records = [];
+  let found = 0;
+  let start = from;
+  while (start <= to) {
+    const end = Math.min(to, start + state.chunkSize - 1);
+    let logs;
+    try {
+      logs = await controller.queryFilter("*", start, end);
+    } catch (error) {
+      const message = [error.shortMessage, error.message, error.error && error.error.message].filter(Boolean).join(" ");
+      if (state.chunkSize > 1 && RANGE_LIMIT_PATTERN.test(message)) {
+        state.chunkSize = Math.max(1, Math.floor(state.chunkSize / 2));
+        continue;
+      }
+      throw error;
+    }
+    // Logs that do not decode with the ABI (foreign events) are skipped
+    records.push(...logs.filter((log) => log.fragment).map(toRecord));
+    state.found += records.length - found;
+    found = records.length;
+    state.onProgress({ from: start, to: end, found: state.found, chunkSize: state.chunkSize });
+    start = end + 1;
+  }
+  return records;
+}
+
+/**
+ * All controller events in [fromBlock, toBlock], from the cache where possible
+ * @param {object} options
+ * @param {ethers.Contract} options.controller With CONTROLLER_ABI (including withdrawal events)
+ * @param {object} options.cache openHistoryCache() result
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock
+ * @param {number} options.latest Chain head, for the reorg margin
+ * @param {number} [options.chunkSize]
+ * @param {(progress: object) => void} [options.onProgress]
+ * @returns {Promise<object[]>} Records in chain order
+ */
+async function scanEvents({ controller, cache, fromBlock, toBlock, latest, chunkSize = DEFAULT_CHUNK_SIZE, onProgress = () => {} }) {
+  cache.coverFrom(fromBlock);
+  const state = { chunkSize, found: 0, onProgress: (progress) => onProgress({ ...progress, target: toBlock }) };
+  const safe = Math.min(toBlock, latest - REORG_DEPTH);
+  const cachedTo = cache.data.scannedTo ?? cache.data.fromBlock - 1;
+
+  // Confirmed blocks are cached one chunk at a time, so an interrupted scan resumes
+  let start = cachedTo + 1;
+  while (start <= safe) {
+    const end = Math.min(safe, start + state.chunkSize * 10 - 1);
+    const records = await queryRange(controller, start, end, state);
+    cache.data.events.push(...records);
+    cache.data.scannedTo = end;
+    cache.save();
+    start = end + 1;
+  }
+
+  const tip = await queryRange(controller, Math.max(start, fromBlock), toBlock, state);
+  return [...cache.data.events, ...tip].filter((r) => r.block >= fromBlock && r.block <= toBlock);
+}
+
+/**
+ * Fetch in small parallel batches, remembering results in `store`
+ */
+async function fetchMissing(keys, store, fetchOne) {
+  const missing = [...new Set(keys)].filter((key) => !(key in store));
+  for (let i = 0; i < missing.length; i += FETCH_BATCH) {
+    const batch = missing.slice(i, i + FETCH_BATCH);
+    const values = await Promise.all(batch.map(fetchOne));
+    batch.forEach((key, j) => {
+      store[key] = values[j];
+    });
+  }
+}
+
+/**
+ * Mines joined with block time and transaction gas cost. On OP-stack chains
+ * (Base) `gasCost` includes the L1 data fee the node reports in the receipt;
+ * `l1Fee` is null where it reports none, and `gasCost` is then L2 execution only.
+ * @returns {Promise<object[]>} { block, time, hash, from, recipient, epochId, amount, cost, gasUsed, gasPrice, l1Fee, gasCost }
+ */
+async function joinMines(provider, cache, records) {
+  const mines = records.filter((r) => r.event === "TokensMinted");
+  await fetchMissing(mines.map((m) => String(m.block)), cache.data.blocks, async (block) => {
+    const header = await provider.getBlock(Number(block));
+    return header.timestamp;
+  });
+  // Receipts cached before the L1 fee was kept are read again
+  for (const [hash, receipt] of Object.entries(cache.data.receipts)) {
+    if (!("l1Fee" in receipt)) delete cache.data.receipts[hash];
+  }
+  await fetchMissing(mines.map((m) => m.hash), cache.data.receipts, async (hash) => {
+    // Raw JSON-RPC: ethers' receipt drops the OP-stack l1Fee field
+    const receipt = await provider.send("eth_getTransactionReceipt", [hash]);
+    return {
+      from: ethers.getAddress(receipt.from),
+      gasUsed: BigInt(receipt.gasUsed).toString(),
+      gasPrice: BigInt(receipt.effectiveGasPrice || receipt.gasPrice || 0).toString(),
+      l1Fee: receipt.l1Fee ? BigInt(receipt.l1Fee).toString() : null,
+    };
+  });
+  cache.save();
+
+  return mines.map((m) => {
+    const receipt = cache.data.receipts[m.hash];
+    const gasUsed = BigInt(receipt.gasUsed);
+    const gasPrice = BigInt(receipt.gasPrice);
+    const l1Fee = receipt.l1Fee === null ? null : BigInt(receipt.l1Fee);
+    return {
+      block: m.block,
+      time: cache.data.blocks[String(m.block)],
+      hash: m.hash,
+      from: receipt.from,
+      recipient: m.recipient,
+      epochId: BigInt(m.epochId),
+      amount: BigInt(m.amount),
+      cost: BigInt(m.cost),
+      gasUsed,
+      gasPrice,
+      l1Fee,
+      gasCost: gasUsed * gasPrice + (l1Fee || 0n),
+    };
+  });
+}
+
+const day = (time) => new Date(time * 1000).toISOString().slice(0, 10);
+
+/**
+ * Totals over mines and the other controller events
+ */
+function summarize(mines, records) {
+  const costs = mines.map((m) => m.cost);
+  const spent = costs.reduce((sum, c) => sum + c, 0n);
+  const perDay = {};
+  for (const mine of mines) {
+    const bucket = perDay[day(mine.time)] || (perDay[day(mine.time)] = { mines: 0, spent: 0n, gasCost: 0n });
+    bucket.mines++;
+    bucket.spent += mine.cost;
+    bucket.gasCost += mine.gasCost;
+  }
+
+  const withdrawals = records
+    .filter((r) => r.event === "ETHWithdrawn" || r.event === "TokensWithdrawn")
+    .map((r) => ({ block: r.block, hash: r.hash, token: r.event === "ETHWithdrawn" ? null : r.token, to: r.to, amount: BigInt(r.amount) }));
+  const withdrawnTokens = {};
+  for (const w of withdrawals.filter((w) => w.token)) {
+    withdrawnTokens[w.token] = (withdrawnTokens[w.token] || 0n) + w.amount;
+  }
+
+  return {
+    mines: mines.length,
+    firstMine: mines.length > 0 ? mines[0].time : null,
+    lastMine: mines.length > 0 ? mines[mines.length - 1].time : null,
+    perDay,
+    price: mines.length === 0 ? null : {
+      average: spent / BigInt(mines.length),
+      min: costs.reduce((a, b) => (b < a ? b : a)),
+      max: costs.reduce((a, b) => (b > a ? b : a)),
+    },
+    spent,
+    minted: mines.reduce((sum, m) => sum + m.amount, 0n),
+    gasUsed: mines.reduce((sum, m) => sum + m.gasUsed, 0n),
+    gasCost: mines.reduce((sum, m) => sum + m.gasCost, 0n),
+    l1Fee: mines.reduce((sum, m) => sum + (m.l1Fee || 0n), 0n),
+    l1FeeMines: mines.filter((m) => m.l1Fee !== null).length, // Mines whose gasCost includes the L1 data fee
+    withdrawals,
+    withdrawnEth: withdrawals.filter((w) => !w.token).reduce((sum, w) => sum + w.amount, 0n),
+    withdrawnTokens,
+    configUpdates: records.filter((r) => r.event === "ConfigUpdated").length,
+    rigUpdates: records.filter((r) => r.event === "TargetRigUpdated").length,
+    emergencyStops: records.filter((r) => r.event === "EmergencyStop").length,
+  };
+}
+
+// gasCost is L2 execution + l1Fee; an empty l1Fee means the node reported none (L2 execution only)
+const CSV_COLUMNS = ["block", "time", "hash", "from", "recipient", "epochId", "amount", "cost", "gasUsed", "gasPriceGwei", "l1Fee", "gasCost"];
+
+/**
+ * Mines as CSV, amounts in whole tokens
+ * @param {object[]} mines joinMines() rows
+ * @param {number} quoteDecimals
+ */
+function minesToCsv(mines, quoteDecimals) {
+  const rows = mines.map((m) => [
+    m.block,
+    new Date(m.time * 1000).toISOString(),
+    m.hash,
+    m.from,
+    m.recipient,
+    m.epochId,
+    ethers.formatEther(m.amount),
+    ethers.formatUnits(m.cost, quoteDecimals),
+    m.gasUsed,
+    ethers.formatUnits(m.gasPrice, "gwei"),
+    m.l1Fee === null ? "" : ethers.formatEther(m.l1Fee),
+    ethers.formatEther(m.gasCost),
+  ].join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+module.exports = {
+  openHistoryCache,
+  findDeploymentBlock,
+  scanEvents,
+  joinMines,
+  summarize,
+  minesToCsv,
+  DEFAULT_CACHE_DIR,
+  DEFAULT_CHUNK_SIZE,
+};
@@ -0,0 +1,90 @@
+/**
+ * Status HTTP Server
+ * Optional built-in server exposing /health, /status (JSON) and /metrics
+ * (Prometheus text format) for a running monitor
+ */
+
+const http = require("http");
+
+/**
+ * Render metric families in Prometheus text exposition format
+ * @param {Array<{name: string, help: string, type: string, samples: Array<{labels?: object, value: number|bigint|string}>}>} families
+ */
+function formatPrometheus(families) {
+  const escape = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      const labels = Object.entries(sample.labels || {})
+        .map(([key, value]) => `${key}="${escape(value)}"`)
+        .join(",");
+      lines.push(`${family.name}${labels ? `{${labels}}` : ""} ${sample.value}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * JSON encoder that keeps bigint values as decimal strings
+ */
+function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+/**
+ * Start the status server
+ * @param {object} options
+ * @param {number} options.port Port to listen on
+ * @param {string} [options.host] Interface to bind (defaults to localhost)
+ * @param {() => {healthy: boolean}} options.getHealth Health report; 503 when unhealthy
+ * @param {() => object} options.getStatus Latest status snapshot
+ * @param {() => Array} options.getMetrics Metric families for /metrics
+ * @returns {Promise<http.Server>}
+ */
+function startStatusServer({ port, host = "127.0.0.1", getHealth, getStatus, getMetrics }) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET") {
+      res.writeHead(405, { Allow: "GET" }).end();
+      return;
+    }
+
+    try {
+      switch (url.pathname) {
+        case "/health": {
+          const health = getHealth();
+          res.writeHead(health.healthy ? 200 : 503, { "Content-Type": "application/json" });
+          res.end(toJson(health));
+          break;
+        }
+        case "/status":
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(toJson(getStatus()));
+          break;
+        case "/metrics":
+          res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+          res.end(formatPrometheus(getMetrics()));
+          break;
+        default:
+          res.writeHead(404, { "Content-Type": "application/json" });
+          res.end(toJson({ error: "Not found" }));
+      }
+    } catch (error) {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(toJson({ error: error.message }));
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startStatusServer, formatPrometheus, toJson };
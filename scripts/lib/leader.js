@@ -0,0 +1,323 @@
+/**
+ * Leader Lease
+ * Lets redundant monitors (same controllers and manager key, different hosts)
+ * run side by side: every instance keeps checking, but only the one holding
+ * the lease sends transactions, so they never race on the manager nonce or
+ * mine the same epoch twice. The holder renews the lease every renew
+ * interval; a standby takes over once it has gone unrenewed for the TTL.
+ *
+ * The built-in backend is a JSON file in a directory every host can write
+ * (NFS, SMB, a shared volume), updated under a mkdir lock. Other backends
+ * (a database row, Consul, ...) plug in as a module, see loadLeaseBackend.
+ *
+ * Clock skew between hosts cannot hand out the lease twice: the file backend
+ * times leases by the shared filesystem's clock (the mtime it stamps on a
+ * file), and the holder times its own lease by elapsed time since it asked
+ * for it, stepping down halfway between its next renewal and the expiry.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_TTL_MS = 30000;
+const DEFAULT_RENEW_INTERVAL_MS = 10000;
+// A lock directory older than this was left behind by a crashed process
+const STALE_LOCK_MS = 10000;
+const LOCK_ATTEMPTS = 50;
+const LOCK_RETRY_MS = 100;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Leader election settings from the environment. Without LEADER_BACKEND or
+ * LEADER_LEASE_PATH there is no election and the monitor always sends.
+ */
+function leaderSettingsFromEnv(env = process.env) {
+  return {
+    backend: env.LEADER_BACKEND || (env.LEADER_LEASE_PATH ? "file" : "none"),
+    path: env.LEADER_LEASE_PATH || null,
+    ttlMs: parseInt(env.LEADER_LEASE_TTL || String(DEFAULT_TTL_MS)),
+    renewIntervalMs: parseInt(env.LEADER_RENEW_INTERVAL || String(DEFAULT_RENEW_INTERVAL_MS)),
+    id: env.LEADER_ID || `${os.hostname()}:${process.pid}`,
+  };
+}
+
+/**
+ * Problems with the settings, for startup validation
+ * @returns {string[]}
+ */
+function leaderProblems(settings) {
+  const problems = [];
+  if (settings.backend === "none") {
+    return problems;
+  }
+  if (settings.backend === "file" && !settings.path) {
+    problems.push("LEADER_LEASE_PATH: is required for the file lease backend");
+  }
+  if (settings.backend !== "file" && !fs.existsSync(path.resolve(settings.backend))) {
+    problems.push(`LEADER_BACKEND: expected "file" or a backend module path (not found: ${settings.backend})`);
+  }
+  if (settings.renewIntervalMs * 2 > settings.ttlMs) {
+    problems.push(`LEADER_RENEW_INTERVAL: must be at most half of LEADER_LEASE_TTL (${settings.renewIntervalMs} > ${settings.ttlMs / 2})`);
+  }
+  return problems;
+}
+
+/**
+ * Lease stored as JSON in `filePath`: { holder, expiresAt, term, renewedAt }.
+ * Read-modify-write happens while holding the `<file>.lock` directory
+ * (mkdir is atomic on local and network filesystems), and the file is
+ * replaced by rename so readers never see half of it. Times come from the
+ * filesystem's clock, not the caller's.
+ * @param {string} filePath
+ */
+function createFileLeaseBackend(filePath) {
+  const resolved = path.resolve(filePath);
+  const lockDir = `${resolved}.lock`;
+  // Held only to break a stale lock, so two contenders never remove each other's
+  const breakDir = `${resolved}.lock-break`;
+  const host = `${os.hostname()}.${process.pid}`;
+
+  const read = () => (fs.existsSync(resolved) ? JSON.parse(fs.readFileSync(resolved, "utf8")) : null);
+  const write = (lease) => {
+    const tmp = `${resolved}.${host}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(lease, null, 2));
+    fs.renameSync(tmp, resolved);
+  };
+
+  /**
+   * Current time on the shared filesystem: the mtime it gives a file we touch
+   */
+  const sharedNow = () => {
+    const probe = `${resolved}.${host}.clock`;
+    fs.writeFileSync(probe, "");
+    try {
+      return fs.statSync(probe).mtimeMs;
+    } finally {
+      fs.rmSync(probe, { force: true });
+    }
+  };
+
+  const isStale = (dir, now) => {
+    const stat = fs.statSync(dir, { throwIfNoEntry: false });
+    return Boolean(stat) && now - stat.mtimeMs > STALE_LOCK_MS;
+  };
+
+  /**
+   * Remove the lock if it is (still) stale, deciding under the break lock so
+   * a lock a contender has just re-created is never mistaken for the old one
+   */
+  function breakStaleLock() {
+    try {
+      fs.mkdirSync(breakDir);
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      // Only left behind by a crash in the few statements below
+      if (isStale(breakDir, sharedNow())) fs.rmSync(breakDir, { recursive: true, force: true });
+      return;
+    }
+    try {
+      if (isStale(lockDir, sharedNow())) fs.rmSync(lockDir, { recursive: true, force: true });
+    } finally {
+      fs.rmSync(breakDir, { recursive: true, force: true });
+    }
+  }
+
+  async function withLock(fn) {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    for (let attempt = 0; attempt < LOCK_ATTEMPTS; attempt++) {
+      try {
+        fs.mkdirSync(lockDir);
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+        if (isStale(lockDir, sharedNow())) {
+          breakStaleLock();
+        } else {
+          await sleep(LOCK_RETRY_MS);
+        }
+        continue;
+      }
+      try {
+        return fn();
+      } finally {
+        fs.rmSync(lockDir, { recursive: true, force: true });
+      }
+    }
+    const error = new Error(`Lease lock ${lockDir} is busy`);
+    error.code = "LEASE_BUSY";
+    throw error;
+  }
+
+  return {
+    name: `file ${resolved}`,
+    acquire: ({ id, ttlMs }) => withLock(() => {
+      const now = sharedNow();
+      const lease = read();
+      if (lease && lease.holder !== id && lease.expiresAt > now) {
+        return lease;
+      }
+      const term = !lease ? 1 : lease.holder === id ? lease.term : lease.term + 1;
+      const next = { holder: id, expiresAt: now + ttlMs, term, renewedAt: now };
+      write(next);
+      return next;
+    }),
+    release: ({ id }) => withLock(() => {
+      const lease = read();
+      if (lease && lease.holder === id) {
+        write({ ...lease, expiresAt: 0 });
+      }
+    }),
+  };
+}
+
+/**
+ * The backend named by the settings: "file", or the path of a module
+ * exporting createLeaseBackend(settings) that returns
+ * { name, acquire({ id, ttlMs, now }), release({ id }) }. acquire takes the
+ * lease when it is free, expired or already ours (then for `ttlMs` from the
+ * moment it is written), and resolves to the lease as it stands afterwards
+ * ({ holder, expiresAt, term }). `now` is the caller's clock; a backend with
+ * a clock shared by all hosts should use that instead.
+ */
+function loadLeaseBackend(settings) {
+  if (settings.backend === "file") {
+    return createFileLeaseBackend(settings.path);
+  }
+  return require(path.resolve(settings.backend)).createLeaseBackend(settings);
+}
+
+/**
+ * Follow the lease: try to take or renew it every renew interval
+ * @param {object} options
+ * @param {object} options.settings leaderSettingsFromEnv()
+ * @param {object} [options.backend] Lease backend; loaded from the settings when omitted
+ * @param {(state: object) => void} [options.onChange] Called when this instance becomes leader or standby
+ * @param {(message: string) => void} [options.log]
+ * @param {(message: string) => void} [options.warn] Failed renewals; defaults to `log`
+ */
+function createLeaderElection({ settings, backend = null, onChange = () => {}, log = console.log, warn = log }) {
+  const enabled = settings.backend !== "none";
+  const leases = enabled ? backend || loadLeaseBackend(settings) : null;
+  const state = {
+    id: settings.id,
+    leader: !enabled,
+    holder: enabled ? null : settings.id,
+    term: null,
+    expiresAt: null,
+    deadline: null, // Local time to step down by, see holdsLease
+    lastRenewAt: null,
+    error: null,
+  };
+  let timer = null;
+  let announced = null; // Role last reported through onChange (true: leader)
+  let inFlight = null;
+  // Between the next renewal and the expiry, so a late renewal does not
+  // flap the role and a standby never takes over while we still send
+  const safetyMs = (settings.ttlMs - settings.renewIntervalMs) / 2;
+
+  // Leader until shortly before the lease we last wrote runs out, even if
+  // renewals fail. Timed by elapsed time since the renewal was requested (the
+  // lease was written after that), so no other host's clock is involved.
+  const holdsLease = () => !enabled || (state.leader && Date.now() < state.deadline);
+
+  function renew() {
+    if (!inFlight) {
+      inFlight = renewOnce().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  }
+
+  async function renewOnce() {
+    const hadError = state.error !== null;
+    try {
+      const now = Date.now();
+      const lease = await leases.acquire({ id: state.id, ttlMs: settings.ttlMs, now });
+      Object.assign(state, {
+        leader: lease.holder === state.id,
+        holder: lease.holder,
+        term: lease.term,
+        expiresAt: lease.expiresAt,
+        deadline: now + settings.ttlMs - safetyMs,
+        lastRenewAt: now,
+        error: null,
+      });
+      if (hadError) {
+        log("✅ Leader lease renewed again");
+      }
+    } catch (error) {
+      if (!hadError) {
+        warn(`⚠️  Leader lease not renewed: ${error.message}`);
+      }
+      state.error = error.message;
+    }
+    const isLeader = holdsLease();
+    // Also reports a lease that ran out between renewals
+    if (isLeader !== announced) {
+      announced = isLeader;
+      if (isLeader) {
+        log(`👑 Leader: holding the lease (term ${state.term}) as ${state.id}`);
+      } else {
+        log(`🧍 Standby: ${state.holder && state.holder !== state.id ? `${state.holder} holds the lease until ${new Date(state.expiresAt).toLocaleTimeString()}` : "lease unavailable"}, checking without sending`);
+      }
+      onChange(status());
+    }
+    return isLeader;
+  }
+
+  /**
+   * Take part in the election: first attempt now, then every renew interval
+   */
+  async function start() {
+    if (!enabled) return;
+    log(`🗳️  Leader election: ${leases.name} (TTL ${settings.ttlMs / 1000}s, renewed every ${settings.renewIntervalMs / 1000}s) as ${state.id}`);
+    await renew();
+    timer = setInterval(() => renew(), settings.renewIntervalMs);
+    timer.unref();
+  }
+
+  /**
+   * Renew right before sending, so a lease that lapsed unnoticed is not used
+   * @returns {Promise<boolean>} Whether this instance may send
+   */
+  async function confirm() {
+    return enabled ? renew() : true;
+  }
+
+  /**
+   * Stop renewing and hand the lease over (standbys take it at their next renewal)
+   */
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (enabled && state.leader) {
+      state.leader = false;
+      await Promise.resolve(leases.release({ id: state.id })).catch(() => {});
+    }
+  }
+
+  function status() {
+    return {
+      enabled,
+      id: state.id,
+      role: holdsLease() ? "leader" : "standby",
+      holder: state.holder,
+      term: state.term,
+      expiresAt: state.expiresAt ? new Date(state.expiresAt).toISOString() : null,
+      lastRenewAt: state.lastRenewAt ? new Date(state.lastRenewAt).toISOString() : null,
+      error: state.error,
+    };
+  }
+
+  return { enabled, id: state.id, start, stop, confirm, isLeader: holdsLease, status };
+}
+
+module.exports = {
+  leaderSettingsFromEnv,
+  leaderProblems,
+  createFileLeaseBackend,
+  loadLeaseBackend,
+  createLeaderElection,
+};
@@ -0,0 +1,228 @@
+/**
+ * Mine Ledger
+ * Append-only JSONL record of every check, submitted transaction, receipt,
+ * unit payout, rig epoch takeover and mine held back by a spend policy.
+ * Totals are rebuilt from the file on startup so stats and P&L survive
+ * restarts. All amounts are kept as bigint (strings on disk).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_LEDGER_PATH = "data/ledger.jsonl";
+const RECENT_MINES = 20; // Mines kept for the runway forecast
+const MINE_HISTORY_MS = 7 * 24 * 3600 * 1000; // Mines kept for spend budgets (spend-policy.js)
+
+/**
+ * Fresh per-controller totals
+ */
+function emptyTotals() {
+  return {
+    checks: 0,
+    txsSubmitted: 0,
+    mintsExecuted: 0,
+    txsFailed: 0,
+    errors: 0,
+    errorsByCategory: {},
+    totalSpent: 0n,         // Quote token paid to the rig
+    totalGasCost: 0n,       // Native ETH paid for gas
+    totalUnitsReceived: 0n, // Unit tokens the rig minted for epochs our mines held
+    heldEpoch: null,        // { recipient, block } of the last mine, until its payout is recorded
+    lastMintTime: null,
+    lastEpochId: null,
+    recentMines: [],        // Last RECENT_MINES successful mines: { time, cost }
+    mineHistory: [],        // Successful mines of the last 7 days: { time, cost }
+    policyBlocks: {},       // Mines held back by a spend policy, by policy
+    epochsObserved: 0,      // Rig epoch takeovers seen between checks
+    epochsWon: 0,           // ...of which the new epochMiner was our recipient
+    racesLost: 0,           // Mines that lost the epoch to another miner before landing
+    competitors: {},        // epochMiner -> { address, mines, pricedMines, totalPaid, lastPrice, lastSeen }
+    recipients: {},         // recipient -> { address, mines, spent, unitsReceived }
+    lastRecipient: null,    // Recipient of the last successful mine
+  };
+}
+
+/**
+ * Serialize an entry, turning bigint values into decimal strings
+ */
+function serialize(entry) {
+  return JSON.stringify(entry, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+/**
+ * Per-controller totals folded from ledger entries
+ */
+function createTotals() {
+  const totals = new Map(); // controller -> totals
+
+  const totalsFor = (controller) => {
+    const key = (controller || "").toLowerCase();
+    if (!totals.has(key)) {
+      totals.set(key, emptyTotals());
+    }
+    return totals.get(key);
+  };
+
+  const recipientFor = (t, address) => {
+    const key = address.toLowerCase();
+    return t.recipients[key] || (t.recipients[key] = { address, mines: 0, spent: 0n, unitsReceived: 0n });
+  };
+
+  const apply = (entry) => {
+    const t = totalsFor(entry.controller);
+    switch (entry.type) {
+      case "check":
+        t.checks++;
+        if (entry.epochId !== undefined) t.lastEpochId = BigInt(entry.epochId);
+        break;
+      case "tx":
+        t.txsSubmitted++;
+        break;
+      case "receipt":
+        if (entry.status === 1) {
+          t.mintsExecuted++;
+          t.totalSpent += BigInt(entry.cost || 0);
+          t.lastMintTime = new Date(entry.ts);
+          t.recentMines.push({ time: t.lastMintTime.getTime(), cost: BigInt(entry.cost || 0) });
+          if (t.recentMines.length > RECENT_MINES) t.recentMines.shift();
+          t.mineHistory = t.mineHistory.filter((mine) => mine.time > t.lastMintTime.getTime() - MINE_HISTORY_MS);
+          t.mineHistory.push({ time: t.lastMintTime.getTime(), cost: BigInt(entry.cost || 0) });
+          if (entry.recipient) {
+            const r = recipientFor(t, entry.recipient);
+            r.mines++;
+            r.spent += BigInt(entry.cost || 0);
+            t.lastRecipient = entry.recipient;
+            t.heldEpoch = { recipient: entry.recipient, block: entry.block };
+          }
+        } else {
+          t.txsFailed++;
+        }
+        t.totalGasCost += BigInt(entry.gasCost || 0);
+        break;
+      case "error": {
+        const category = entry.category || "other";
+        t.errors++;
+        t.errorsByCategory[category] = (t.errorsByCategory[category] || 0) + 1;
+        break;
+      }
+      case "epoch": {
+        t.epochsObserved++;
+        if (entry.ours) {
+          t.epochsWon++;
+          break;
+        }
+        const key = entry.miner.toLowerCase();
+        const c = t.competitors[key] || (t.competitors[key] = { address: entry.miner, mines: 0, pricedMines: 0, totalPaid: 0n, lastPrice: null, lastSeen: 0 });
+        c.mines++;
+        c.lastSeen = new Date(entry.ts).getTime();
+        if (entry.price !== null && entry.price !== undefined) {
+          c.pricedMines++;
+          c.totalPaid += BigInt(entry.price);
+          c.lastPrice = BigInt(entry.price);
+        }
+        break;
+      }
+      case "race":
+        t.racesLost++;
+        break;
+      case "blocked":
+        for (const policy of entry.policies || []) {
+          t.policyBlocks[policy] = (t.policyBlocks[policy] || 0) + 1;
+        }
+        break;
+      case "units":
+        // The payout for the epoch held since this controller's last mine
+        t.totalUnitsReceived += BigInt(entry.amount);
+        recipientFor(t, entry.recipient).unitsReceived += BigInt(entry.amount);
+        t.heldEpoch = null;
+        break;
+      default:
+        break;
+    }
+  };
+
+  return { totalsFor, apply };
+}
+
+/**
+ * Fold every line of a ledger file into `apply`. A torn final line (crash
+ * mid-write) is expected, anything else is reported.
+ */
+function replay(content, apply, warn) {
+  const lines = content.split("\n");
+  for (const [index, line] of lines.entries()) {
+    if (!line.trim()) continue;
+    try {
+      apply(JSON.parse(line));
+    } catch (error) {
+      if (index !== lines.length - 1) {
+        warn(`⚠️  Ledger: skipping unreadable line ${index + 1}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Open (or create) a ledger file and replay it into memory
+ * @param {string} [filePath] Path to the JSONL file
+ * @param {object} [options]
+ * @param {(message: string) => void} [options.warn] Unreadable lines found while replaying
+ */
+function openLedger(filePath = process.env.LEDGER_PATH || DEFAULT_LEDGER_PATH, { warn = console.warn } = {}) {
+  const resolved = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  const { totalsFor, apply } = createTotals();
+
+  // Replay existing history
+  if (fs.existsSync(resolved)) {
+    const content = fs.readFileSync(resolved, "utf8");
+    replay(content, apply, warn);
+    // Terminate a torn line so the next entry starts cleanly
+    if (content.length > 0 && !content.endsWith("\n")) {
+      fs.appendFileSync(resolved, "\n");
+    }
+  }
+
+  /**
+   * Append an entry and fold it into the running totals
+   */
+  const record = (type, fields) => {
+    const entry = { type, ts: new Date().toISOString(), ...fields };
+    fs.appendFileSync(resolved, serialize(entry) + "\n");
+    apply(JSON.parse(serialize(entry)));
+    return entry;
+  };
+
+  return {
+    path: resolved,
+    record,
+    totals: (controller) => totalsFor(controller),
+  };
+}
+
+/**
+ * Totals of an existing ledger file without opening it for writing (for
+ * readers like check-status while the monitor appends to it)
+ * @param {string} filePath Path to the JSONL file
+ * @returns {{path: string, totals: (controller: string) => object}}
+ */
+function readLedger(filePath, { warn = console.warn } = {}) {
+  const resolved = path.resolve(filePath);
+  const { totalsFor, apply } = createTotals();
+  replay(fs.readFileSync(resolved, "utf8"), apply, warn);
+  return { path: resolved, totals: (controller) => totalsFor(controller) };
+}
+
+/**
+ * Average quote paid per whole unit token (null until units have been received)
+ * @param {object} totals Ledger totals for a controller
+ * @param {number|bigint} unitDecimals Decimals of the unit token
+ */
+function costPerUnit(totals, unitDecimals = 18) {
+  if (totals.totalUnitsReceived === 0n) {
+    return null;
+  }
+  return (totals.totalSpent * 10n ** BigInt(unitDecimals)) / totals.totalUnitsReceived;
+}
+
+module.exports = { openLedger, readLedger, costPerUnit, DEFAULT_LEDGER_PATH };
@@ -0,0 +1,136 @@
+/**
+ * Logger
+ * Leveled output for the monitor and check-status. The "pretty" format is the
+ * emoji console output; "json" writes one JSON object per line with stable
+ * fields for journald and log pipelines:
+ *   ts, level, event, msg, and where known controller, name, block, epochId,
+ *   price, txHash, category, error
+ * LOG_FILE additionally appends the JSON lines to a file, rotated by size.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ["pretty", "json"];
+const DEFAULT_FILE_MAX_MB = 10;
+const DEFAULT_FILE_COUNT = 5;
+
+// Leading emoji and indentation of pretty messages, dropped from `msg`
+const DECORATION = /^[\s\p{Extended_Pictographic}\uFE0F\u200D]+/u;
+
+/**
+ * Logging settings from the environment
+ */
+function logSettingsFromEnv(env = process.env) {
+  return {
+    level: env.LOG_LEVEL || "info",
+    format: env.LOG_FORMAT || "pretty",
+    file: env.LOG_FILE || null,
+    fileMaxBytes: parseInt(env.LOG_FILE_MAX_MB || String(DEFAULT_FILE_MAX_MB)) * 1024 * 1024,
+    fileCount: parseInt(env.LOG_FILE_COUNT || String(DEFAULT_FILE_COUNT)),
+  };
+}
+
+/**
+ * Append-only JSON-lines file. Once it would pass `maxBytes` it is renamed to
+ * `<file>.1` (older ones shift to .2, .3, ...) and `count` files are kept in all.
+ */
+function createRotatingFile(filePath, { maxBytes, count }) {
+  const resolved = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  let size = fs.existsSync(resolved) ? fs.statSync(resolved).size : 0;
+
+  const rotate = () => {
+    fs.rmSync(`${resolved}.${count - 1}`, { force: true });
+    for (let i = count - 2; i >= 1; i--) {
+      if (fs.existsSync(`${resolved}.${i}`)) fs.renameSync(`${resolved}.${i}`, `${resolved}.${i + 1}`);
+    }
+    if (count > 1) {
+      fs.renameSync(resolved, `${resolved}.1`);
+    } else {
+      fs.rmSync(resolved, { force: true });
+    }
+    size = 0;
+  };
+
+  return {
+    path: resolved,
+    write(line) {
+      const bytes = Buffer.byteLength(line) + 1;
+      if (size > 0 && size + bytes > maxBytes) {
+        rotate();
+      }
+      fs.appendFileSync(resolved, `${line}\n`);
+      size += bytes;
+    },
+  };
+}
+
+// bigint as decimal strings, errors as their message
+const encode = (record) => JSON.stringify(record, (_, v) => {
+  if (typeof v === "bigint") return v.toString();
+  if (v instanceof Error) return v.shortMessage || v.message;
+  return v;
+});
+
+/**
+ * @param {object} [settings] logSettingsFromEnv()
+ * @param {object} [options]
+ * @param {boolean} [options.stderr] Write every level to stderr (keeps stdout for a command's own output)
+ * @returns {object} Logger: debug/info/warn/error(message, fields), child(fields, { prefix })
+ */
+function createLogger(settings = logSettingsFromEnv(), { stderr = false } = {}) {
+  const threshold = LEVELS[settings.level] ?? LEVELS.info;
+  const file = settings.file ? createRotatingFile(settings.file, { maxBytes: settings.fileMaxBytes, count: settings.fileCount }) : null;
+
+  function emit(level, message, fields, prefix) {
+    if (LEVELS[level] < threshold) return;
+    const { event = "log", ...rest } = fields;
+    const json = () => encode({
+      ts: new Date().toISOString(),
+      level,
+      event,
+      msg: String(message).trim().replace(DECORATION, ""),
+      ...rest,
+    });
+
+    if (settings.format === "json") {
+      // One stream, so a pipeline reads every level in order
+      (stderr ? process.stderr : process.stdout).write(`${json()}\n`);
+    } else {
+      const text = String(message).split("\n").map((line) => (line ? prefix + line : line)).join("\n");
+      const write = stderr || level === "error" ? console.error : level === "warn" ? console.warn : console.log;
+      write(text);
+    }
+    if (file) {
+      try {
+        file.write(json());
+      } catch (error) {
+        // A full disk must not stop the monitor; the console still has it
+        console.error(`⚠️  Log file ${file.path}: ${error.message}`);
+      }
+    }
+  }
+
+  function make(base, prefix) {
+    const at = (level) => (message, fields = {}) => emit(level, message, { ...base, ...fields }, prefix);
+    return {
+      debug: at("debug"),
+      info: at("info"),
+      warn: at("warn"),
+      error: at("error"),
+      /**
+       * Logger adding `fields` to every record (e.g. { controller, name }),
+       * and `prefix` to every pretty line
+       */
+      child: (fields, { prefix: childPrefix = "" } = {}) => make({ ...base, ...fields }, prefix + childPrefix),
+      enabled: (level) => LEVELS[level] >= threshold,
+      settings,
+    };
+  }
+
+  return make({}, "");
+}
+
+module.exports = { createLogger, logSettingsFromEnv, createRotatingFile, LEVELS, FORMATS };
@@ -0,0 +1,149 @@
+/**
+ * Multicall3 Batching
+ * Collects view calls and sends them as one aggregate3 eth_call, so every
+ * value in a batch comes from the same block and costs one round trip. Each
+ * call may fail on its own (allowFailure) without failing the others. Where
+ * Multicall3 is not deployed (fresh local chains) the calls are sent one by
+ * one instead, all pinned to the same block number.
+ */
+
+const { ethers } = require("ethers");
+
+// Same address on Base and every other chain Multicall3 is deployed to
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getBlockNumber() view returns (uint256 blockNumber)",
+  "function getCurrentBlockTimestamp() view returns (uint256 timestamp)",
+  "function getEthBalance(address addr) view returns (uint256 balance)"
+];
+
+/**
+ * @param {ethers.Provider} provider
+ * @param {object} [options]
+ * @param {string} [options.address] Multicall3 deployment
+ */
+function createMulticall(provider, { address = MULTICALL3_ADDRESS } = {}) {
+  const multicall = new ethers.Contract(address, MULTICALL3_ABI, provider);
+  // Whether Multicall3 has code on this chain; checked on first use
+  let deployed = null;
+
+  async function detect() {
+    if (deployed === null) {
+      deployed = (await provider.getCode(address)) !== "0x";
+    }
+    return deployed;
+  }
+
+  // Call results the way ethers returns them: a single output unwrapped
+  const decode = (call, data) => {
+    const result = call.contract.interface.decodeFunctionResult(call.method, data);
+    return result.length === 1 ? result[0] : result;
+  };
+
+  async function aggregate(calls, blockTag) {
+    const encoded = calls.map((call) => (call.balanceOf
+      ? { target: address, callData: multicall.interface.encodeFunctionData("getEthBalance", [call.balanceOf]) }
+      : { target: call.contract.target, callData: call.contract.interface.encodeFunctionData(call.method, call.args) }));
+    const meta = ["getBlockNumber", "getCurrentBlockTimestamp"].map((method) => ({
+      target: address,
+      allowFailure: false,
+      callData: multicall.interface.encodeFunctionData(method),
+    }));
+    const results = await multicall.aggregate3.staticCall(
+      [...meta, ...encoded.map((call) => ({ ...call, allowFailure: true }))],
+      { blockTag }
+    );
+
+    const block = {
+      number: Number(multicall.interface.decodeFunctionResult("getBlockNumber", results[0].returnData)[0]),
+      timestamp: Number(multicall.interface.decodeFunctionResult("getCurrentBlockTimestamp", results[1].returnData)[0]),
+    };
+    const outcomes = calls.map((call, i) => {
+      const { success, returnData } = results[i + 2];
+      if (call.balanceOf) {
+        return { success, value: success ? multicall.interface.decodeFunctionResult("getEthBalance", returnData)[0] : null };
+      }
+      if (!success) {
+        return { success, error: call.contract.interface.makeError(returnData, { to: call.contract.target, data: encoded[i].callData }) };
+      }
+      try {
+        return { success, value: decode(call, returnData) };
+      } catch (error) {
+        // Returned nothing decodable, e.g. no contract at the target
+        return { success: false, error };
+      }
+    });
+    return { block, outcomes };
+  }
+
+  async function oneByOne(calls, blockTag) {
+    const header = await provider.getBlock(blockTag);
+    const block = { number: header.number, timestamp: header.timestamp };
+    const outcomes = await Promise.all(calls.map((call) => {
+      const request = call.balanceOf
+        ? provider.getBalance(call.balanceOf, block.number)
+        : call.contract.getFunction(call.method).staticCall(...call.args, { blockTag: block.number });
+      return request.then((value) => ({ success: true, value }), (error) => ({ success: false, error }));
+    }));
+    return { block, outcomes };
+  }
+
+  /**
+   * A set of calls read together. add() returns a getter for the call's value,
+   * usable once run() has resolved: it throws the call's own error if that
+   * call failed, or returns `fallback` when one is given.
+   */
+  function batch() {
+    const calls = [];
+    let result = null;
+
+    const getter = (index) => (...fallback) => {
+      if (!result) {
+        throw new Error("Multicall batch has not run yet");
+      }
+      const outcome = result.outcomes[index];
+      if (outcome.success) return outcome.value;
+      if (fallback.length > 0) return fallback[0];
+      throw outcome.error;
+    };
+
+    return {
+      /**
+       * @param {ethers.Contract} contract
+       * @param {string} method View function
+       * @param {Array} [args]
+       * @returns {(fallback?: *) => *}
+       */
+      add(contract, method, args = []) {
+        return getter(calls.push({ contract, method, args }) - 1);
+      },
+      /**
+       * Native ETH balance of `account`
+       */
+      ethBalance(account) {
+        return getter(calls.push({ balanceOf: account }) - 1);
+      },
+      /**
+       * Read every call at one block
+       * @param {string|number} [blockTag] "latest" by default
+       * @returns {Promise<{ number: number, timestamp: number }>} The block read
+       */
+      async run(blockTag = "latest") {
+        result = (await detect()) ? await aggregate(calls, blockTag) : await oneByOne(calls, blockTag);
+        return result.block;
+      },
+      /**
+       * Block of the last run()
+       */
+      get block() {
+        return result ? result.block : null;
+      },
+    };
+  }
+
+  return { address, detect, batch };
+}
+
+module.exports = { createMulticall, MULTICALL3_ADDRESS };
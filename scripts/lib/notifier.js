@@ -0,0 +1,166 @@
+/**
+ * Notifications
+ * Sends monitor events (mines, failed transactions, repeated errors, mining
+ * disabled, low balance) to a generic JSON webhook, Discord, Slack and/or
+ * Telegram. Persistent conditions carry a dedup key so they are announced once
+ * (and again after the dedup window), and a global per-minute limit keeps a
+ * noisy failure from flooding the channels.
+ */
+
+const SEVERITY_EMOJI = { info: "ℹ️", success: "✅", warning: "⚠️", critical: "🚨" };
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/**
+ * Notification settings from the environment
+ */
+function notifySettingsFromEnv(env = process.env) {
+  const sinks = [];
+  if (env.NOTIFY_WEBHOOK_URL) sinks.push({ type: "webhook", url: env.NOTIFY_WEBHOOK_URL });
+  if (env.NOTIFY_DISCORD_WEBHOOK_URL) sinks.push({ type: "discord", url: env.NOTIFY_DISCORD_WEBHOOK_URL });
+  if (env.NOTIFY_SLACK_WEBHOOK_URL) sinks.push({ type: "slack", url: env.NOTIFY_SLACK_WEBHOOK_URL });
+  if (env.NOTIFY_TELEGRAM_BOT_TOKEN && env.NOTIFY_TELEGRAM_CHAT_ID) {
+    sinks.push({
+      type: "telegram",
+      url: `https://api.telegram.org/bot${env.NOTIFY_TELEGRAM_BOT_TOKEN}/sendMessage`,
+      chatId: env.NOTIFY_TELEGRAM_CHAT_ID,
+    });
+  }
+  const events = (env.NOTIFY_EVENTS || "all").split(",").map((e) => e.trim()).filter(Boolean);
+  return {
+    sinks,
+    events: events.includes("all") ? null : new Set(events),
+    dedupSeconds: parseInt(env.NOTIFY_DEDUP_SECONDS || "3600"),
+    maxPerMinute: parseInt(env.NOTIFY_MAX_PER_MINUTE || "10"),
+    lowBalanceMines: parseInt(env.NOTIFY_LOW_BALANCE_MINES || "3"),
+    errorThreshold: parseInt(env.NOTIFY_ERROR_THRESHOLD || "5"),
+  };
+}
+
+/**
+ * Plain-text rendering shared by the chat sinks
+ */
+function formatText(event) {
+  const lines = [`${SEVERITY_EMOJI[event.severity] || ""} ${event.title}`.trim()];
+  if (event.message) lines.push(event.message);
+  for (const [key, value] of Object.entries(event.fields || {})) {
+    if (value !== null && value !== undefined) lines.push(`${key}: ${value}`);
+  }
+  if (event.suppressed) lines.push(`(${event.suppressed} notifications dropped by rate limit)`);
+  return lines.join("\n");
+}
+
+/**
+ * Request body for each sink type
+ */
+function buildBody(sink, event) {
+  switch (sink.type) {
+    case "discord":
+      return { content: formatText(event).slice(0, 2000) };
+    case "slack":
+      return { text: formatText(event) };
+    case "telegram":
+      return { chat_id: sink.chatId, text: formatText(event).slice(0, 4096), disable_web_page_preview: true };
+    default:
+      return event;
+  }
+}
+
+/**
+ * Create a notifier. Without configured sinks every call is a no-op.
+ * @param {object} [options]
+ * @param {object} [options.settings] notifySettingsFromEnv() settings
+ * @param {(message: string) => void} [options.log]
+ */
+function createNotifier({ settings = notifySettingsFromEnv(), log = console.log } = {}) {
+  const active = new Map(); // dedup key -> last sent (ms)
+  let sentAt = []; // send times within the last minute
+  let suppressed = 0;
+
+  const deliver = async (sink, event) => {
+    try {
+      const response = await fetch(sink.url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(buildBody(sink, event)),
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return true;
+    } catch (error) {
+      log(`⚠️  ${sink.type} notification failed: ${error.message}`);
+      return false;
+    }
+  };
+
+  /**
+   * Deliver an event to every sink unless the rate limit drops it. A dedup
+   * key is only marked as announced once the event actually goes out (and
+   * unmarked again if no sink took it), so a dropped alert is retried and
+   * never followed by a "recovered" nobody asked for.
+   * @returns {Promise<boolean>} Whether at least one sink received it
+   */
+  const send = (event) => {
+    const now = Date.now();
+    sentAt = sentAt.filter((t) => now - t < 60000);
+    if (sentAt.length >= settings.maxPerMinute) {
+      suppressed++;
+      return Promise.resolve(false);
+    }
+    sentAt.push(now);
+    if (event.key) active.set(event.key, now);
+    const payload = { ...event, timestamp: new Date(now).toISOString(), suppressed: suppressed || undefined };
+    suppressed = 0;
+    return Promise.all(settings.sinks.map((sink) => deliver(sink, payload))).then((delivered) => {
+      const received = delivered.some(Boolean);
+      if (!received && event.key && active.get(event.key) === now) active.delete(event.key);
+      return received;
+    });
+  };
+
+  /**
+   * Send an event
+   * @param {object} event
+   * @param {string} event.type mint | tx_failed | errors | disabled | emergency_stop | config_changed | low_balance | recovered
+   * @param {"info"|"success"|"warning"|"critical"} event.severity
+   * @param {string} event.title
+   * @param {string} [event.message]
+   * @param {object} [event.fields] Extra key/value lines
+   * @param {string} [event.key] Dedup key for persistent conditions
+   * @returns {Promise<boolean>} Whether the event was delivered
+   */
+  const notify = (event) => {
+    if (settings.sinks.length === 0) return Promise.resolve(false);
+    if (settings.events && !settings.events.has(event.type)) return Promise.resolve(false);
+    if (event.key) {
+      const last = active.get(event.key);
+      if (last !== undefined && Date.now() - last < settings.dedupSeconds * 1000) {
+        return Promise.resolve(false);
+      }
+    }
+    return send(event);
+  };
+
+  /**
+   * Clear a condition; if it had been announced, send `event` as the all-clear
+   * so the next occurrence is reported straight away
+   * @param {string} key
+   * @param {object} [event]
+   */
+  const resolve = (key, event) => {
+    if (!active.has(key)) return Promise.resolve(false);
+    active.delete(key);
+    return event ? notify({ type: "recovered", severity: "success", ...event }) : Promise.resolve(false);
+  };
+
+  return {
+    enabled: settings.sinks.length > 0,
+    settings,
+    notify,
+    resolve,
+    sinkTypes: () => settings.sinks.map((sink) => sink.type),
+  };
+}
+
+module.exports = { createNotifier, notifySettingsFromEnv, formatText };
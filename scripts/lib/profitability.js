@@ -0,0 +1,209 @@
+/**
+ * Market Profitability Engine
+ * Values the expected emission of an epoch against on-chain DEX prices and
+ * compares it with the mine price plus estimated gas, so `minProfitMargin`
+ * from the controller config can gate mining decisions.
+ *
+ * expected emission = epochUps × expected holding time
+ * value             = emission sold into the configured unit/quote pool
+ * margin (bps)      = (value - price - gas) × 10000 / (price + gas)
+ *
+ * Gas is paid in ETH at the expected price (base fee plus priority fee), plus
+ * the L1 data fee on OP-stack chains. It counts 1:1 against a WETH quote; for
+ * any other quote token it is priced through a WETH/quote pool
+ * (`market.gasPool`), and without one the margin is not evaluated at all.
+ */
+
+const { ethers } = require("ethers");
+
+const DEFAULT_HOLD_SECONDS = 3600;
+const DEFAULT_GAS_UNITS = 300000;
+const Q192 = 2n ** 192n;
+// OP-stack predeploy that prices the L1 data fee of an L2 transaction
+const GAS_PRICE_ORACLE = "0x420000000000000000000000000000000000000F";
+
+const GAS_PRICE_ORACLE_ABI = [
+  "function getL1Fee(bytes _data) view returns (uint256)"
+];
+
+const RIG_EMISSION_ABI = [
+  "function epochUps() view returns (uint256)"
+];
+
+const UNISWAP_V2_PAIR_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"
+];
+
+const UNISWAP_V3_POOL_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)"
+];
+
+/**
+ * Quote received for selling `amount` unit tokens into a Uniswap v2 pair
+ * (constant product with the 0.3% fee, so slippage is included)
+ */
+async function quoteV2(provider, poolAddress, unitAddress, quoteAddress, amount) {
+  const pair = new ethers.Contract(poolAddress, UNISWAP_V2_PAIR_ABI, provider);
+  const [token0, token1, reserves] = await Promise.all([pair.token0(), pair.token1(), pair.getReserves()]);
+  const unitIs0 = assertPair(token0, token1, unitAddress, quoteAddress, poolAddress);
+  const reserveIn = unitIs0 ? reserves.reserve0 : reserves.reserve1;
+  const reserveOut = unitIs0 ? reserves.reserve1 : reserves.reserve0;
+  if (reserveIn === 0n || reserveOut === 0n) {
+    throw new Error(`Pool ${poolAddress} has no liquidity`);
+  }
+  const amountInWithFee = amount * 997n;
+  return (amountInWithFee * reserveOut) / (reserveIn * 1000n + amountInWithFee);
+}
+
+/**
+ * Quote value of `amount` unit tokens at the Uniswap v3 spot price (slot0)
+ */
+async function quoteV3(provider, poolAddress, unitAddress, quoteAddress, amount) {
+  const pool = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, provider);
+  const [token0, token1, slot0] = await Promise.all([pool.token0(), pool.token1(), pool.slot0()]);
+  const unitIs0 = assertPair(token0, token1, unitAddress, quoteAddress, poolAddress);
+  const priceX192 = slot0.sqrtPriceX96 * slot0.sqrtPriceX96; // token1 per token0, scaled by 2^192
+  if (priceX192 === 0n) {
+    throw new Error(`Pool ${poolAddress} is not initialized`);
+  }
+  return unitIs0 ? (amount * priceX192) / Q192 : (amount * Q192) / priceX192;
+}
+
+/**
+ * Quote value of `gasCost` wei, sold into the WETH/quote pool `market.gasPool`
+ */
+async function quoteGasCost(provider, market, quoteAddress, gasCost) {
+  const pool = new ethers.Contract(market.gasPool, UNISWAP_V2_PAIR_ABI, provider);
+  const [token0, token1] = await Promise.all([pool.token0(), pool.token1()]);
+  // The side that is not the quote token is taken to be WETH
+  const native = token0.toLowerCase() === quoteAddress.toLowerCase() ? token1 : token0;
+  const poolType = (market.gasPoolType || "v2").toLowerCase();
+  if (poolType === "v2") {
+    return quoteV2(provider, market.gasPool, native, quoteAddress, gasCost);
+  }
+  if (poolType === "v3") {
+    return quoteV3(provider, market.gasPool, native, quoteAddress, gasCost);
+  }
+  throw new Error(`Unsupported gas pool type "${market.gasPoolType}" (expected v2 or v3)`);
+}
+
+/**
+ * L1 data fee the OP-stack GasPriceOracle charges for a transaction
+ * @param {object} tx Unsigned EIP-1559 fields ({ chainId, to, data, gasLimit, maxFeePerGas, maxPriorityFeePerGas })
+ */
+async function estimateL1Fee(provider, tx) {
+  const oracle = new ethers.Contract(GAS_PRICE_ORACLE, GAS_PRICE_ORACLE_ABI, provider);
+  // A placeholder nonce: the oracle only looks at the encoded size
+  return oracle.getL1Fee(ethers.Transaction.from({ type: 2, nonce: 0, ...tx }).unsignedSerialized);
+}
+
+/**
+ * Check the pool pairs unit with quote; returns true if unit is token0
+ */
+function assertPair(token0, token1, unitAddress, quoteAddress, poolAddress) {
+  const [a, b, unit, quote] = [token0, token1, unitAddress, quoteAddress].map((x) => x.toLowerCase());
+  if (a === unit && b === quote) return true;
+  if (a === quote && b === unit) return false;
+  throw new Error(`Pool ${poolAddress} does not pair unit ${unitAddress} with quote ${quoteAddress}`);
+}
+
+/**
+ * Evaluate whether mining now meets the required margin
+ * @param {object} params
+ * @param {ethers.Provider} params.provider
+ * @param {string} params.rig Rig address
+ * @param {string} params.unit Unit token address
+ * @param {string} params.quote Quote token address
+ * @param {boolean} params.quoteIsNative Whether the quote token is the network's WETH, so gas converts 1:1
+ * @param {bigint} params.price Current mine price in quote
+ * @param {bigint} params.minProfitMargin Required margin in basis points (from controller config)
+ * @param {object} params.market Market config: { pool, poolType, holdSeconds, gasUnits, gasPool, gasPoolType }
+ * @param {bigint} [params.gasUnits] Gas estimate for executeMine (overrides market.gasUnits)
+ * @param {object} [params.l1Tx] The mine transaction ({ chainId, to, data }) on OP-stack chains;
+ *   its L1 data fee is added to the gas cost
+ * @returns {Promise<object>} Breakdown of the decision (all amounts bigint)
+ * @throws {Error} code GAS_UNPRICED when the quote is not WETH and there is no gas pool
+ */
+async function evaluateMarket({ provider, rig, unit, quote, quoteIsNative, price, minProfitMargin, market, gasUnits, l1Tx = null }) {
+  if (!quoteIsNative && !market.gasPool) {
+    // A margin without gas would pass mines that lose money once gas is paid
+    const error = new Error("gas cannot be priced in the quote token (not the network's WETH, see WETH_ADDRESS); set a WETH/quote pool in DEX_GAS_POOL_ADDRESS or market.gasPool");
+    error.code = "GAS_UNPRICED";
+    throw error;
+  }
+  const holdSeconds = BigInt(market.holdSeconds || DEFAULT_HOLD_SECONDS);
+  const rigContract = new ethers.Contract(rig, RIG_EMISSION_ABI, provider);
+
+  const [epochUps, feeData, block] = await Promise.all([rigContract.epochUps(), provider.getFeeData(), provider.getBlock("latest")]);
+  const emission = epochUps * holdSeconds;
+
+  const poolType = (market.poolType || "v2").toLowerCase();
+  let value;
+  if (poolType === "v2") {
+    value = await quoteV2(provider, market.pool, unit, quote, emission);
+  } else if (poolType === "v3") {
+    value = await quoteV3(provider, market.pool, unit, quote, emission);
+  } else {
+    throw new Error(`Unsupported pool type "${market.poolType}" (expected v2 or v3)`);
+  }
+
+  const units = BigInt(gasUnits || market.gasUnits || DEFAULT_GAS_UNITS);
+  // What the mine is expected to pay, not the maxFeePerGas cap (about twice the base fee)
+  const priorityFee = feeData.maxPriorityFeePerGas ?? 0n;
+  const gasPrice = block && block.baseFeePerGas !== null && block.baseFeePerGas !== undefined
+    ? block.baseFeePerGas + priorityFee
+    : feeData.gasPrice || 0n;
+  const l1Fee = l1Tx
+    ? await estimateL1Fee(provider, { ...l1Tx, gasLimit: units, maxFeePerGas: gasPrice, maxPriorityFeePerGas: priorityFee })
+    : null;
+  const gasCost = units * gasPrice + (l1Fee || 0n);
+  const gasCostQuote = quoteIsNative ? gasCost : await quoteGasCost(provider, market, quote, gasCost);
+
+  const totalCost = price + gasCostQuote;
+  const profit = value - totalCost;
+  const marginBps = totalCost === 0n ? null : (profit * 10000n) / totalCost;
+  const requiredBps = BigInt(minProfitMargin);
+
+  return {
+    poolType,
+    pool: market.pool,
+    epochUps,
+    holdSeconds,
+    emission,
+    value,
+    price,
+    gasUnits: units,
+    gasPrice,
+    l1Fee,
+    gasCost,
+    gasCostQuote,
+    gasPool: quoteIsNative ? null : market.gasPool,
+    totalCost,
+    profit,
+    marginBps,
+    requiredBps,
+    meetsMargin: marginBps === null ? profit >= 0n : marginBps >= requiredBps,
+  };
+}
+
+/**
+ * Human-readable lines explaining a market evaluation
+ * @param {object} breakdown Result of evaluateMarket()
+ * @param {(value: bigint) => string} formatQuote Formats a quote amount with its symbol
+ */
+function describeMarket(breakdown, formatQuote) {
+  const pct = (bps) => (bps === null ? "n/a" : `${(Number(bps) / 100).toFixed(2)}%`);
+  return [
+    `Expected emission: ${ethers.formatEther(breakdown.emission)} tokens (${ethers.formatEther(breakdown.epochUps)}/s × ${breakdown.holdSeconds}s)`,
+    `Market value: ${formatQuote(breakdown.value)} (Uniswap ${breakdown.poolType} ${breakdown.pool})`,
+    `Mine price: ${formatQuote(breakdown.price)}`,
+    `Est. gas: ${formatQuote(breakdown.gasCostQuote)} (${breakdown.gasUnits} gas @ ${ethers.formatUnits(breakdown.gasPrice, "gwei")} gwei${breakdown.l1Fee !== null ? ` + ${ethers.formatEther(breakdown.l1Fee)} ETH L1 data fee` : ""}${breakdown.gasPool ? `, ${ethers.formatEther(breakdown.gasCost)} ETH via ${breakdown.gasPool}` : ""})`,
+    `Profit: ${formatQuote(breakdown.profit)} | Margin: ${pct(breakdown.marginBps)} (required ${pct(breakdown.requiredBps)})`,
+  ];
+}
+
+module.exports = { evaluateMarket, describeMarket, quoteV2, quoteV3, DEFAULT_HOLD_SECONDS, DEFAULT_GAS_UNITS };
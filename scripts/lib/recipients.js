@@ -0,0 +1,125 @@
+/**
+ * Recipient Policies
+ * Picks the recipient of each mine (the address passed to executeMine, which
+ * becomes the epoch miner and later receives the minted tokens):
+ *   fixed           always the first recipient (default)
+ *   round-robin     the recipient after the one that received the last mine
+ *   weighted        at random, in proportion to the weights
+ *   least-received  the recipient with the fewest unit tokens received so far
+ *                   (per unit of weight), from the ledger; the current epoch
+ *                   holder is passed over while its payout is still pending
+ *
+ * Recipients are written as `address[:weight]` (weight defaults to 1), e.g.
+ * RECIPIENTS=0xTreasury:2,0xOperatorA,0xOperatorB
+ */
+
+const { ethers } = require("ethers");
+
+const POLICIES = ["fixed", "round-robin", "weighted", "least-received"];
+const WEIGHT_SCALE = 1000n; // Weights may have up to three decimals
+
+/**
+ * Parse a RECIPIENTS list ("0xA:2,0xB") or a controllers-file array
+ * (["0xA", { "address": "0xB", "weight": 2 }])
+ * @returns {Array<{address: string, weight: number}>}
+ */
+function parseRecipients(value) {
+  const items = Array.isArray(value) ? value : String(value).split(",").map((item) => item.trim()).filter(Boolean);
+  return items.map((item) => {
+    if (typeof item === "object" && item !== null) {
+      return { address: item.address, weight: item.weight === undefined ? 1 : Number(item.weight) };
+    }
+    const [address, weight] = String(item).split(":");
+    return { address: address.trim(), weight: weight === undefined ? 1 : Number(weight) };
+  });
+}
+
+const scaledWeight = (weight) => BigInt(Math.round(weight * Number(WEIGHT_SCALE)));
+
+/**
+ * Problems with a policy and its recipients, for startup validation
+ * (addresses are checked by the caller)
+ * @returns {string[]}
+ */
+function recipientProblems(policy, recipients) {
+  const problems = [];
+  if (!POLICIES.includes(policy)) {
+    problems.push(`policy: expected one of ${POLICIES.join(", ")} (got "${policy}")`);
+  }
+  if (policy === "fixed" && recipients.length > 1) {
+    problems.push(`the fixed policy mines for one recipient, got ${recipients.length} (choose round-robin, weighted or least-received)`);
+  }
+  const seen = new Set();
+  for (const { address, weight } of recipients) {
+    if (!Number.isFinite(weight) || weight <= 0) {
+      problems.push(`${address}: weight must be a positive number (got ${JSON.stringify(weight)})`);
+    } else if (scaledWeight(weight) === 0n) {
+      problems.push(`${address}: weight must be at least ${1 / Number(WEIGHT_SCALE)} (got ${weight})`);
+    }
+    const key = String(address).toLowerCase();
+    if (seen.has(key)) {
+      problems.push(`${address}: listed twice`);
+    }
+    seen.add(key);
+  }
+  return problems;
+}
+
+/**
+ * Create the policy for one controller
+ * @param {object} options
+ * @param {string} options.policy One of POLICIES
+ * @param {Array<{address: string, weight: number}>} options.recipients
+ * @param {() => object} options.totals Ledger totals for the controller
+ * @param {() => number} [options.random] Random source in [0, 1) for the weighted policy
+ */
+function createRecipientPolicy({ policy, recipients, totals, random = Math.random }) {
+  const totalWeight = recipients.reduce((sum, r) => sum + r.weight, 0);
+  const historyOf = (address) => totals().recipients[address.toLowerCase()] || { mines: 0, unitsReceived: 0n };
+
+  /**
+   * Recipient for the next mine
+   * @param {object} [context]
+   * @param {string|null} [context.holder] Current epoch miner
+   * @returns {{ address: string, reason: string }}
+   */
+  function pick({ holder = null } = {}) {
+    if (recipients.length === 1 || policy === "fixed") {
+      return { address: recipients[0].address, reason: policy };
+    }
+
+    if (policy === "round-robin") {
+      const last = totals().lastRecipient;
+      const lastIndex = last ? recipients.findIndex((r) => r.address.toLowerCase() === last.toLowerCase()) : -1;
+      const index = (lastIndex + 1) % recipients.length;
+      return { address: recipients[index].address, reason: `round-robin ${index + 1}/${recipients.length}` };
+    }
+
+    if (policy === "weighted") {
+      let roll = random() * totalWeight;
+      const chosen = recipients.find((r) => (roll -= r.weight) < 0) || recipients[recipients.length - 1];
+      return { address: chosen.address, reason: `weighted ${Math.round((chosen.weight * 100) / totalWeight)}%` };
+    }
+
+    // least-received: units per unit of weight, then mines per unit of weight, then list order
+    const ranked = recipients
+      .map((r, index) => {
+        const history = historyOf(r.address);
+        const weight = scaledWeight(r.weight);
+        return { ...r, index, history, units: (history.unitsReceived * WEIGHT_SCALE) / weight, mines: (BigInt(history.mines) * WEIGHT_SCALE * WEIGHT_SCALE) / weight };
+      })
+      .sort((a, b) => (a.units !== b.units ? (a.units < b.units ? -1 : 1) : a.mines !== b.mines ? (a.mines < b.mines ? -1 : 1) : a.index - b.index));
+    const pending = (r) => holder && r.address.toLowerCase() === holder.toLowerCase();
+    const chosen = ranked.find((r) => !pending(r)) || ranked[0];
+    return { address: chosen.address, reason: `least received: ${ethers.formatEther(chosen.history.unitsReceived)} tokens so far` };
+  }
+
+  return {
+    policy,
+    recipients,
+    pick,
+    includes: (address) => recipients.some((r) => r.address.toLowerCase() === String(address).toLowerCase()),
+  };
+}
+
+module.exports = { parseRecipients, recipientProblems, createRecipientPolicy, POLICIES };
@@ -0,0 +1,1506 @@
+/**
+ * Rig Monitor
+ * Per-controller monitoring state and mining logic. One instance is created for
+ * each configured controller; the monitor process schedules them side by side.
+ */
+
+const { ethers } = require("ethers");
+const { CONTROLLER_ABI, RIG_ABI, ERC20_ABI } = require("./abis");
+const { costPerUnit } = require("./ledger");
+const { evaluateMarket, describeMarket, DEFAULT_HOLD_SECONDS } = require("./profitability");
+const { readPriceCurve, planNextCheck, waitForTargetBlock } = require("./scheduler");
+const { planWrap, forecastRunway, describeRunway } = require("./funding");
+const { queueEpoch, readEpoch, createEpochTracker, rankCompetitors, describeCompetition } = require("./competition");
+const { renderEpochUri } = require("./epoch-uri");
+const { createRecipientPolicy } = require("./recipients");
+const { createControllerWatcher } = require("./controller-events");
+const { configFields } = require("./controller-config");
+const { createMulticall } = require("./multicall");
+const { hasSpendPolicy, evaluateSpendPolicy } = require("./spend-policy");
+const { classifyError, revertReason, EXPECTED_CATEGORIES } = require("./errors");
+const { createLogger } = require("./logger");
+const { explorerUrl, isWeth } = require("./config");
+
+// How far back to look for an EmergencyStop event when mining turns off (~1h on Base)
+const EMERGENCY_STOP_LOOKBACK_BLOCKS = 1800;
+// Blocks per getLogs request when looking for an epoch's unit payout (public RPCs cap the range)
+const PAYOUT_SCAN_BLOCKS = 10000;
+
+/**
+ * Create a monitor for a single controller
+ * @param {object} options
+ * @param {string} options.name Label used in logs and metrics
+ * @param {string} options.address Controller address
+ * @param {string} options.recipient Recipient of mined tokens (the first of `recipients`)
+ * @param {Array<{address: string, weight: number}>} [options.recipients] Recipients the policy chooses from
+ * @param {string} [options.recipientPolicy] fixed | round-robin | weighted | least-received (see recipients.js)
+ * @param {number} options.pollInterval Poll interval in milliseconds
+ * @param {ethers.Signer} options.signer Manager signer (shared per key)
+ * @param {object} [options.txManager] Transaction manager for the signer (not needed for dry runs)
+ * @param {ethers.Provider} options.provider Read provider
+ * @param {object} [options.multicall] createMulticall() instance for batched reads (shared per provider)
+ * @param {object} options.ledger Shared mine ledger
+ * @param {object|null} [options.market] DEX valuation config ({ pool, poolType, holdSeconds, gasUnits });
+ *   when set, mines must also meet the controller's minProfitMargin at market prices
+ * @param {object} [options.scheduler] Scheduler settings (see schedulerFromEnv); fixed polling when omitted
+ * @param {boolean} [options.dryRun] Simulate executeMine (staticCall + estimateGas) instead of sending it
+ * @param {object} [options.notifier] Shared notifier (see createNotifier) for mines, failures and alerts
+ * @param {object} [options.funding] Auto-wrap settings (see fundingSettingsFromEnv); no wrapping when omitted
+ * @param {object} [options.epochUri] Epoch URI settings (see epochUriFromEnv); mines pass "" when omitted
+ * @param {object} [options.spendPolicy] Budgets, price ceiling and mining windows (see spendPolicyFromEnv);
+ *   no limits beyond the controller's when omitted
+ * @param {object} [options.leader] Leader election (see createLeaderElection); on standby the monitor
+ *   checks but sends nothing. Always sends when omitted
+ * @param {number} [options.eventPollInterval] How often to look for controller events between checks
+ *   (ms); 0 only looks at the start of each check
+ * @param {number} [options.healthMaxMissedPolls] Missed polls before unhealthy
+ * @param {object} [options.network] Network (loadConfig().network) for explorer links, its WETH and
+ *   the OP-stack L1 data fee; none when omitted
+ * @param {object} [options.logger] createLogger() instance; records carry the controller and name
+ * @param {boolean} [options.prefixLogs] Prefix every pretty log line with the name
+ */
+function createRigMonitor({
+  name,
+  address,
+  recipient,
+  recipients = null,
+  recipientPolicy = "fixed",
+  pollInterval,
+  signer,
+  txManager,
+  provider,
+  multicall = createMulticall(provider),
+  ledger,
+  market = null,
+  scheduler = null,
+  dryRun = false,
+  notifier = null,
+  funding = null,
+  epochUri = null,
+  spendPolicy = null,
+  leader = null,
+  eventPollInterval = 15000,
+  healthMaxMissedPolls = 3,
+  network = null,
+  logger = createLogger(),
+  prefixLogs = false,
+}) {
+  const logs = logger.child({ controller: address, name }, { prefix: prefixLogs ? `[${name}] ` : "" });
+  // Block, epoch and price of the check in progress, added to its log records
+  let checkFields = {};
+  const log = (message, fields) => logs.info(message, { ...checkFields, ...fields });
+  const logWarn = (message, fields) => logs.warn(message, { ...checkFields, ...fields });
+  const logError = (message, fields) => logs.error(message, { ...checkFields, ...fields });
+  const logDebug = (message, fields) => logs.debug(message, { ...checkFields, ...fields });
+
+  const controller = new ethers.Contract(address, CONTROLLER_ABI, signer);
+  // Explorer page of a transaction, or null when the network has no explorer
+  const txLink = (hash) => (network ? explorerUrl({ network }, hash, "tx") : null);
+  // Dry runs never change chain state, so the cooldown after a simulated mine is tracked here
+  let simulatedCooldownUntil = 0;
+  let consecutiveErrors = 0;
+  let miningDisabled = false;
+  // Set once wrapETH reverts (older controller or non-WETH quote)
+  let wrapUnsupported = false;
+  let quoteInfo = { symbol: "ETH", decimals: 18 };
+  // Rig metadata and config are read once, then dropped or replaced when the
+  // controller emits TargetRigUpdated / ConfigUpdated / EmergencyStop
+  let rig = null;
+  let cachedConfig = null;
+  // Bumped on every invalidation, so a read that started before it is not cached
+  let cacheGeneration = 0;
+  // Set by an EmergencyStop event until a check finds mining enabled again
+  let emergencyStopped = false;
+  // Last block searched for the payout of the epoch our last mine holds
+  let payoutScannedTo = 0;
+  let eventPollFailing = false;
+  // Ends the current wait early (set while waitForNextCheck sleeps)
+  let wake = null;
+  const watcher = createControllerWatcher({
+    controller,
+    provider,
+    onEvent: onControllerEvent,
+    onGap: () => {
+      invalidateCache();
+      logWarn("⚠️  Controller events may have been missed; reloading rig metadata and config", { event: "controller_events" });
+    },
+    onError: eventPollFailed,
+  });
+  // Chooses the recipient of each mine
+  const payees = createRecipientPolicy({
+    policy: recipientPolicy,
+    recipients: recipients || [{ address: recipient, weight: 1 }],
+    totals: () => ledger.totals(address),
+  });
+  // Epoch holder between checks; epochs mined for any of our recipients count as ours
+  const epochs = createEpochTracker((miner) => payees.includes(miner));
+  let epochTrackingFailed = false;
+  // Set when another miner took the epoch we were about to mine: re-quote without waiting
+  let requoteNow = false;
+  const formatQuote = (value) => `${ethers.formatUnits(value, quoteInfo.decimals)} ${quoteInfo.symbol}`;
+  // Latest reads, served by the status server
+  const snapshot = {
+    lastCheckAt: null,
+    lastSuccessAt: null,
+    blockNumber: null,
+    targetRig: null,
+    status: null,
+    profitability: null,
+    market: null,
+    nextCheck: null,
+    ethBalance: null,
+    runway: null,
+    epoch: null,
+    policy: null,
+  };
+  // Session counters; lifetime totals live in the ledger
+  const stats = {
+    startTime: Date.now(),
+    checksPerformed: 0,
+    mintsExecuted: 0,
+    errors: 0,
+    errorsByCategory: {},
+    racesLost: 0,
+    standbySkips: 0,
+  };
+
+  /**
+   * Verify the controller and print its setup
+   */
+  async function initialize() {
+    // Follow events from here on, so nothing emitted while loading is missed
+    await pollControllerEvents();
+    const { targetRig, quoteToken, quote } = await loadRig();
+    if (!quoteToken) {
+      logWarn("⚠️ Could not fetch quote token info", { event: "quote_token" });
+    }
+  
+    const manager = await signer.getAddress();
+    const banner = [`📍 Controller: ${address}`, `🎯 Target Rig: ${targetRig}`];
+    if (quoteToken) {
+      banner.push(`💰 Quote Token: ${quote.symbol} (${quoteToken})`);
+    }
+    if (market) {
+      banner.push(`📈 Market: Uniswap ${market.poolType || "v2"} pool ${market.pool} (hold ${market.holdSeconds || DEFAULT_HOLD_SECONDS}s)`);
+    }
+    banner.push(`👤 Manager: ${manager}`);
+    if (payees.recipients.length > 1) {
+      banner.push(`🎁 Recipients (${payees.policy}): ${payees.recipients.map((r) => `${r.address}${r.weight !== 1 ? ` x${r.weight}` : ""}`).join(", ")}`);
+    } else {
+      banner.push(`🎁 Recipient: ${recipient}`);
+    }
+    if (epochUri && (epochUri.template || epochUri.list)) {
+      banner.push(`🏷️  Epoch URI: ${epochUri.template || `rotating through ${epochUri.list}`}`);
+    }
+    if (hasSpendPolicy(spendPolicy)) {
+      banner.push(`🚧 Spend Policy: ${describeSpendPolicy()}`);
+    }
+    banner.push(`⏱️  Poll Interval: ${pollInterval / 1000}s`);
+    banner.push(`📡 Controller events: ${eventPollInterval > 0 ? `every ${eventPollInterval / 1000}s and ` : ""}before each check`);
+    log(banner.join("\n"), {
+      event: "controller",
+      targetRig,
+      quoteToken,
+      manager,
+      recipients: payees.recipients.map((r) => r.address),
+    });
+  
+    // Display config
+    await displayConfig();
+    watcher.start(eventPollInterval);
+  }
+
+  function describeSpendPolicy() {
+    const unit = ` ${quoteInfo.symbol}`;
+    return [
+      spendPolicy.priceCeiling && `price ≤ ${spendPolicy.priceCeiling}${unit}`,
+      spendPolicy.maxSpendPerHour && `${spendPolicy.maxSpendPerHour}${unit}/hour`,
+      spendPolicy.maxSpendPerDay && `${spendPolicy.maxSpendPerDay}${unit}/day`,
+      spendPolicy.maxSpendPerWeek && `${spendPolicy.maxSpendPerWeek}${unit}/week`,
+      spendPolicy.maxMinesPerDay && `${spendPolicy.maxMinesPerDay} mines/day`,
+      spendPolicy.windows && `windows ${[].concat(spendPolicy.windows).join(", ")} UTC`,
+      spendPolicy.blackouts && `blackouts ${[].concat(spendPolicy.blackouts).join(", ")}`,
+    ].filter(Boolean).join(" | ");
+  }
+
+  /**
+   * Display current configuration
+   */
+  async function displayConfig() {
+    try {
+      const config = await readConfig();
+      const status = await controller.getMiningStatus();
+      const { quote } = await loadRig();
+    
+      log([
+        "\n📋 Current Configuration:",
+        `  Max Mining Price: ${ethers.formatUnits(config.maxMiningPrice, quote.decimals)} ${quote.symbol} per mine`,
+        `  Min Profit Margin: ${Number(config.minProfitMargin) / 100}%`,
+        `  Mint Range: ${ethers.formatEther(config.minMintAmount)} - ${ethers.formatEther(config.maxMintAmount)} tokens`,
+        `  Auto Mining: ${config.autoMiningEnabled ? "✅ ENABLED" : "❌ DISABLED"}`,
+        `  Cooldown: ${config.cooldownPeriod.toString()}s`,
+        `  Max Gas: ${config.maxGasPrice.toString()} gwei`,
+        `  Time-Based Mint Period: ${config.timeBasedMintPeriod.toString()}s`,
+        `  Controller Quote Balance: ${ethers.formatUnits(status.quoteBalance, quote.decimals)} ${quote.symbol}`,
+        `  Current Epoch: ${status.currentEpochId.toString()}`,
+      ].join("\n"), { event: "config", epochId: status.currentEpochId, quoteBalance: status.quoteBalance, config });
+    } catch (error) {
+      logError(`❌ Failed to fetch config: ${error.message}`, { event: "error", category: classifyError(error), error });
+    }
+  }
+
+  /**
+   * Target rig with its quote and unit tokens. Cached until the target rig
+   * changes; while a token read fails nothing is cached, so the next check
+   * tries again.
+   * @returns {Promise<{ targetRig: string, rigContract: ethers.Contract, quoteToken: string|null,
+   *   quote: { symbol: string, decimals: number }, unitToken: ethers.Contract|null }>}
+   */
+  async function loadRig() {
+    if (rig) return rig;
+    const generation = cacheGeneration;
+    // Three dependent reads (rig, its tokens, the quote token's metadata), all at one block
+    const rigBatch = multicall.batch();
+    const readTargetRig = rigBatch.add(controller, "targetRig");
+    const block = await rigBatch.run();
+    const targetRig = readTargetRig();
+    const rigContract = new ethers.Contract(targetRig, RIG_ABI, provider);
+    const loaded = { targetRig, rigContract, quoteToken: null, quote: { symbol: "ETH", decimals: 18 }, unitToken: null };
+
+    const tokenBatch = multicall.batch();
+    const readQuote = tokenBatch.add(rigContract, "quote");
+    const readUnit = tokenBatch.add(rigContract, "unit");
+    await tokenBatch.run(block.number);
+    loaded.quoteToken = readQuote(null);
+    const unit = readUnit(null);
+    loaded.unitToken = unit && new ethers.Contract(unit, ERC20_ABI, provider);
+    let complete = loaded.quoteToken !== null && loaded.unitToken !== null;
+
+    if (loaded.quoteToken) {
+      const quoteContract = new ethers.Contract(loaded.quoteToken, ERC20_ABI, provider);
+      const metadataBatch = multicall.batch();
+      const readSymbol = metadataBatch.add(quoteContract, "symbol");
+      const readDecimals = metadataBatch.add(quoteContract, "decimals");
+      await metadataBatch.run(block.number);
+      const symbol = readSymbol(null);
+      const decimals = readDecimals(null);
+      if (symbol !== null && decimals !== null) {
+        loaded.quote = { symbol, decimals: Number(decimals) };
+      } else {
+        complete = false;
+      }
+    }
+
+    quoteInfo = loaded.quote;
+    if (complete && generation === cacheGeneration) {
+      rig = loaded;
+    }
+    return loaded;
+  }
+
+  /**
+   * The controller's config, cached until it changes
+   */
+  async function readConfig() {
+    if (cachedConfig) return cachedConfig;
+    const generation = cacheGeneration;
+    const result = await controller.config();
+    const config = Object.fromEntries(configFields(quoteInfo).map(([key]) => [key, result[key]]));
+    if (generation === cacheGeneration) {
+      cachedConfig = config;
+    }
+    return config;
+  }
+
+  function invalidateCache() {
+    cacheGeneration++;
+    rig = null;
+    cachedConfig = null;
+  }
+
+  /**
+   * Apply controller events since the last look. While they cannot be read,
+   * nothing cached can be trusted and every check reads from the chain.
+   */
+  async function pollControllerEvents() {
+    const following = watcher.lastBlock() !== null;
+    try {
+      await watcher.poll();
+    } catch (error) {
+      eventPollFailed(error);
+      invalidateCache();
+      return;
+    }
+    if (!following) {
+      invalidateCache();
+    }
+    if (eventPollFailing) {
+      eventPollFailing = false;
+      log("📡 Controller events readable again", { event: "controller_events" });
+    }
+  }
+
+  function eventPollFailed(error) {
+    if (!eventPollFailing) {
+      logWarn(`⚠️  Could not read controller events (${error.shortMessage || error.message}); reloading rig metadata and config every check until they are back`, { event: "controller_events", category: classifyError(error), error });
+    }
+    eventPollFailing = true;
+  }
+
+  /**
+   * Owner changes take effect right away: the cache is updated, the change
+   * logged, and the current wait cut short so the next check uses it
+   */
+  function onControllerEvent(event) {
+    const where = `block ${event.blockNumber}, tx ${event.transactionHash}`;
+    cacheGeneration++;
+    if (event.name === "TargetRigUpdated") {
+      rig = null;
+      log(`🎯 Target rig changed: ${event.args.oldRig} → ${event.args.newRig} (${where})`, { event: "target_rig_changed", block: event.blockNumber, txHash: event.transactionHash, rig: event.args.newRig });
+      notify({ type: "config_changed", severity: "warning", title: "Target rig changed", message: `${event.args.oldRig} → ${event.args.newRig}`, fields: { tx: event.transactionHash } });
+    } else if (event.name === "ConfigUpdated") {
+      const fields = configFields(quoteInfo);
+      const config = Object.fromEntries(fields.map(([key]) => [key, event.args[key]]));
+      const changes = cachedConfig
+        ? fields.filter(([key]) => cachedConfig[key] !== config[key]).map(([key, label, format]) => `${label} ${format(cachedConfig[key])} → ${format(config[key])}`)
+        : fields.map(([key, label, format]) => `${label} ${format(config[key])}`);
+      cachedConfig = config;
+      log([`⚙️  Config updated (${where}):`, ...(changes.length > 0 ? changes : ["no changes"]).map((change) => `  ${change}`)].join("\n"), {
+        event: "config_changed",
+        block: event.blockNumber,
+        txHash: event.transactionHash,
+        config,
+      });
+      notify({ type: "config_changed", severity: "info", title: "Controller config updated", message: changes.join("\n") || "No changes", fields: { tx: event.transactionHash } });
+    } else if (event.name === "EmergencyStop") {
+      emergencyStopped = true;
+      cachedConfig = cachedConfig && { ...cachedConfig, autoMiningEnabled: false };
+      logWarn(`🚨 Emergency stop by ${event.args.by} (${where}): mining paused`, { event: "emergency_stop", block: event.blockNumber, txHash: event.transactionHash, by: event.args.by });
+      alertMiningDisabled({ by: event.args.by, transactionHash: event.transactionHash });
+    }
+    if (wake) {
+      wake();
+    }
+  }
+
+  /**
+   * Record the units paid for the epoch this controller's last mine made its
+   * recipient hold. The rig mints them to the holder in the transaction that
+   * takes the epoch over, so the first mint to that recipient after our mine
+   * is the payout. Other transfers to the recipient, and mints for epochs
+   * other controllers mined, are not counted.
+   * @param {ethers.Contract} unitToken
+   * @param {number} toBlock Last block to search
+   * @returns {Promise<bigint>} Units recorded, 0n while the epoch is still held
+   */
+  async function recordPayout(unitToken, toBlock) {
+    const held = ledger.totals(address).heldEpoch;
+    if (!held || !unitToken) {
+      return 0n;
+    }
+    const filter = unitToken.filters.Transfer(ethers.ZeroAddress, held.recipient);
+    for (let from = Math.max(held.block + 1, payoutScannedTo + 1); from <= toBlock; from += PAYOUT_SCAN_BLOCKS) {
+      const to = Math.min(toBlock, from + PAYOUT_SCAN_BLOCKS - 1);
+      const [payout] = await unitToken.queryFilter(filter, from, to);
+      payoutScannedTo = to;
+      if (payout) {
+        ledger.record("units", {
+          controller: address,
+          token: unitToken.target,
+          recipient: held.recipient,
+          amount: payout.args.value,
+          block: payout.blockNumber,
+          hash: payout.transactionHash,
+        });
+        return payout.args.value;
+      }
+    }
+    return 0n;
+  }
+
+  /**
+   * Record a mine receipt in the ledger, including gas cost and the payout for
+   * the epoch our previous mine held, when it arrived up to this block
+   * @param {object} [options]
+   * @param {ethers.Contract} [options.unitToken] The rig's unit token; the cached one when omitted
+   * @param {boolean} [options.cancelled]
+   * @param {string} [options.mineRecipient] Recipient the mine was sent for
+   * @returns {{ minted: object|null, gasCost: bigint, unitsReceived: bigint }}
+   */
+  async function recordReceipt(receipt, { unitToken, cancelled = false, mineRecipient = recipient } = {}) {
+    const minted = receipt.logs
+      .map(log => {
+        try {
+          return controller.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(e => e && e.name === "TokensMinted");
+
+    const gasCost = receipt.gasUsed * (receipt.gasPrice || 0n);
+    let unitsReceived = 0n;
+    try {
+      // Settled before this receipt replaces the held epoch (a mine taking
+      // over our own epoch pays it out in this very transaction)
+      unitsReceived = await recordPayout(unitToken === undefined ? (await loadRig()).unitToken : unitToken, receipt.blockNumber);
+    } catch (e) {
+      // Logs unavailable; the payout is not attributed
+    }
+
+    ledger.record("receipt", {
+      controller: address,
+      hash: receipt.hash,
+      status: cancelled ? 0 : receipt.status,
+      cancelled,
+      block: receipt.blockNumber,
+      recipient: mineRecipient,
+      epochId: minted ? minted.args.epochId : null,
+      cost: minted ? minted.args.cost : 0n,
+      gasUsed: receipt.gasUsed,
+      gasPrice: receipt.gasPrice,
+      gasCost,
+    });
+
+    if (cancelled) {
+      notify({ type: "tx_failed", severity: "warning", title: "Mine cancelled", message: "Stuck transaction replaced by a zero-value transfer", fields: { tx: receipt.hash } });
+    } else if (receipt.status !== 1) {
+      notify({ type: "tx_failed", severity: "critical", title: "Mine transaction reverted", fields: { tx: receipt.hash, gas: `${ethers.formatEther(gasCost)} ETH` } });
+    } else if (minted) {
+      notify({
+        type: "mint",
+        severity: "success",
+        title: "Mine successful",
+        fields: {
+          epoch: minted.args.epochId.toString(),
+          cost: formatQuote(minted.args.cost),
+          received: unitsReceived > 0n ? `${ethers.formatEther(unitsReceived)} tokens` : null,
+          gas: `${ethers.formatEther(gasCost)} ETH`,
+          tx: txLink(receipt.hash) || receipt.hash,
+        },
+      });
+    }
+
+    return { minted, gasCost, unitsReceived };
+  }
+
+  const alertKey = (kind) => `${kind}:${address.toLowerCase()}`;
+
+  /**
+   * Send a notification tagged with this controller (no-op without a notifier)
+   */
+  function notify(event) {
+    if (!notifier) return;
+    notifier.notify({ ...event, fields: { controller: `${name} (${address})`, ...event.fields } });
+  }
+
+  function resolveAlert(kind, event) {
+    if (!notifier) return;
+    notifier.resolve(alertKey(kind), event && { ...event, fields: { controller: `${name} (${address})`, ...event.fields } });
+  }
+
+  /**
+   * Alert once when mining turns off, naming the caller if it was an emergency stop
+   * @param {object} [stop] The EmergencyStop event, when already known ({ by, transactionHash })
+   */
+  async function alertMiningDisabled(stop = null) {
+    if (miningDisabled) return;
+    miningDisabled = true;
+    if (!stop) {
+      try {
+        const latest = await provider.getBlockNumber();
+        const events = await controller.queryFilter("EmergencyStop", Math.max(0, latest - EMERGENCY_STOP_LOOKBACK_BLOCKS), latest);
+        const last = events[events.length - 1];
+        stop = last ? { by: last.args.by, transactionHash: last.transactionHash } : null;
+      } catch (e) {
+        // Log range not served by this node; report it as a plain disable
+      }
+    }
+    notify(stop
+      ? { type: "emergency_stop", severity: "critical", key: alertKey("disabled"), title: "Emergency stop", message: `Auto mining stopped by ${stop.by}`, fields: { tx: stop.transactionHash } }
+      : { type: "disabled", severity: "warning", key: alertKey("disabled"), title: "Auto mining disabled" });
+  }
+
+  function alertMiningEnabled() {
+    if (!miningDisabled) return;
+    miningDisabled = false;
+    resolveAlert("disabled", { title: "Auto mining re-enabled" });
+  }
+
+  /**
+   * Alert when the quote balance covers fewer than NOTIFY_LOW_BALANCE_MINES mines
+   */
+  function checkQuoteBalance(balance, price) {
+    const threshold = notifier ? BigInt(notifier.settings.lowBalanceMines) : 0n;
+    if (threshold === 0n || price === 0n) return;
+    const mines = balance / price;
+    if (mines < threshold) {
+      notify({
+        type: "low_balance",
+        severity: mines === 0n ? "critical" : "warning",
+        key: alertKey("low_balance"),
+        title: "Low quote balance",
+        message: `Balance covers ${mines} mine(s) at the current price (alert below ${threshold})`,
+        fields: { balance: formatQuote(balance), price: formatQuote(price) },
+      });
+    } else {
+      resolveAlert("low_balance", { title: "Quote balance topped up", fields: { balance: formatQuote(balance) } });
+    }
+  }
+
+  function checkSucceeded() {
+    snapshot.lastSuccessAt = Date.now();
+    if (consecutiveErrors > 0) {
+      consecutiveErrors = 0;
+      resolveAlert("errors", { title: "Checks succeeding again" });
+    }
+  }
+
+  function checkFailed(category, error) {
+    if (EXPECTED_CATEGORIES.has(category)) return;
+    consecutiveErrors++;
+    if (category === "insufficient_balance") {
+      notify({ type: "low_balance", severity: "critical", key: alertKey("low_balance"), title: "Insufficient quote balance", message: "executeMine reverted: fund the controller with WETH" });
+    }
+    const threshold = notifier ? notifier.settings.errorThreshold : 0;
+    if (threshold > 0 && consecutiveErrors >= threshold) {
+      notify({
+        type: "errors",
+        severity: "critical",
+        key: alertKey("errors"),
+        title: `${consecutiveErrors} consecutive errors`,
+        message: error.shortMessage || error.message,
+        fields: { category },
+      });
+    }
+  }
+
+  /**
+   * Wrap idle ETH on the controller into WETH when the quote balance is below
+   * the auto-wrap target
+   */
+  async function wrapIdleEth({ ethBalance, quoteBalance, mineCost, config }) {
+    const amount = planWrap({ ethBalance, quoteBalance, mineCost, settings: funding });
+    if (amount === null) return;
+    const wrapped = amount === 0n ? ethBalance : amount;
+    log(`  🔄 Wrapping ${ethers.formatEther(wrapped)} ETH into ${quoteInfo.symbol} (target ${funding.targetMines} mines)`, { event: "wrap", amount: wrapped });
+
+    let tx;
+    try {
+      tx = await txManager.send({
+        to: address,
+        data: controller.interface.encodeFunctionData("wrapETH", [amount]),
+        maxGasPriceWei: config.maxGasPrice * 1000000000n,
+        meta: { controller: address, action: "wrap" },
+      });
+    } catch (error) {
+      if (error.code !== "CALL_EXCEPTION") throw error;
+      wrapUnsupported = true;
+      logWarn(`  ⚠️  wrapETH not available (${revertReason(error) || error.shortMessage}); auto-wrap disabled for this controller`, { event: "wrap_failed", category: classifyError(error), error });
+      notify({ type: "low_balance", severity: "warning", title: "ETH on controller cannot be wrapped", message: "Withdraw it or fund the controller with the quote token directly", fields: { eth: `${ethers.formatEther(ethBalance)} ETH` } });
+      return;
+    }
+
+    log(`  📝 Wrap submitted: ${tx.hash}`, { event: "wrap_submitted", txHash: tx.hash, nonce: tx.nonce });
+    const { receipt, replacedExternally } = await tx.wait();
+    ledger.record("wrap", { controller: address, hash: tx.hash, amount: wrapped, status: receipt ? receipt.status : null });
+    if (replacedExternally) {
+      logWarn(`  ⚠️  Wrap nonce ${tx.nonce} was used by an unknown transaction; ${tx.hash} was never mined`, { event: "wrap_replaced", txHash: tx.hash, nonce: tx.nonce });
+    } else if (receipt && receipt.status === 1) {
+      log(`  ✅ Wrapped ${ethers.formatEther(wrapped)} ETH`, { event: "wrap_confirmed", txHash: tx.hash, amount: wrapped });
+    } else {
+      logWarn(`  ⚠️  Wrap ${receipt ? "reverted" : "still pending"}: ${tx.hash}`, { event: receipt ? "wrap_failed" : "wrap_pending", txHash: tx.hash });
+    }
+  }
+
+  /**
+   * Follow the rig's epoch holder and record every takeover since the last
+   * check, logging the ones by competitors
+   * @param {string} targetRig
+   * @param {Function} [queued] queueEpoch() getter from a batch that has run; read afresh when omitted
+   * @returns {Promise<object|null>} readEpoch() result, null if the rig does not expose it
+   */
+  async function trackEpoch(targetRig, queued = null) {
+    let epoch;
+    try {
+      epoch = queued ? queued() : await readEpoch(provider, targetRig, scheduler ? scheduler.defaultEpochPeriod : 3600, multicall);
+    } catch (error) {
+      if (!epochTrackingFailed) {
+        logWarn(`  ⚠️  Epoch tracking unavailable: ${error.shortMessage || error.message}`, { event: "epoch_tracking", category: classifyError(error), error });
+      }
+      epochTrackingFailed = true;
+      return null;
+    }
+    epochTrackingFailed = false;
+
+    const takeover = epochs.observe(epoch);
+    snapshot.epoch = {
+      epochId: epoch.epochId,
+      miner: epoch.miner,
+      ours: payees.includes(epoch.miner),
+      startTime: Number(epoch.curve.startTime),
+    };
+    if (takeover) {
+      ledger.record("epoch", { controller: address, rig: targetRig, ...takeover });
+      if (!takeover.ours) {
+        const paid = takeover.price === null ? "an unknown price" : `${takeover.estimated ? "~" : ""}${formatQuote(takeover.price)}`;
+        const seen = ledger.totals(address).competitors[takeover.miner.toLowerCase()].mines;
+        const unseen = takeover.skipped > 0 ? `, ${takeover.skipped} more epoch(s) in between` : "";
+        log(`  🏁 Epoch ${takeover.epochId} taken by ${takeover.miner} at ${paid} (${seen} mine(s) by them so far${unseen})`, {
+          event: "epoch_taken",
+          epochId: takeover.epochId,
+          miner: takeover.miner,
+          price: takeover.price,
+        });
+      }
+    }
+    return epoch;
+  }
+
+  /**
+   * Whether the epoch a mine decision was based on has been taken by another
+   * miner (at `blockTag`). Records the lost race and asks for an immediate
+   * re-quote.
+   * @param {object} decision { rigContract, targetRig, epochId }
+   * @param {string} stage "before_send" (caught before signing), "send" (reverted in
+   *   estimation) or "reverted" (reverted on-chain)
+   */
+  async function lostRace(decision, stage, { hash = null, blockTag = "latest" } = {}) {
+    let epochId;
+    try {
+      epochId = await decision.rigContract.epochId({ blockTag });
+    } catch (e) {
+      return false;
+    }
+    if (epochId === decision.epochId) {
+      return false;
+    }
+
+    const epoch = await trackEpoch(decision.targetRig);
+    const winner = epoch ? epoch.miner : "another miner";
+    ledger.record("race", { controller: address, stage, hash, epochId: decision.epochId, newEpochId: epochId, miner: epoch ? epoch.miner : null });
+    stats.racesLost++;
+    requoteNow = true;
+    const fields = { event: "epoch_race", category: "epoch_race", stage, epochId: decision.epochId, miner: winner, txHash: hash };
+    if (stage === "before_send") {
+      log(`  🏁 Epoch ${decision.epochId} was mined by ${winner} since the decision (now ${epochId}), re-quoting`, fields);
+    } else {
+      log(`  🏁 Lost the race for epoch ${decision.epochId} to ${winner} (now ${epochId})${hash ? `: ${hash}` : ""}, re-quoting`, fields);
+    }
+    return true;
+  }
+
+  /**
+   * executeMine's epochUri for this mine. A URI that cannot be built (list
+   * unreadable, too long) is logged and the mine goes ahead without one.
+   * @returns {{ uri: string, entry: number|null }}
+   */
+  function nextEpochUri({ epochId, price, mineRecipient }) {
+    if (!epochUri) {
+      return { uri: "", entry: null };
+    }
+    try {
+      return renderEpochUri(epochUri, {
+        index: ledger.totals(address).mintsExecuted,
+        epochId,
+        timestamp: Math.floor(Date.now() / 1000),
+        recipient: mineRecipient,
+        controller: address,
+        price: ethers.formatUnits(price, quoteInfo.decimals),
+        priceWei: price,
+      });
+    } catch (error) {
+      logWarn(`  ⚠️  ${error.message}; mining without an epoch URI`, { event: "epoch_uri", error });
+      return { uri: "", entry: null };
+    }
+  }
+
+  /**
+   * checkProfitability(); when a mine is possible and the provider has a read
+   * quorum configured, the answer must agree across endpoints at the tip
+   * @param {boolean} canMintNow
+   * @param {Function} batched Getter for the value read with the check's batch
+   */
+  async function readProfitability(canMintNow, batched) {
+    const quorum = provider.settings ? provider.settings.readQuorum : 1;
+    if (!canMintNow || quorum <= 1 || typeof provider.quorumCall !== "function") {
+      return batched();
+    }
+    const data = controller.interface.encodeFunctionData("checkProfitability");
+    const result = await provider.quorumCall({ to: address, data }, quorum);
+    log(`  🗳️  Price confirmed by ${result.votes} RPC endpoints at block ${result.blockNumber}`, { event: "quorum", votes: result.votes });
+    return controller.interface.decodeFunctionResult("checkProfitability", result.data);
+  }
+
+  /**
+   * Check profitability and execute if favorable
+   */
+  async function checkAndMine() {
+    // Epoch the mine decision is based on, until the transaction is submitted
+    let decision = null;
+    try {
+      stats.checksPerformed++;
+      snapshot.lastCheckAt = Date.now();
+    
+      // Owner changes since the last check replace what is cached
+      await pollControllerEvents();
+
+      const { targetRig, rigContract, quoteToken, quote, unitToken } = await loadRig();
+      const quoteSymbol = quote.symbol;
+      const quoteDecimals = quote.decimals;
+
+      // Everything this check decides on, read in one call at one block
+      const batch = multicall.batch();
+      const readStatus = batch.add(controller, "getMiningStatus");
+      const readProfit = batch.add(controller, "checkProfitability");
+      const readEthBalance = batch.ethBalance(address);
+      const readEpochState = queueEpoch(batch, provider, targetRig, scheduler ? scheduler.defaultEpochPeriod : 3600);
+      const block = await batch.run();
+
+      const status = readStatus();
+      snapshot.status = status.toObject();
+      snapshot.blockNumber = block.number;
+      checkFields = { block: block.number, epochId: status.currentEpochId, price: status.currentPrice };
+      // Units paid out when another miner took the epoch we held
+      try {
+        await recordPayout(unitToken, block.number);
+      } catch (e) {
+        // Retried from the same block on the next check
+      }
+    
+      snapshot.targetRig = targetRig;
+      await trackEpoch(targetRig, readEpochState);
+    
+      if (status.isEnabled) {
+        emergencyStopped = false;
+      } else {
+        snapshot.profitability = null;
+        checkSucceeded();
+        await alertMiningDisabled();
+        ledger.record("check", {
+          controller: address,
+          block: block.number,
+          epochId: status.currentEpochId,
+          price: status.currentPrice,
+          quoteBalance: status.quoteBalance,
+          enabled: false,
+        });
+        log("⏸️  Auto mining disabled", { event: "mining_disabled" });
+        return;
+      }
+
+      // Check profitability
+      const [profitability, config] = await Promise.all([
+        readProfitability(status.canMintNow, readProfit),
+        readConfig(),
+      ]);
+      const ethBalance = readEthBalance();
+      const [isProfitable, currentPrice, recommendedAmount, reason] = profitability;
+      snapshot.profitability = profitability.toObject();
+      checkSucceeded();
+      alertMiningEnabled();
+      checkQuoteBalance(status.quoteBalance, currentPrice);
+
+      ledger.record("check", {
+        controller: address,
+        block: block.number,
+        epochId: status.currentEpochId,
+        price: currentPrice,
+        quoteBalance: status.quoteBalance,
+        enabled: true,
+        canMintNow: status.canMintNow,
+        profitable: isProfitable,
+        reason: Number(reason),
+      });
+    
+      const formattedPrice = ethers.formatUnits(currentPrice, quoteDecimals);
+      const formattedBalance = ethers.formatUnits(status.quoteBalance, quoteDecimals);
+      const timestamp = new Date().toISOString();
+    
+      log([
+        `[${timestamp}] Check #${stats.checksPerformed} (block ${block.number})`,
+        `  Price: ${formattedPrice} ${quoteSymbol} | Epoch: ${status.currentEpochId.toString()} | Balance: ${formattedBalance} ${quoteSymbol}`,
+      ].join("\n"), {
+        event: "check",
+        check: stats.checksPerformed,
+        quoteBalance: status.quoteBalance,
+        canMintNow: status.canMintNow,
+        profitable: isProfitable,
+      });
+
+      // Runway counts idle ETH too when it can be wrapped into the quote token
+      const canWrap = !wrapUnsupported && quoteSymbol.toUpperCase() === "WETH";
+      const runway = forecastRunway({
+        quoteBalance: status.quoteBalance,
+        wrappableEth: canWrap ? ethBalance : 0n,
+        currentPrice,
+        recentMines: ledger.totals(address).recentMines,
+        fallbackIntervalSeconds: Number(config.timeBasedMintPeriod),
+      });
+      snapshot.ethBalance = ethBalance;
+      snapshot.runway = runway;
+      log(`  ⛽ ${describeRunway(runway, formatQuote)}${ethBalance > 0n ? ` | Idle ETH: ${ethers.formatEther(ethBalance)}` : ""}`, {
+        event: "runway",
+        ethBalance,
+      });
+
+      if (canWrap && funding && txManager && !dryRun && (!leader || leader.isLeader())) {
+        await wrapIdleEth({ ethBalance, quoteBalance: status.quoteBalance, mineCost: runway.mineCost, config });
+      }
+    
+      // Show condition status
+      const conditions = [
+        status.priceConditionMet ? `  ✅ Price condition met (below max)` : `  ⛔ Price condition not met (above max)`,
+      ];
+      if (status.timeConditionMet) {
+        conditions.push(`  ✅ Time condition met (enough time passed)`);
+      } else {
+        const nextTimeMint = new Date(Number(status.nextTimeBasedMintTime) * 1000);
+        const waitTime = Math.max(0, Math.floor((nextTimeMint - new Date()) / 1000));
+        conditions.push(`  ⏳ Time condition: ${waitTime}s until time-based mint available`);
+      }
+      log(conditions.join("\n"), {
+        event: "conditions",
+        priceConditionMet: status.priceConditionMet,
+        timeConditionMet: status.timeConditionMet,
+      });
+    
+      if (!status.canMintNow) {
+        const nextMint = new Date(Number(status.nextMintTime) * 1000);
+        log(`  ⏳ Cooldown active. Next mint available: ${nextMint.toLocaleTimeString()}`, { event: "cooldown", nextMintAt: nextMint.toISOString() });
+        return;
+      }
+
+      if (!isProfitable || recommendedAmount === 0n) {
+        const reasonText = reason === 0n ? "price-based" : reason === 1n ? "time-based" : "not profitable";
+        log(`  ⛔ Not profitable: ${reasonText}`, { event: "not_profitable", reason: Number(reason) });
+        return;
+      }
+
+      if (dryRun && Date.now() < simulatedCooldownUntil) {
+        log(`  🧪 Simulated cooldown after dry-run mine until ${new Date(simulatedCooldownUntil).toLocaleTimeString()}`, { event: "cooldown", simulated: true });
+        return;
+      }
+
+      // Monitor-side limits: budgets, price ceiling (time-based mines too) and mining windows
+      if (hasSpendPolicy(spendPolicy)) {
+        const result = evaluateSpendPolicy(spendPolicy, {
+          now: Date.now(),
+          price: currentPrice,
+          quoteDecimals,
+          history: ledger.totals(address).mineHistory,
+          format: formatQuote,
+        });
+        snapshot.policy = { ...result, at: new Date().toISOString() };
+        if (!result.allowed) {
+          for (const { policy, reason: blockReason } of result.blocked) {
+            log(`  🚧 Blocked by ${policy}: ${blockReason}`, { event: "policy_blocked", policy });
+          }
+          ledger.record("blocked", {
+            controller: address,
+            block: block.number,
+            epochId: status.currentEpochId,
+            price: currentPrice,
+            policies: result.blocked.map((b) => b.policy),
+          });
+          return;
+        }
+      }
+
+      const payee = payees.pick({ holder: snapshot.epoch ? snapshot.epoch.miner : null });
+      const mineRecipient = payee.address;
+      // Filled in now so gas estimates include storing it
+      const { uri, entry: uriEntry } = nextEpochUri({ epochId: status.currentEpochId, price: currentPrice, mineRecipient });
+
+      // Market gate: value the expected emission and require minProfitMargin
+      if (market) {
+        const breakdown = await checkMarket({ targetRig, quoteToken, unitToken, currentPrice, status, uri, mineRecipient });
+        if (!breakdown || !breakdown.meetsMargin) {
+          return;
+        }
+      }
+
+      // Redundant instances: only the leader lease holder sends, renewed right now
+      if (!dryRun && leader && !(await leader.confirm())) {
+        const { holder } = leader.status();
+        log(`  🧍 Standby: would mine, but ${holder ? `${holder} holds` : "nobody could take"} the leader lease`, { event: "standby", leader: holder });
+        stats.standbySkips++;
+        return;
+      }
+
+      // The decision is several calls old by now; if another miner took the
+      // epoch in the meantime the quote is stale
+      decision = { rigContract, targetRig, epochId: status.currentEpochId };
+      if (!dryRun && await lostRace(decision, "before_send")) {
+        return;
+      }
+      // An emergency stop may have arrived while deciding; executeMine would revert
+      if (emergencyStopped) {
+        logWarn("  🚨 Emergency stop seen before sending, not mining", { event: "emergency_stop" });
+        return;
+      }
+
+      // Execute mine (note: actual amount minted determined by Rig's UPS)
+      const reasonText = reason === 0n ? "price-based" : "time-based";
+      const decisionLines = [
+        `  ✅ PROFITABLE! Executing mine (${reasonText})...`,
+        `  Price: ${formattedPrice} ${quoteSymbol}`,
+        `  🎁 Recipient: ${mineRecipient} (${payee.reason})`,
+      ];
+      if (uri) {
+        decisionLines.push(`  🏷️  Epoch URI: ${uri}${uriEntry !== null ? ` (list entry ${uriEntry + 1})` : ""}`);
+      }
+      log(decisionLines.join("\n"), { event: "mine_decision", reason: Number(reason), recipient: mineRecipient, epochUri: uri || null });
+
+      if (dryRun) {
+        await simulateMine({ status, currentPrice, reason, uri, mineRecipient });
+        return;
+      }
+    
+      // Fees stay within the controller's maxGasPrice (gwei), which executeMine enforces
+      const tx = await txManager.send({
+        to: address,
+        data: controller.interface.encodeFunctionData("executeMine", [mineRecipient, uri]),
+        maxGasPriceWei: config.maxGasPrice * 1000000000n,
+        meta: { controller: address, recipient: mineRecipient, epochId: status.currentEpochId.toString() },
+        onReplace: (event) => ledger.record("replace", { controller: address, ...event }),
+      });
+      const submitted = decision;
+      decision = null;
+    
+      ledger.record("tx", {
+        controller: address,
+        hash: tx.hash,
+        nonce: tx.nonce,
+        recipient: mineRecipient,
+        epochId: status.currentEpochId,
+        price: currentPrice,
+        reason: Number(reason),
+        epochUri: uri,
+        gasLimit: tx.gasLimit,
+        maxFeePerGas: tx.maxFeePerGas,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+      });
+      log(`  📝 Transaction submitted: ${tx.hash} (nonce ${tx.nonce}, gas limit ${tx.gasLimit}, max fee ${ethers.formatUnits(tx.maxFeePerGas, "gwei")} gwei)`, {
+        event: "mine_submitted",
+        txHash: tx.hash,
+        nonce: tx.nonce,
+        gasLimit: tx.gasLimit,
+        maxFeePerGas: tx.maxFeePerGas,
+        recipient: mineRecipient,
+      });
+      log(`  ⏳ Waiting for confirmation...`);
+    
+      const { receipt, cancelled, replacedExternally } = await tx.wait();
+      if (replacedExternally) {
+        logWarn(`  ⚠️  Nonce ${tx.nonce} was used by an unknown transaction (another process with the manager key?); ${tx.hash} was never mined`, {
+          event: "mine_replaced",
+          txHash: tx.hash,
+          nonce: tx.nonce,
+        });
+        return;
+      }
+      if (!receipt) {
+        logWarn(`  ⚠️  Transaction still pending after its cancel: it is watched again before every check, and no mine is sent until it resolves`, { event: "mine_pending", txHash: tx.hash });
+        return;
+      }
+      const receiptFields = await recordReceipt(receipt, { unitToken, cancelled, mineRecipient });
+    
+      if (cancelled) {
+        logWarn(`  🛑 Mine cancelled (stuck transaction replaced): ${receipt.hash}`, { event: "mine_cancelled", txHash: receipt.hash });
+      } else if (receipt.status === 1) {
+        const event = receiptFields.minted;
+      
+        if (event) {
+          const cost = ethers.formatUnits(event.args.cost, quoteDecimals);
+          const epochId = event.args.epochId.toString();
+          // TokensMinted always reports amount = 0; this is the payout for our previous epoch, if this mine ended it
+          const received = ethers.formatEther(receiptFields.unitsReceived);
+        
+          stats.mintsExecuted++;
+        
+          log([
+            `  ✅ MINT SUCCESSFUL!`,
+            `  Tokens received: ${received} | Cost: ${cost} ${quoteSymbol} | Gas: ${ethers.formatEther(receiptFields.gasCost)} ETH | Epoch: ${epochId}`,
+            `  TX: ${txLink(receipt.hash) || receipt.hash}`,
+          ].join("\n"), {
+            event: "mine_confirmed",
+            txHash: receipt.hash,
+            block: receipt.blockNumber,
+            epochId: event.args.epochId,
+            price: event.args.cost,
+            unitsReceived: receiptFields.unitsReceived,
+            gasCost: receiptFields.gasCost,
+            recipient: mineRecipient,
+          });
+        }
+      } else {
+        stats.errors++;
+        if (!(await lostRace(submitted, "reverted", { hash: receipt.hash, blockTag: receipt.blockNumber }))) {
+          logError(`  ❌ Transaction failed`, { event: "mine_failed", category: "revert", txHash: receipt.hash, block: receipt.blockNumber });
+        }
+      }
+    
+    } catch (error) {
+      let category = classifyError(error);
+      // A mine that fails to estimate because the epoch moved lost the race, whatever the revert says
+      if (decision && category !== "rpc" && await lostRace(decision, "send")) {
+        category = "epoch_race";
+      }
+      stats.errors++;
+      stats.errorsByCategory[category] = (stats.errorsByCategory[category] || 0) + 1;
+      ledger.record("error", { controller: address, category, message: error.shortMessage || error.message });
+      checkFailed(category, error);
+    
+      const fields = { event: "check_failed", category, error };
+      switch (category) {
+        case "disabled":
+          log("⏸️  Auto mining disabled", fields);
+          break;
+        case "cooldown":
+          log("⏳ Cooldown active, waiting...", fields);
+          break;
+        case "price_too_high":
+          log("⛔ Price too high and time condition not met, waiting for better opportunity...", fields);
+          break;
+        case "gas_price":
+          logWarn("⛽ Gas price above controller maxGasPrice, waiting...", fields);
+          break;
+        case "insufficient_balance":
+          logError("❌ Insufficient quote token balance. Please fund the controller with WETH!", fields);
+          break;
+        case "epoch_race":
+          break; // Logged by lostRace()
+        default:
+          logError(`❌ Error during check: ${error.message}`, fields);
+      }
+    } finally {
+      checkFields = {};
+    }
+  }
+
+  /**
+   * Dry run: simulate executeMine with staticCall + estimateGas and record the
+   * outcome in the (dry-run) ledger as if it had been mined. Never signs.
+   */
+  async function simulateMine({ status, currentPrice, reason, uri, mineRecipient }) {
+    ledger.record("tx", {
+      controller: address,
+      simulated: true,
+      recipient: mineRecipient,
+      epochId: status.currentEpochId,
+      price: currentPrice,
+      reason: Number(reason),
+      epochUri: uri,
+    });
+
+    try {
+      // staticCall first: it carries the revert data if the mine would fail
+      const price = await controller.executeMine.staticCall(mineRecipient, uri);
+      const [gasUnits, feeData, config] = await Promise.all([
+        controller.executeMine.estimateGas(mineRecipient, uri),
+        provider.getFeeData(),
+        readConfig(),
+      ]);
+      const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+      const gasCost = gasUnits * gasPrice;
+
+      ledger.record("receipt", {
+        controller: address,
+        simulated: true,
+        status: 1,
+        recipient: mineRecipient,
+        epochId: status.currentEpochId,
+        cost: price,
+        gasUsed: gasUnits,
+        gasPrice,
+        gasCost,
+      });
+      stats.mintsExecuted++;
+      simulatedCooldownUntil = Date.now() + Number(config.cooldownPeriod) * 1000;
+
+      log([
+        `  🧪 DRY RUN: would mine, nothing was signed`,
+        `  Would pay: ${formatQuote(price)} | Gas estimate: ${gasUnits} (~${ethers.formatEther(gasCost)} ETH @ ${ethers.formatUnits(gasPrice, "gwei")} gwei)`,
+      ].join("\n"), { event: "mine_simulated", price, gasUnits, gasCost, recipient: mineRecipient });
+    } catch (error) {
+      const reasonText = revertReason(error) || error.shortMessage || error.message;
+      ledger.record("receipt", {
+        controller: address,
+        simulated: true,
+        status: 0,
+        recipient: mineRecipient,
+        epochId: status.currentEpochId,
+        revertReason: reasonText,
+      });
+      logWarn(`  🧪 DRY RUN: executeMine would revert: ${reasonText}`, { event: "mine_simulated", category: classifyError(error), error: reasonText });
+    }
+  }
+
+  /**
+   * Value the expected emission at DEX prices and log the full breakdown
+   * @returns {Promise<object|null>} Breakdown, or null if it could not be computed
+   */
+  async function checkMarket({ targetRig, quoteToken, unitToken, currentPrice, status, uri, mineRecipient }) {
+    try {
+      if (!quoteToken || !unitToken) {
+        throw new Error("quote/unit token unavailable");
+      }
+      const config = await readConfig();
+      const gasUnits = await controller.executeMine.estimateGas(mineRecipient, uri).catch(() => null);
+      const l1Tx = network && network.opStack
+        ? { chainId: (await provider.getNetwork()).chainId, to: address, data: controller.interface.encodeFunctionData("executeMine", [mineRecipient, uri]) }
+        : null;
+      const breakdown = await evaluateMarket({
+        provider,
+        rig: targetRig,
+        unit: unitToken.target,
+        quote: quoteToken,
+        quoteIsNative: isWeth(network, quoteToken),
+        price: currentPrice,
+        minProfitMargin: config.minProfitMargin,
+        market,
+        gasUnits,
+        l1Tx,
+      });
+      snapshot.market = breakdown;
+      ledger.record("decision", {
+        controller: address,
+        epochId: status.currentEpochId,
+        value: breakdown.value,
+        price: breakdown.price,
+        gasCost: breakdown.gasCost,
+        profit: breakdown.profit,
+        marginBps: breakdown.marginBps,
+        requiredBps: breakdown.requiredBps,
+        mine: breakdown.meetsMargin,
+      });
+
+      log([`  📈 Market check:`, ...describeMarket(breakdown, formatQuote).map((line) => `     ${line}`)].join("\n"), {
+        event: "market",
+        value: breakdown.value,
+        profit: breakdown.profit,
+        marginBps: breakdown.marginBps,
+        requiredBps: breakdown.requiredBps,
+      });
+      if (!breakdown.meetsMargin) {
+        log(`  ⛔ Margin below minProfitMargin, skipping`, { event: "market_skip", marginBps: breakdown.marginBps });
+      }
+      return breakdown;
+    } catch (error) {
+      snapshot.market = null;
+      logWarn(`  ⚠️  Market valuation failed, not mining: ${error.shortMessage || error.message}`, { event: "market", category: classifyError(error), error });
+      return null;
+    }
+  }
+
+  /**
+   * Sleep until the next check. In predictive mode the wake-up is planned
+   * from the rig's price curve, the time-based period and the cooldown, then
+   * refined by following blocks up to the target; otherwise (or when the
+   * last check failed) it is one poll interval.
+   */
+  async function waitForNextCheck() {
+    // Cut short by wake() when a controller event changes the picture
+    const sleep = (ms) => new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        wake = null;
+        resolve(false);
+      }, ms);
+      wake = () => {
+        clearTimeout(timer);
+        wake = null;
+        resolve(true);
+      };
+    });
+    const lastCheckFailed = !snapshot.lastSuccessAt || snapshot.lastSuccessAt < snapshot.lastCheckAt;
+
+    if (requoteNow) {
+      requoteNow = false;
+      snapshot.nextCheck = { at: new Date().toISOString(), reason: "epoch taken by another miner, re-quoting" };
+      return;
+    }
+
+    if (!scheduler || scheduler.mode !== "predictive" || lastCheckFailed || !snapshot.status) {
+      snapshot.nextCheck = { at: new Date(Date.now() + pollInterval).toISOString(), reason: "poll interval" };
+      logDebug(`  💤 Next check in ${pollInterval / 1000}s (poll interval)`, { event: "next_check", delayMs: pollInterval });
+      if (await sleep(pollInterval)) {
+        logDebug("  📡 Woken early by a controller event", { event: "next_check" });
+      }
+      return;
+    }
+
+    let plan;
+    try {
+      const [config, curve] = await Promise.all([
+        readConfig(),
+        readPriceCurve(provider, snapshot.targetRig, scheduler.defaultEpochPeriod, multicall).catch(() => null),
+      ]);
+      const now = curve ? curve.timestamp : BigInt((await provider.getBlock("latest")).timestamp);
+      plan = planNextCheck({
+        now,
+        status: snapshot.status,
+        maxMiningPrice: config.maxMiningPrice,
+        curve,
+        pollInterval,
+        settings: scheduler,
+      });
+    } catch (error) {
+      logWarn(`  ⚠️  Scheduler fallback to poll interval: ${error.shortMessage || error.message}`, { event: "next_check", category: classifyError(error), error });
+      await sleep(pollInterval);
+      return;
+    }
+
+    const target = plan.targetTime !== null ? new Date(Number(plan.targetTime) * 1000) : null;
+    snapshot.nextCheck = {
+      at: new Date(Date.now() + plan.delayMs).toISOString(),
+      target: target ? target.toISOString() : null,
+      reason: plan.reason,
+      watchBlocks: plan.watchBlocks,
+    };
+    log(`  🗓️  Next check in ${Math.round(plan.delayMs / 1000)}s: ${plan.reason}${target ? ` at ${target.toLocaleTimeString()}` : ""}`, {
+      event: "next_check",
+      delayMs: plan.delayMs,
+      reason: plan.reason,
+    });
+    const woken = await sleep(plan.delayMs);
+
+    if (plan.watchBlocks && !woken) {
+      log(`  👀 Following blocks until ${target.toLocaleTimeString()}...`);
+      const timeoutMs = (scheduler.leadSeconds + scheduler.blockTimeSeconds * 5) * 1000;
+      await waitForTargetBlock(provider, plan.targetTime, scheduler.blockTimeSeconds, timeoutMs);
+    }
+  }
+
+  /**
+   * Display statistics
+   */
+  function displayStats() {
+    const uptime = Math.floor((Date.now() - stats.startTime) / 1000);
+    const hours = Math.floor(uptime / 3600);
+    const minutes = Math.floor((uptime % 3600) / 60);
+    const seconds = uptime % 60;
+  
+    const totals = ledger.totals(address);
+    const unitCost = costPerUnit(totals);
+  
+    const lines = [];
+    lines.push("\n📊 Statistics:");
+    lines.push(`  Uptime: ${hours}h ${minutes}m ${seconds}s`);
+    if (leader && leader.enabled) {
+      const { role, holder, term } = leader.status();
+      lines.push(`  Role: ${role === "leader" ? `leader (term ${term})` : `standby (leader: ${holder || "none"})`}, ${stats.standbySkips} mine(s) left to the leader`);
+    }
+    lines.push(`  Checks: ${stats.checksPerformed} (lifetime ${totals.checks})`);
+    lines.push(`  Mints: ${stats.mintsExecuted} (lifetime ${totals.mintsExecuted}, ${totals.txsFailed} failed)`);
+    lines.push(`  Tokens Received: ${ethers.formatEther(totals.totalUnitsReceived)}`);
+    lines.push(`  Total Spent: ${formatQuote(totals.totalSpent)}`);
+    lines.push(`  Gas Spent: ${ethers.formatEther(totals.totalGasCost)} ETH`);
+    if (unitCost !== null) {
+      lines.push(`  Cost per Token: ${formatQuote(unitCost)}`);
+    }
+    lines.push(`  P&L: +${ethers.formatEther(totals.totalUnitsReceived)} tokens / -${formatQuote(totals.totalSpent)} / -${ethers.formatEther(totals.totalGasCost)} ETH gas`);
+    lines.push(`  Errors: ${stats.errors} (lifetime ${totals.errors})`);
+    if (payees.recipients.length > 1) {
+      lines.push(`  Recipients (${payees.policy}):`);
+      for (const line of recipientSummary(totals)) {
+        const units = line.unitsReceived === null ? "" : `, ${ethers.formatEther(line.unitsReceived)} tokens received`;
+        lines.push(`    ${line.address}${line.weight !== 1 ? ` (x${line.weight})` : ""}: ${line.mines} mine(s), ${formatQuote(line.spent)} spent${units}`);
+      }
+    }
+    lines.push(`  Competition: ${describeCompetition(totals)}`);
+    for (const competitor of rankCompetitors(totals, 3)) {
+      const average = competitor.averagePrice !== null ? `, avg ${formatQuote(competitor.averagePrice)}` : "";
+      lines.push(`    ${competitor.address}: ${competitor.mines} mine(s)${average}, last ${new Date(competitor.lastSeen).toLocaleString()}`);
+    }
+    if (snapshot.runway) {
+      lines.push(`  Runway: ${describeRunway(snapshot.runway, formatQuote)}`);
+    }
+    if (totals.lastMintTime) {
+      lines.push(`  Last Mint: ${totals.lastMintTime.toLocaleString()}`);
+    }
+    lines.push("");
+    log(lines.join("\n"), {
+      event: "stats",
+      uptimeSeconds: uptime,
+      checks: stats.checksPerformed,
+      mints: stats.mintsExecuted,
+      errors: stats.errors,
+      lifetimeChecks: totals.checks,
+      lifetimeMints: totals.mintsExecuted,
+      totalSpent: totals.totalSpent,
+      totalGasCost: totals.totalGasCost,
+      unitsReceived: totals.totalUnitsReceived,
+    });
+  }
+
+  /**
+   * Health report: unhealthy once the last successful check is older than
+   * healthMaxMissedPolls poll intervals (startup counts as the first success)
+   */
+  function getHealth() {
+    const maxAgeMs = pollInterval * healthMaxMissedPolls;
+    const ageMs = Date.now() - (snapshot.lastSuccessAt || stats.startTime);
+    return {
+      healthy: ageMs <= maxAgeMs,
+      lastSuccessAt: snapshot.lastSuccessAt ? new Date(snapshot.lastSuccessAt).toISOString() : null,
+      secondsSinceLastSuccess: Math.floor(ageMs / 1000),
+      maxAgeSeconds: Math.floor(maxAgeMs / 1000),
+    };
+  }
+
+  /**
+   * Per-recipient lifetime totals, configured recipients first
+   */
+  function recipientSummary(totals) {
+    const configured = payees.recipients.map((r) => ({ address: r.address, weight: r.weight }));
+    const former = Object.values(totals.recipients)
+      .filter((r) => !payees.includes(r.address))
+      .map((r) => ({ address: r.address, weight: null }));
+    return [...configured, ...former].map((r) => {
+      const history = totals.recipients[r.address.toLowerCase()] || { mines: 0, spent: 0n, unitsReceived: 0n };
+      return { ...r, mines: history.mines, spent: history.spent, unitsReceived: history.unitsReceived };
+    });
+  }
+
+  function competitionSummary(totals) {
+    return {
+      epochsObserved: totals.epochsObserved,
+      epochsWon: totals.epochsWon,
+      racesLost: totals.racesLost,
+      competitors: rankCompetitors(totals),
+    };
+  }
+
+  /**
+   * Latest getMiningStatus() + checkProfitability() snapshot
+   */
+  function getStatusSnapshot() {
+    return {
+      controller: address,
+      targetRig: snapshot.targetRig,
+      recipient: recipient,
+      recipientPolicy: payees.policy,
+      recipients: recipientSummary(ledger.totals(address)),
+      quoteToken: quoteInfo,
+      lastCheckAt: snapshot.lastCheckAt ? new Date(snapshot.lastCheckAt).toISOString() : null,
+      lastSuccessAt: snapshot.lastSuccessAt ? new Date(snapshot.lastSuccessAt).toISOString() : null,
+      blockNumber: snapshot.blockNumber,
+      miningStatus: snapshot.status,
+      profitability: snapshot.profitability,
+      market: snapshot.market,
+      nextCheck: snapshot.nextCheck,
+      ethBalance: snapshot.ethBalance,
+      runway: snapshot.runway,
+      epoch: snapshot.epoch,
+      spendPolicy: hasSpendPolicy(spendPolicy) ? { settings: spendPolicy, ...snapshot.policy } : null,
+      competition: ledger ? competitionSummary(ledger.totals(address)) : null,
+      totals: ledger ? ledger.totals(address) : null,
+    };
+  }
+
+  /**
+   * Metric families for the Prometheus endpoint
+   */
+  function getMetrics() {
+    const labels = { name, controller: address };
+    const totals = ledger.totals(address);
+    const toQuote = (value) => Number(ethers.formatUnits(value, quoteInfo.decimals));
+    const gauge = (name, help, value) => ({ name, help, type: "gauge", samples: value === null ? [] : [{ labels, value }] });
+    const counter = (name, help, value) => ({ name, help, type: "counter", samples: [{ labels, value }] });
+    const status = snapshot.status;
+
+    return [
+      counter("franchiser_checks_total", "Profitability checks performed (lifetime, from ledger)", totals.checks),
+      counter("franchiser_mints_total", "Successful mines (lifetime, from ledger)", totals.mintsExecuted),
+      counter("franchiser_mint_failures_total", "Reverted mine transactions (lifetime, from ledger)", totals.txsFailed),
+      {
+        name: "franchiser_recipient_mints_total",
+        help: "Successful mines per recipient (lifetime, from ledger)",
+        type: "counter",
+        samples: recipientSummary(totals).map((r) => ({ labels: { ...labels, recipient: r.address }, value: r.mines })),
+      },
+      {
+        name: "franchiser_recipient_units_received_total",
+        help: "Unit tokens received per recipient (lifetime, from ledger)",
+        type: "counter",
+        samples: recipientSummary(totals).map((r) => ({ labels: { ...labels, recipient: r.address }, value: Number(ethers.formatEther(r.unitsReceived)) })),
+      },
+      {
+        name: "franchiser_policy_blocks_total",
+        help: "Mines held back by a spend policy, by policy (lifetime, from ledger)",
+        type: "counter",
+        samples: Object.entries(totals.policyBlocks).map(([policy, value]) => ({ labels: { ...labels, policy }, value })),
+      },
+      counter("franchiser_epoch_races_lost_total", "Mines whose epoch another miner took first (lifetime, from ledger)", totals.racesLost),
+      {
+        name: "franchiser_epochs_observed_total",
+        help: "Rig epoch takeovers seen between checks, by holder (lifetime, from ledger)",
+        type: "counter",
+        samples: [
+          { labels: { ...labels, holder: "ours" }, value: totals.epochsWon },
+          { labels: { ...labels, holder: "competitor" }, value: totals.epochsObserved - totals.epochsWon },
+        ],
+      },
+      {
+        name: "franchiser_errors_total",
+        help: "Errors during checks by category (lifetime, from ledger)",
+        type: "counter",
+        samples: Object.entries(totals.errorsByCategory).map(([category, value]) => ({ labels: { ...labels, category }, value })),
+      },
+      counter("franchiser_spent_quote_total", "Quote token spent on mines", toQuote(totals.totalSpent)),
+      counter("franchiser_gas_spent_eth_total", "ETH spent on gas", Number(ethers.formatEther(totals.totalGasCost))),
+      gauge("franchiser_current_price", "Current rig price in quote token", status ? toQuote(status.currentPrice) : null),
+      gauge("franchiser_quote_balance", "Controller quote token balance", status ? toQuote(status.quoteBalance) : null),
+      gauge(
+        "franchiser_market_margin_bps",
+        "Margin of the last market valuation in basis points",
+        snapshot.market && snapshot.market.marginBps !== null ? Number(snapshot.market.marginBps) : null
+      ),
+      gauge("franchiser_eth_balance", "Native ETH held by the controller", snapshot.ethBalance === null ? null : Number(ethers.formatEther(snapshot.ethBalance))),
+      gauge("franchiser_runway_mines", "Mines the balance pays for at the recent average cost", snapshot.runway && snapshot.runway.mines !== null ? Number(snapshot.runway.mines) : null),
+      gauge("franchiser_runway_seconds", "Forecast time until the balance runs out", snapshot.runway && snapshot.runway.seconds !== null ? Math.round(snapshot.runway.seconds) : null),
+      gauge("franchiser_epoch_id", "Current rig epoch", status ? Number(status.currentEpochId) : null),
+      gauge("franchiser_mining_enabled", "1 if auto mining is enabled", status ? Number(status.isEnabled) : null),
+      gauge(
+        "franchiser_seconds_until_time_based_mint",
+        "Seconds until the time-based mint condition is met",
+        status ? Math.max(0, Number(status.nextTimeBasedMintTime) - Math.floor(Date.now() / 1000)) : null
+      ),
+      gauge(
+        "franchiser_last_success_timestamp_seconds",
+        "Unix time of the last successful check",
+        snapshot.lastSuccessAt ? Math.floor(snapshot.lastSuccessAt / 1000) : null
+      ),
+      gauge("franchiser_up", "1 if the monitor is healthy", Number(getHealth().healthy)),
+    ];
+  }
+
+  /**
+   * Stop following controller events and end the current wait
+   */
+  function stop() {
+    watcher.stop();
+    if (wake) {
+      wake();
+    }
+  }
+
+  return {
+    name,
+    address,
+    pollInterval,
+    stats,
+    initialize,
+    checkAndMine,
+    waitForNextCheck,
+    stop,
+    recordReceipt,
+    displayStats,
+    getHealth,
+    getStatusSnapshot,
+    getMetrics,
+  };
+}
+
+module.exports = { createRigMonitor };
@@ -0,0 +1,304 @@
+/**
+ * Resilient RPC Provider
+ * A JsonRpcProvider over several endpoints: requests go to the healthiest
+ * endpoint, fail over to the next one on network errors, 5xx responses and
+ * rate limits, and endpoints that fail are backed off exponentially (with
+ * jitter) before being tried again. An optional read quorum confirms a call
+ * on several endpoints at the same block.
+ */
+
+const { ethers } = require("ethers");
+
+// JSON-RPC errors that say "this node cannot serve you right now" rather than
+// "your call failed" (reverts and bad params are passed through untouched)
+const RATE_LIMIT_CODES = new Set([-32005, -32029, 429]);
+const RATE_LIMIT_PATTERN = /rate limit|too many requests|exceeded .*(capacity|quota|limit)|request limit/i;
+const UNAVAILABLE_PATTERN = /header not found|missing trie node|unknown block|service unavailable/i;
+// What a node answers to a raw transaction it already has, or has already mined
+const KNOWN_TX_PATTERN = /already known|known transaction|already imported|already exists|nonce too low/i;
+
+const SCORE_WEIGHT = 0.2; // EWMA weight of the latest request outcome
+
+/**
+ * RPC settings from the environment
+ */
+function rpcSettingsFromEnv(env = process.env, fallbackUrl = "https://mainnet.base.org") {
+  const list = env.BASE_RPC_URLS || env.BASE_RPC_URL || fallbackUrl;
+  return {
+    urls: list.split(",").map((url) => url.trim()).filter(Boolean),
+    timeoutMs: parseInt(env.RPC_TIMEOUT || "10000"),
+    maxRounds: parseInt(env.RPC_MAX_ROUNDS || "3"),
+    backoffBaseMs: parseInt(env.RPC_BACKOFF_BASE_MS || "500"),
+    backoffMaxMs: parseInt(env.RPC_BACKOFF_MAX_MS || "30000"),
+    readQuorum: parseInt(env.RPC_READ_QUORUM || "1"),
+  };
+}
+
+/**
+ * Endpoint label safe for logs and metrics (API keys usually live in the path
+ * or query string)
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname.length > 1 || parsed.search ? `${parsed.origin}/…` : parsed.origin;
+  } catch (error) {
+    return "invalid-url";
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with "equal jitter": half fixed, half random
+ */
+function backoffDelay(failures, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** Math.max(0, failures - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function isRateLimited(error) {
+  return error.status === 429
+    || RATE_LIMIT_CODES.has(error.rpcCode)
+    || RATE_LIMIT_PATTERN.test(error.message || "");
+}
+
+class ResilientRpcProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {object} settings rpcSettingsFromEnv() settings
+   * @param {ethers.Networkish} [network] Skips network detection when given
+   * @param {(message: string) => void} [log]
+   * @param {(message: string) => void} [warn] Endpoint failures; defaults to `log`
+   */
+  constructor(settings, network, log = console.log, warn = log) {
+    if (!settings.urls.length) {
+      throw new Error("No RPC URL configured (set BASE_RPC_URLS or BASE_RPC_URL)");
+    }
+    if (settings.readQuorum > settings.urls.length) {
+      throw new Error(`RPC_READ_QUORUM=${settings.readQuorum} needs at least that many RPC URLs (have ${settings.urls.length})`);
+    }
+    super(settings.urls[0], network, network ? { staticNetwork: ethers.Network.from(network) } : undefined);
+    this.settings = settings;
+    this.log = log;
+    this.warn = warn;
+    this.endpoints = settings.urls.map((url, index) => ({
+      url,
+      label: redactUrl(url),
+      index,
+      score: 1,
+      latencyMs: null,
+      failures: 0,
+      cooldownUntil: 0,
+      requests: 0,
+      errors: 0,
+      rateLimited: 0,
+      lastError: null,
+    }));
+  }
+
+  /**
+   * Endpoints in the order they should be tried: available ones by score
+   * (config order breaks ties), then cooling-down ones by earliest recovery
+   */
+  rankEndpoints() {
+    const now = Date.now();
+    const available = this.endpoints.filter((e) => e.cooldownUntil <= now)
+      .sort((a, b) => (b.score - a.score) || (a.index - b.index));
+    const cooling = this.endpoints.filter((e) => e.cooldownUntil > now)
+      .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+    return [...available, ...cooling];
+  }
+
+  /**
+   * POST a payload to one endpoint; throws on transport errors, non-2xx
+   * responses and node-level errors (rate limits, missing state)
+   */
+  async sendToEndpoint(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.timeout = this.settings.timeoutMs;
+    request.retryFunc = async () => false; // Backoff is handled across endpoints, not per request
+    request.body = JSON.stringify(payload);
+    request.setHeader("content-type", "application/json");
+
+    const started = Date.now();
+    endpoint.requests++;
+    try {
+      const response = await request.send();
+      if (!response.ok()) {
+        const error = new Error(`HTTP ${response.statusCode} ${response.statusMessage}`);
+        error.status = response.statusCode;
+        throw error;
+      }
+      let results = response.bodyJson;
+      if (!Array.isArray(results)) {
+        results = [results];
+      }
+      for (const result of results) {
+        const rpcError = result && result.error;
+        if (rpcError && (RATE_LIMIT_CODES.has(rpcError.code) || RATE_LIMIT_PATTERN.test(rpcError.message || "") || UNAVAILABLE_PATTERN.test(rpcError.message || ""))) {
+          const error = new Error(rpcError.message || `JSON-RPC error ${rpcError.code}`);
+          error.rpcCode = rpcError.code;
+          throw error;
+        }
+      }
+      this.markSuccess(endpoint, Date.now() - started);
+      return results;
+    } catch (error) {
+      this.markFailure(endpoint, error);
+      throw error;
+    }
+  }
+
+  markSuccess(endpoint, latencyMs) {
+    endpoint.score = endpoint.score * (1 - SCORE_WEIGHT) + SCORE_WEIGHT;
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : Math.round(endpoint.latencyMs * 0.8 + latencyMs * 0.2);
+    if (endpoint.failures > 0) {
+      this.log(`🌐 RPC ${endpoint.label} recovered`);
+    }
+    endpoint.failures = 0;
+  }
+
+  markFailure(endpoint, error) {
+    const rateLimited = isRateLimited(error);
+    endpoint.score = endpoint.score * (1 - SCORE_WEIGHT);
+    endpoint.failures++;
+    endpoint.errors++;
+    if (rateLimited) endpoint.rateLimited++;
+    endpoint.lastError = error.shortMessage || error.message;
+    const delay = backoffDelay(endpoint.failures, this.settings.backoffBaseMs, this.settings.backoffMaxMs);
+    endpoint.cooldownUntil = Date.now() + delay;
+    if (endpoint.failures === 1 || endpoint.failures % 10 === 0) {
+      this.warn(`🌐 RPC ${endpoint.label} ${rateLimited ? "rate limited" : "failed"} (${endpoint.lastError}); backing off ${delay}ms`);
+    }
+  }
+
+  /**
+   * A raw transaction refused as a duplicate reached a node earlier (this one,
+   * or one we failed over from after it timed out), so answer with its hash
+   * instead of the error. "nonce too low" only counts when the node has this
+   * very transaction, not another one with the same nonce.
+   */
+  async settleRawSends(endpoint, payload, results) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return Promise.all(results.map(async (result) => {
+      const request = requests.find((r) => r.id === result.id);
+      if (!request || request.method !== "eth_sendRawTransaction" || !result.error || !KNOWN_TX_PATTERN.test(result.error.message || "")) {
+        return result;
+      }
+      const hash = ethers.keccak256(request.params[0]);
+      if (/nonce too low/i.test(result.error.message)) {
+        const lookup = { jsonrpc: "2.0", id: 1, method: "eth_getTransactionByHash", params: [hash] };
+        const [known] = await this.sendToEndpoint(endpoint, lookup).catch(() => [null]);
+        if (!known || !known.result) return result;
+      }
+      this.log(`🌐 RPC ${endpoint.label} already has transaction ${hash}`);
+      return { jsonrpc: result.jsonrpc, id: result.id, result: hash };
+    }));
+  }
+
+  /**
+   * Try each endpoint in rank order, waiting out the shortest backoff
+   * between rounds when every endpoint failed. Raw transactions fail over
+   * too, but a duplicate answer for the same signed payload is a success.
+   */
+  async _send(payload) {
+    let lastError = null;
+    for (let round = 0; round < this.settings.maxRounds; round++) {
+      for (const endpoint of this.rankEndpoints()) {
+        const wait = endpoint.cooldownUntil - Date.now();
+        if (wait > 0) {
+          // Only cooling endpoints left in this round
+          if (wait > this.settings.backoffMaxMs) break;
+          await sleep(wait);
+        }
+        try {
+          const results = await this.sendToEndpoint(endpoint, payload);
+          return await this.settleRawSends(endpoint, payload, results);
+        } catch (error) {
+          lastError = error;
+        }
+      }
+    }
+    const error = new Error(`All RPC endpoints failed: ${lastError ? lastError.message : "unavailable"}`);
+    error.code = "RPC_UNAVAILABLE";
+    throw error;
+  }
+
+  /**
+   * eth_call confirmed by `quorum` endpoints at the same block: the highest
+   * block any endpoint reports is used, so a lagging node can only fail to
+   * vote, never supply a stale answer
+   * @param {{to: string, data: string}} tx
+   * @param {number} [quorum] Defaults to RPC_READ_QUORUM
+   * @returns {Promise<{data: string, blockNumber: number, votes: number}>}
+   */
+  async quorumCall(tx, quorum = this.settings.readQuorum) {
+    const rpc = (method, params) => ({ jsonrpc: "2.0", id: 1, method, params });
+    const unwrap = ([result]) => {
+      if (result.error) throw new Error(result.error.message);
+      return result.result;
+    };
+
+    const endpoints = this.rankEndpoints();
+    const heights = await Promise.all(endpoints.map((endpoint) =>
+      this.sendToEndpoint(endpoint, rpc("eth_blockNumber", [])).then(unwrap).then(Number).catch(() => null)
+    ));
+    const blockNumber = Math.max(...heights.filter((h) => h !== null));
+    if (!Number.isFinite(blockNumber)) {
+      const error = new Error("Read quorum failed: no endpoint returned a block number");
+      error.code = "QUORUM_NOT_MET";
+      throw error;
+    }
+
+    const blockTag = ethers.toQuantity(blockNumber);
+    const results = await Promise.all(endpoints.map((endpoint) =>
+      this.sendToEndpoint(endpoint, rpc("eth_call", [{ to: tx.to, data: tx.data }, blockTag])).then(unwrap).catch(() => null)
+    ));
+
+    const votes = new Map();
+    for (const data of results) {
+      if (data !== null) votes.set(data, (votes.get(data) || 0) + 1);
+    }
+    for (const [data, count] of votes) {
+      if (count >= quorum) {
+        return { data, blockNumber, votes: count };
+      }
+    }
+    const error = new Error(`Read quorum not met at block ${blockNumber}: ${Math.max(0, ...votes.values())}/${quorum} endpoints agree`);
+    error.code = "QUORUM_NOT_MET";
+    throw error;
+  }
+
+  /**
+   * Per-endpoint health for /status and /metrics
+   */
+  getEndpointHealth() {
+    const now = Date.now();
+    return this.endpoints.map((e) => ({
+      endpoint: e.label,
+      score: Number(e.score.toFixed(3)),
+      latencyMs: e.latencyMs,
+      available: e.cooldownUntil <= now,
+      failures: e.failures,
+      requests: e.requests,
+      errors: e.errors,
+      rateLimited: e.rateLimited,
+      lastError: e.lastError,
+    }));
+  }
+}
+
+/**
+ * Create the provider described by the environment
+ * @param {object} [env]
+ * @param {object} [options]
+ * @param {ethers.Networkish} [options.network]
+ * @param {(message: string) => void} [options.log]
+ * @param {(message: string) => void} [options.warn]
+ * @param {object} [options.settings] Settings to use instead of reading `env` (e.g. loadConfig().rpc)
+ */
+function createProvider(env = process.env, { network, log, warn, settings } = {}) {
+  return new ResilientRpcProvider(settings || rpcSettingsFromEnv(env), network, log, warn);
+}
+
+module.exports = { createProvider, ResilientRpcProvider, rpcSettingsFromEnv, redactUrl, backoffDelay };
@@ -0,0 +1,79 @@
+/**
+ * Sandbox Scenarios
+ * Scripted market conditions for `npm run sandbox`. Each scenario runs against
+ * a freshly deployed MockRig + FranchiserController with the monitor polling
+ * every couple of seconds. The controller starts with maxMiningPrice 0.001,
+ * cooldown 300s and timeBasedMintPeriod 3600s. A fresh controller has never
+ * mined, so its time condition holds and the first check always mines.
+ *
+ * Steps run in order:
+ *   { do: "setPrice", price }              MockRig.setPrice (quote units, e.g. "0.002")
+ *   { do: "setEpoch", delta }              MockRig.setEpoch(epochId + delta)
+ *   { do: "setEpochUps", ups }             MockRig.setEpochUps (tokens per second)
+ *   { do: "increaseTime", seconds }        Advance chain time and mine a block
+ *   { do: "withdrawQuote", amount|"all" }  Owner pulls quote tokens out of the controller
+ *   { do: "fund", amount }                 Mint quote tokens to the controller
+ *   { do: "competitorFrontruns", price, advance }
+ *                                          Stop automining, advance time by `advance` seconds, wait for
+ *                                          the monitor's mine tx in the mempool, then have another
+ *                                          miner mine the epoch and set the new epoch's price to
+ *                                          `price` in the same block, ahead of it
+ *   { expect: "mined", within }            A TokensMinted event within `within` seconds
+ *   { expect: "idle", for }                No mine and no manager tx for `for` seconds
+ *   { expect: "failedTx", within }         A manager transaction reverted on-chain
+ *   { expect: "recorded", entry, within }  The scenario's ledger has an entry of type `entry`
+ */
+
+const FIRST_MINE = { expect: "mined", within: 30, note: "first check mines (never mined, so the time condition holds)" };
+const PAST_COOLDOWN = { do: "increaseTime", seconds: 301, note: "cooldown (300s) elapses" };
+
+const SCENARIOS = {
+  "price-dip": {
+    description: "Price sits above maxMiningPrice, then dips below it",
+    steps: [
+      FIRST_MINE,
+      { do: "setPrice", price: "0.002", note: "price rises above max (0.001)" },
+      PAST_COOLDOWN,
+      { expect: "idle", for: 8, note: "price too high, time period not elapsed" },
+      { do: "setPrice", price: "0.0008", note: "price dips below max" },
+      { expect: "mined", within: 20, note: "price-based mine" },
+    ],
+  },
+  "time-based": {
+    description: "Price never dips, but the time-based period elapses",
+    steps: [
+      FIRST_MINE,
+      { do: "setPrice", price: "0.002", note: "price above max for the rest of the scenario" },
+      PAST_COOLDOWN,
+      { expect: "idle", for: 8 },
+      { do: "increaseTime", seconds: 3600, note: "timeBasedMintPeriod (3600s) elapses" },
+      { expect: "mined", within: 20, note: "time-based mine at the current (high) price" },
+    ],
+  },
+  "epoch-race": {
+    description: "A competitor mines first: the epoch changes while our mine tx is pending",
+    steps: [
+      FIRST_MINE,
+      { do: "setPrice", price: "0.0008" },
+      { do: "competitorFrontruns", price: "0.002", advance: 301, note: "cooldown elapses; a new epoch at 0.002 lands in the same block, ahead of our tx" },
+      { expect: "failedTx", within: 20, note: "our mine reverts (price above max, time condition not met)" },
+      { expect: "recorded", entry: "race", within: 10, note: "monitor attributes the revert to the lost epoch" },
+      { expect: "idle", for: 6, note: "monitor backs off while the price is above max" },
+      { do: "setPrice", price: "0.0009", note: "new epoch decays below max" },
+      { expect: "mined", within: 20 },
+    ],
+  },
+  underfunded: {
+    description: "Quote balance runs out, then the controller is topped up",
+    steps: [
+      FIRST_MINE,
+      { do: "withdrawQuote", amount: "all", note: "owner withdraws the quote balance" },
+      PAST_COOLDOWN,
+      { expect: "idle", for: 8, note: "profitable but unfunded: no transaction is sent" },
+      { do: "fund", amount: "0.01", note: "controller topped up" },
+      { expect: "mined", within: 20 },
+    ],
+  },
+};
+
+module.exports = { SCENARIOS };
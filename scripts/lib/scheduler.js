@@ -0,0 +1,197 @@
+/**
+ * Dutch Auction Scheduler
+ * Models the rig's linear price decay from `epochInitPrice` at
+ * `epochStartTime` to zero over the epoch period, predicts when the next mine
+ * becomes possible (price crossing `maxMiningPrice`, time-based period,
+ * cooldown) and wakes the monitor just before that block instead of polling
+ * on a fixed interval.
+ */
+
+const { ethers } = require("ethers");
+const { createMulticall } = require("./multicall");
+
+const RIG_CURVE_ABI = [
+  "function epochInitPrice() view returns (uint256)",
+  "function epochStartTime() view returns (uint256)",
+  "function getPrice() view returns (uint256)",
+  "function EPOCH_PERIOD() view returns (uint256)"
+];
+
+/**
+ * Scheduler settings from the environment
+ */
+function schedulerFromEnv(env = process.env) {
+  return {
+    mode: env.SCHEDULER || "predictive",
+    maxSleepSeconds: parseInt(env.SCHEDULER_MAX_SLEEP || "600"),
+    leadSeconds: parseInt(env.SCHEDULER_LEAD_SECONDS || "4"),
+    blockTimeSeconds: parseInt(env.BLOCK_TIME || "2"),
+    defaultEpochPeriod: parseInt(env.EPOCH_PERIOD || "3600"),
+  };
+}
+
+/**
+ * Price at `timestamp` under the linear decay model
+ */
+function priceAt(curve, timestamp) {
+  const elapsed = BigInt(timestamp) - curve.startTime;
+  if (elapsed >= curve.period) return 0n;
+  if (elapsed <= 0n) return curve.initPrice;
+  return curve.initPrice - (curve.initPrice * elapsed) / curve.period;
+}
+
+/**
+ * Add the current epoch's price curve reads to a multicall batch. The model is
+ * flagged invalid when it does not reproduce the rig's own getPrice().
+ * @param {object} batch createMulticall().batch()
+ * @param {ethers.Provider} provider
+ * @param {string} rigAddress
+ * @param {number} defaultEpochPeriod Used when the rig has no EPOCH_PERIOD() getter
+ * @returns {() => object} The curve, once the batch has run
+ */
+function queuePriceCurve(batch, provider, rigAddress, defaultEpochPeriod) {
+  const rig = new ethers.Contract(rigAddress, RIG_CURVE_ABI, provider);
+  const initPrice = batch.add(rig, "epochInitPrice");
+  const startTime = batch.add(rig, "epochStartTime");
+  const price = batch.add(rig, "getPrice");
+  const period = batch.add(rig, "EPOCH_PERIOD");
+
+  return () => {
+    const curve = {
+      initPrice: initPrice(),
+      startTime: startTime(),
+      period: period(BigInt(defaultEpochPeriod)),
+      price: price(),
+      timestamp: BigInt(batch.block.timestamp),
+      blockNumber: batch.block.number,
+    };
+    // Allow 0.1% of the init price for rounding differences between implementations
+    const predicted = priceAt(curve, curve.timestamp);
+    const diff = predicted > curve.price ? predicted - curve.price : curve.price - predicted;
+    curve.valid = curve.period > 0n && diff <= curve.initPrice / 1000n;
+    return curve;
+  };
+}
+
+/**
+ * Read the current epoch's price curve, pinned to one block
+ * @param {ethers.Provider} provider
+ * @param {string} rigAddress
+ * @param {number} defaultEpochPeriod
+ * @param {object} [multicall] createMulticall() instance to read through
+ */
+async function readPriceCurve(provider, rigAddress, defaultEpochPeriod, multicall = createMulticall(provider)) {
+  const batch = multicall.batch();
+  const curve = queuePriceCurve(batch, provider, rigAddress, defaultEpochPeriod);
+  await batch.run();
+  return curve();
+}
+
+/**
+ * First timestamp at which the price is at or below `maxPrice` (null if the
+ * model is invalid)
+ */
+function predictPriceCrossTime(curve, maxPrice) {
+  if (!curve.valid) return null;
+  if (curve.initPrice <= maxPrice) return curve.startTime;
+  const numerator = curve.period * (curve.initPrice - maxPrice);
+  return curve.startTime + (numerator + curve.initPrice - 1n) / curve.initPrice; // ceil
+}
+
+/**
+ * Decide when to check next
+ * @param {object} params
+ * @param {bigint} params.now Chain time (latest block timestamp)
+ * @param {object} params.status getMiningStatus() result
+ * @param {bigint} params.maxMiningPrice From controller config
+ * @param {object|null} params.curve readPriceCurve() result
+ * @param {number} params.pollInterval Fallback interval (ms)
+ * @param {object} params.settings schedulerFromEnv() settings
+ * @returns {{ delayMs: number, targetTime: bigint|null, watchBlocks: boolean, reason: string }}
+ */
+function planNextCheck({ now, status, maxMiningPrice, curve, pollInterval, settings }) {
+  const maxSleepMs = settings.maxSleepSeconds * 1000;
+
+  if (!status.isEnabled) {
+    return { delayMs: maxSleepMs, targetTime: null, watchBlocks: false, reason: "mining disabled" };
+  }
+
+  const cooldownEnd = status.nextMintTime;
+  const timeBasedAt = status.nextTimeBasedMintTime;
+  const priceAtOrBelow = status.priceConditionMet ? now : curve ? predictPriceCrossTime(curve, maxMiningPrice) : null;
+
+  // Earliest time either condition holds, then no earlier than the cooldown
+  let conditionTime = timeBasedAt;
+  let reason = "time-based period elapses";
+  if (priceAtOrBelow !== null && priceAtOrBelow < conditionTime) {
+    conditionTime = priceAtOrBelow;
+    reason = status.priceConditionMet ? "price below max" : "price crosses max";
+  }
+  let targetTime = conditionTime;
+  if (cooldownEnd > targetTime) {
+    targetTime = cooldownEnd;
+    reason = "cooldown expires";
+  }
+
+  // Already actionable but we did not mine (market gate, balance, ...): poll
+  if (targetTime <= now) {
+    return { delayMs: pollInterval, targetTime: null, watchBlocks: false, reason: `${reason} (retry)` };
+  }
+
+  // Without a price model the price could cross any time before the target
+  const untilTargetMs = Number(targetTime - now) * 1000;
+  if (priceAtOrBelow === null && !status.priceConditionMet) {
+    return { delayMs: Math.min(pollInterval, untilTargetMs), targetTime, watchBlocks: false, reason: `${reason} (price model unavailable)` };
+  }
+
+  const wakeMs = untilTargetMs - settings.leadSeconds * 1000;
+  if (wakeMs <= 0) {
+    return { delayMs: 0, targetTime, watchBlocks: true, reason };
+  }
+  if (wakeMs > maxSleepMs) {
+    return { delayMs: maxSleepMs, targetTime, watchBlocks: false, reason };
+  }
+  return { delayMs: wakeMs, targetTime, watchBlocks: true, reason };
+}
+
+/**
+ * Follow new blocks until the next block will land at or after `targetTime`
+ * @param {ethers.Provider} provider
+ * @param {bigint} targetTime Unix timestamp to reach
+ * @param {number} blockTimeSeconds Expected block time
+ * @param {number} timeoutMs Give up after this long
+ */
+function waitForTargetBlock(provider, targetTime, blockTimeSeconds, timeoutMs) {
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      provider.off("block", onBlock);
+      resolve(result);
+    };
+    const onBlock = async (blockNumber) => {
+      try {
+        const block = await provider.getBlock(blockNumber);
+        if (block && BigInt(block.timestamp + blockTimeSeconds) >= targetTime) {
+          finish(blockNumber);
+        }
+      } catch (error) {
+        // Keep following; the timeout bounds the wait
+      }
+    };
+    const timer = setTimeout(() => finish(null), timeoutMs);
+    provider.on("block", onBlock);
+  });
+}
+
+module.exports = {
+  schedulerFromEnv,
+  queuePriceCurve,
+  readPriceCurve,
+  priceAt,
+  predictPriceCrossTime,
+  planNextCheck,
+  waitForTargetBlock,
+};
@@ -0,0 +1,269 @@
+/**
+ * Manager Signers
+ * Builds the signer behind a signer name such as MANAGER_PRIVATE_KEY (the
+ * `signer` of a controller entry). `<PREFIX>_SIGNER` picks the backend, where
+ * the prefix is the name without `_PRIVATE_KEY` (MANAGER_SIGNER,
+ * SECOND_MANAGER_SIGNER, ...):
+ *   env       the private key in the named variable (default)
+ *   keystore  an encrypted JSON keystore (<PREFIX>_KEYSTORE) whose password is
+ *             read from <PREFIX>_KEYSTORE_PASSWORD_FILE or a systemd credential
+ *   remote    an external signer answering eth_signTransaction over JSON-RPC
+ *             (<PREFIX>_REMOTE_SIGNER_URL, account <PREFIX>_ADDRESS), e.g.
+ *             Clef or Web3Signer
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const BACKENDS = ["env", "keystore", "remote"];
+const REMOTE_TIMEOUT_MS = 30000; // Clef may wait for a rule or a human to approve
+
+/**
+ * Variable names for one signer name
+ */
+function signerKeys(name) {
+  const prefix = name.replace(/_PRIVATE_KEY$/, "");
+  return {
+    privateKey: name,
+    backend: `${prefix}_SIGNER`,
+    keystore: `${prefix}_KEYSTORE`,
+    passwordFile: `${prefix}_KEYSTORE_PASSWORD_FILE`,
+    credential: `${prefix.toLowerCase().replace(/_/g, "-")}-keystore-password`,
+    remoteUrl: `${prefix}_REMOTE_SIGNER_URL`,
+    address: `${prefix}_ADDRESS`,
+  };
+}
+
+function signerError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_CONFIG";
+  return error;
+}
+
+/**
+ * Backend selected for a signer name
+ */
+function signerBackend(name, env = process.env) {
+  const keys = signerKeys(name);
+  const backend = (env[keys.backend] || "env").trim();
+  if (!BACKENDS.includes(backend)) {
+    throw signerError(`${keys.backend}: expected one of ${BACKENDS.join(", ")} (got "${backend}")`);
+  }
+  return backend;
+}
+
+/**
+ * Keystore password: an explicit file, else the systemd credential
+ * (LoadCredential=<prefix>-keystore-password:/path/to/file)
+ */
+function readKeystorePassword(keys, env) {
+  let file = env[keys.passwordFile];
+  if (!file && env.CREDENTIALS_DIRECTORY) {
+    file = path.join(env.CREDENTIALS_DIRECTORY, keys.credential);
+  }
+  if (!file || !fs.existsSync(file)) {
+    throw signerError(`${keys.keystore} needs a password: set ${keys.passwordFile} or provide the systemd credential "${keys.credential}"`);
+  }
+  return fs.readFileSync(file, "utf8").replace(/\r?\n$/, "");
+}
+
+function readKeystore(keys, env) {
+  const file = env[keys.keystore];
+  if (!file) {
+    throw signerError(`${keys.keystore} not set (path to the encrypted JSON keystore)`);
+  }
+  try {
+    return fs.readFileSync(path.resolve(file), "utf8");
+  } catch (error) {
+    throw signerError(`${keys.keystore}: cannot read ${file} (${error.message})`);
+  }
+}
+
+/**
+ * Signer backed by an external JSON-RPC signer. The key never leaves the
+ * signer; every signed transaction is decoded and checked against the request
+ * before it is broadcast.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} url Signer endpoint
+   * @param {string} address Account to sign with
+   * @param {ethers.Provider|null} [provider]
+   */
+  constructor(url, address, provider = null) {
+    super(provider);
+    this.url = url;
+    this.address = ethers.getAddress(address);
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async rpc(method, params) {
+    const request = new ethers.FetchRequest(this.url);
+    request.timeout = REMOTE_TIMEOUT_MS;
+    request.retryFunc = async () => false;
+    request.body = JSON.stringify({ jsonrpc: "2.0", id: 1, method, params });
+    request.setHeader("content-type", "application/json");
+    const response = await request.send();
+    if (!response.ok()) {
+      throw new Error(`Remote signer ${method}: HTTP ${response.statusCode} ${response.statusMessage}`);
+    }
+    const body = response.bodyJson;
+    if (body.error) {
+      const error = new Error(`Remote signer ${method}: ${body.error.message || JSON.stringify(body.error)}`);
+      error.rpcCode = body.error.code;
+      throw error;
+    }
+    return body.result;
+  }
+
+  /**
+   * Call the eth_ method, or Clef's account_ equivalent when it is not exposed
+   */
+  async rpcCompat(method, clefMethod, params) {
+    try {
+      return await this.rpc(method, params);
+    } catch (error) {
+      if (error.rpcCode !== -32601) throw error; // method not found
+      return this.rpc(clefMethod, params);
+    }
+  }
+
+  /**
+   * Make sure the signer is reachable and holds the account
+   */
+  async verify() {
+    const accounts = await this.rpcCompat("eth_accounts", "account_list", []);
+    if (Array.isArray(accounts) && !accounts.some((a) => a.toLowerCase() === this.address.toLowerCase())) {
+      throw new Error(`Remote signer at ${this.url} does not manage ${this.address}`);
+    }
+  }
+
+  async signTransaction(tx) {
+    const populated = await this.populateTransaction(tx);
+    const quantity = (value) => (value === null || value === undefined ? undefined : ethers.toQuantity(value));
+    const request = {
+      from: this.address,
+      to: populated.to ? await ethers.resolveAddress(populated.to, this.provider) : undefined,
+      data: populated.data || "0x",
+      value: quantity(populated.value ?? 0n),
+      gas: quantity(populated.gasLimit),
+      nonce: quantity(populated.nonce),
+      chainId: quantity(populated.chainId),
+      type: quantity(populated.type),
+      gasPrice: quantity(populated.gasPrice),
+      maxFeePerGas: quantity(populated.maxFeePerGas),
+      maxPriorityFeePerGas: quantity(populated.maxPriorityFeePerGas),
+    };
+    const result = await this.rpcCompat("eth_signTransaction", "account_signTransaction", [request]);
+    // Web3Signer returns the raw transaction, Clef returns { raw, tx }
+    const raw = typeof result === "string" ? result : result && result.raw;
+    if (!raw) {
+      throw new Error("Remote signer returned no signed transaction");
+    }
+
+    const signed = ethers.Transaction.from(raw);
+    const mismatch = [
+      ["from", signed.from, this.address],
+      ["to", signed.to, request.to ?? null],
+      ["nonce", BigInt(signed.nonce), BigInt(request.nonce)],
+      ["value", signed.value, BigInt(request.value)],
+      ["data", signed.data.toLowerCase(), request.data.toLowerCase()],
+      ["chainId", signed.chainId, BigInt(request.chainId)],
+      ["gasLimit", signed.gasLimit, BigInt(request.gas)],
+      ["maxFeePerGas", signed.maxFeePerGas ?? signed.gasPrice, BigInt(request.maxFeePerGas ?? request.gasPrice)],
+      ["maxPriorityFeePerGas", signed.maxPriorityFeePerGas, request.maxPriorityFeePerGas === undefined ? null : BigInt(request.maxPriorityFeePerGas)],
+    ].find(([, actual, expected]) => (typeof actual === "string" && typeof expected === "string"
+      ? actual.toLowerCase() !== expected.toLowerCase()
+      : actual !== expected));
+    if (mismatch) {
+      throw new Error(`Remote signer altered the transaction (${mismatch[0]}: expected ${mismatch[2]}, got ${mismatch[1]})`);
+    }
+    return raw;
+  }
+
+  async signMessage() {
+    throw new Error("RemoteSigner only signs transactions");
+  }
+
+  async signTypedData() {
+    throw new Error("RemoteSigner only signs transactions");
+  }
+}
+
+/**
+ * Address of a signer without unlocking it (dry runs, startup banners)
+ * @param {string} name Signer name, e.g. MANAGER_PRIVATE_KEY
+ * @param {object} [env]
+ * @returns {string|null}
+ */
+function signerAddress(name, env = process.env) {
+  const keys = signerKeys(name);
+  switch (signerBackend(name, env)) {
+    case "keystore": {
+      const { address } = JSON.parse(readKeystore(keys, env));
+      return address ? ethers.getAddress(address.startsWith("0x") ? address : `0x${address}`) : null;
+    }
+    case "remote":
+      return env[keys.address] ? ethers.getAddress(env[keys.address]) : null;
+    default:
+      return env[keys.privateKey] ? new ethers.Wallet(env[keys.privateKey]).address : null;
+  }
+}
+
+/**
+ * Create the signer for a signer name
+ * @param {string} name Signer name, e.g. MANAGER_PRIVATE_KEY
+ * @param {object} options
+ * @param {ethers.Provider} options.provider
+ * @param {object} [options.env]
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<{signer: ethers.Signer, backend: string}>}
+ */
+async function createSigner(name, { provider, env = process.env, log = console.log }) {
+  const keys = signerKeys(name);
+  const backend = signerBackend(name, env);
+
+  if (backend === "keystore") {
+    const json = readKeystore(keys, env);
+    log(`🔐 Decrypting ${env[keys.keystore]}...`);
+    const password = readKeystorePassword(keys, env);
+    let wallet;
+    try {
+      wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    } catch (error) {
+      throw signerError(`${keys.keystore}: cannot decrypt ${env[keys.keystore]} (${error.message})`);
+    }
+    return { signer: wallet.connect(provider), backend };
+  }
+
+  if (backend === "remote") {
+    if (!env[keys.remoteUrl]) {
+      throw signerError(`${keys.remoteUrl} not set (JSON-RPC signer endpoint)`);
+    }
+    if (!env[keys.address] || !ethers.isAddress(env[keys.address])) {
+      throw signerError(`${keys.address} must be set to the account the remote signer signs with`);
+    }
+    const signer = new RemoteSigner(env[keys.remoteUrl], env[keys.address], provider);
+    try {
+      await signer.verify();
+    } catch (error) {
+      throw signerError(`${keys.remoteUrl}: ${error.message}`);
+    }
+    return { signer, backend };
+  }
+
+  if (!env[keys.privateKey]) {
+    throw signerError(`${name} not set (or choose ${keys.backend}=keystore|remote)`);
+  }
+  return { signer: new ethers.Wallet(env[keys.privateKey], provider), backend };
+}
+
+module.exports = { createSigner, signerAddress, signerBackend, signerKeys, RemoteSigner };
@@ -0,0 +1,187 @@
+/**
+ * Spend Policy
+ * Monitor-side limits on top of the controller's own: quote spend per rolling
+ * hour / 24h / 7 days, mines per rolling 24h, a hard price ceiling that also
+ * holds for time-based mines, and the times of day mining is allowed. Spend is
+ * counted from the ledger's mine history, so limits survive restarts. Times
+ * of day are UTC.
+ */
+
+const { ethers } = require("ethers");
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rolling spend limits: [setting, policy id, window, label]
+const SPEND_LIMITS = [
+  ["maxSpendPerHour", "max_spend_per_hour", HOUR_MS, "last hour"],
+  ["maxSpendPerDay", "max_spend_per_day", DAY_MS, "last 24h"],
+  ["maxSpendPerWeek", "max_spend_per_week", 7 * DAY_MS, "last 7 days"],
+];
+
+// Environment variable of each setting
+const ENV_KEYS = {
+  maxSpendPerHour: "MAX_SPEND_PER_HOUR",
+  maxSpendPerDay: "MAX_SPEND_PER_DAY",
+  maxSpendPerWeek: "MAX_SPEND_PER_WEEK",
+  maxMinesPerDay: "MAX_MINES_PER_DAY",
+  priceCeiling: "PRICE_CEILING",
+  windows: "MINING_WINDOWS",
+  blackouts: "MINING_BLACKOUTS",
+};
+
+/**
+ * Spend policy settings from the environment (used as the default for every
+ * controller; a controllers file entry can override each key)
+ */
+function spendPolicyFromEnv(env = process.env) {
+  return {
+    maxSpendPerHour: env.MAX_SPEND_PER_HOUR || null,
+    maxSpendPerDay: env.MAX_SPEND_PER_DAY || null,
+    maxSpendPerWeek: env.MAX_SPEND_PER_WEEK || null,
+    maxMinesPerDay: env.MAX_MINES_PER_DAY ? parseInt(env.MAX_MINES_PER_DAY) : null,
+    priceCeiling: env.PRICE_CEILING || null,
+    windows: env.MINING_WINDOWS || null,
+    blackouts: env.MINING_BLACKOUTS || null,
+  };
+}
+
+// Comma-separated string (environment) or array (controllers file)
+const toList = (value) => (Array.isArray(value) ? value : String(value || "").split(","))
+  .map((item) => String(item).trim())
+  .filter(Boolean);
+
+const clockMinutes = (text) => {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(text);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * "08:00-18:00" as minutes of the UTC day (end exclusive, wrapping past
+ * midnight when the end is earlier), or with `absolute` also
+ * "2026-12-24T00:00Z/2026-12-27T00:00Z" as a fixed period
+ * @returns {object|null} null when unparseable
+ */
+function parseRange(text, { absolute = false } = {}) {
+  if (absolute && text.includes("/")) {
+    const [from, to] = text.split("/").map((part) => Date.parse(part));
+    return Number.isNaN(from) || Number.isNaN(to) || from >= to ? null : { text, from, to };
+  }
+  const [start, end] = text.split("-").map(clockMinutes);
+  return start === null || end === null || start === undefined || end === undefined || start === end ? null : { text, start, end };
+}
+
+function inRange(range, now) {
+  if (range.from !== undefined) {
+    return now >= range.from && now < range.to;
+  }
+  const date = new Date(now);
+  const minute = date.getUTCHours() * 60 + date.getUTCMinutes();
+  return range.start < range.end
+    ? minute >= range.start && minute < range.end
+    : minute >= range.start || minute < range.end;
+}
+
+const isAmount = (value) => /^\d+(\.\d+)?$/.test(String(value).trim());
+
+/**
+ * Problems with the settings, for startup validation
+ * @param {object} settings
+ * @param {string} [where] Controllers file context; names keys as in the file instead of the environment
+ * @returns {string[]}
+ */
+function spendPolicyProblems(settings, where = null) {
+  const problems = [];
+  const problem = (key, message) => problems.push(`${where ? `${where} spendPolicy.${key}` : ENV_KEYS[key]}: ${message}`);
+  const isSet = (key) => settings[key] !== null && settings[key] !== undefined;
+  for (const key of Object.keys(settings).filter((key) => !ENV_KEYS[key])) {
+    problems.push(`${where} spendPolicy: unknown setting "${key}" (expected ${Object.keys(ENV_KEYS).join(", ")})`);
+  }
+  for (const key of ["maxSpendPerHour", "maxSpendPerDay", "maxSpendPerWeek", "priceCeiling"]) {
+    if (isSet(key) && !isAmount(settings[key])) {
+      problem(key, `expected an amount in quote tokens like 0.05 (got "${settings[key]}")`);
+    }
+  }
+  if (isSet("maxMinesPerDay") && !(Number.isInteger(settings.maxMinesPerDay) && settings.maxMinesPerDay >= 1)) {
+    problem("maxMinesPerDay", `expected a whole number of at least 1 (got "${settings.maxMinesPerDay}")`);
+  }
+  for (const text of toList(settings.windows)) {
+    if (!parseRange(text)) {
+      problem("windows", `expected UTC ranges like 08:00-18:00 (got "${text}")`);
+    }
+  }
+  for (const text of toList(settings.blackouts)) {
+    if (!parseRange(text, { absolute: true })) {
+      problem("blackouts", `expected UTC ranges like 12:00-13:00 or 2026-12-24T00:00Z/2026-12-27T00:00Z (got "${text}")`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Whether any limit is set
+ */
+function hasSpendPolicy(settings) {
+  return Boolean(settings) && Object.values(settings).some((value) => value !== null && value !== undefined && toList(value).length > 0);
+}
+
+/**
+ * Check a mine about to be sent against the policy
+ * @param {object} settings spendPolicyFromEnv() or per-controller settings
+ * @param {object} context
+ * @param {number} context.now Milliseconds
+ * @param {bigint} context.price Price of this mine
+ * @param {number} context.quoteDecimals
+ * @param {Array<{time: number, cost: bigint}>} context.history Recent successful mines (ledger)
+ * @param {(value: bigint) => string} context.format Quote amount for messages
+ * @returns {{ allowed: boolean, blocked: Array<{policy: string, reason: string}>, usage: object }}
+ *   `blocked` lists every policy the mine breaks
+ */
+function evaluateSpendPolicy(settings, { now, price, quoteDecimals, history, format }) {
+  const blocked = [];
+  const usage = { spend: [], minesToday: null };
+  const block = (policy, reason) => blocked.push({ policy, reason });
+
+  if (settings.priceCeiling) {
+    const ceiling = ethers.parseUnits(String(settings.priceCeiling), quoteDecimals);
+    if (price > ceiling) {
+      block("price_ceiling", `price ${format(price)} is above the ${format(ceiling)} ceiling`);
+    }
+  }
+
+  for (const [key, policy, windowMs, label] of SPEND_LIMITS) {
+    if (!settings[key]) continue;
+    const limit = ethers.parseUnits(String(settings[key]), quoteDecimals);
+    const spent = history.filter((mine) => mine.time > now - windowMs).reduce((sum, mine) => sum + mine.cost, 0n);
+    usage.spend.push({ policy, window: label, spent, limit });
+    if (spent + price > limit) {
+      block(policy, `${format(spent)} spent in the ${label}, this mine (${format(price)}) would pass the ${format(limit)} budget`);
+    }
+  }
+
+  if (settings.maxMinesPerDay) {
+    const mines = history.filter((mine) => mine.time > now - DAY_MS).length;
+    usage.minesToday = { mines, limit: settings.maxMinesPerDay };
+    if (mines >= settings.maxMinesPerDay) {
+      block("max_mines_per_day", `${mines} mine(s) in the last 24h, the limit is ${settings.maxMinesPerDay}`);
+    }
+  }
+
+  const windows = toList(settings.windows).map((text) => parseRange(text));
+  if (windows.length > 0 && !windows.some((range) => inRange(range, now))) {
+    block("mining_window", `outside the mining windows (${windows.map((range) => range.text).join(", ")} UTC)`);
+  }
+  const blackout = toList(settings.blackouts).map((text) => parseRange(text, { absolute: true })).find((range) => inRange(range, now));
+  if (blackout) {
+    block("blackout", `inside the ${blackout.text} blackout${blackout.from === undefined ? " (UTC)" : ""}`);
+  }
+
+  return { allowed: blocked.length === 0, blocked, usage };
+}
+
+module.exports = {
+  spendPolicyFromEnv,
+  spendPolicyProblems,
+  hasSpendPolicy,
+  evaluateSpendPolicy,
+};
@@ -0,0 +1,405 @@
+/**
+ * Transaction Manager
+ * Sends manager transactions with explicit nonces and EIP-1559 fees capped at
+ * the controller's maxGasPrice, sizes the gas limit from estimateGas, and
+ * speeds up or cancels stuck transactions via same-nonce replacement. Pending
+ * transactions are persisted so a restarted monitor keeps watching them. While
+ * one is unresolved and unwatched (still pending after its cancel) nothing new
+ * is sent, since it would only queue behind it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_STATE_PATH = "data/pending-txs.json";
+const BUMP_NUMERATOR = 1125n; // Replacements pay at least +12.5% (nodes require +10%)
+const BUMP_DENOMINATOR = 1000n;
+// Broadcast failures that do not tell whether a node accepted the transaction
+const UNCONFIRMED_BROADCAST_CODES = new Set(["RPC_UNAVAILABLE", "TIMEOUT", "NETWORK_ERROR", "SERVER_ERROR"]);
+
+/**
+ * Transaction manager settings from the environment
+ */
+function txSettingsFromEnv(env = process.env) {
+  return {
+    statePath: env.TX_STATE_PATH || DEFAULT_STATE_PATH,
+    timeoutMs: parseInt(env.TX_TIMEOUT || "45000"),
+    maxReplacements: parseInt(env.TX_MAX_REPLACEMENTS || "3"),
+    gasLimitMarginPct: parseInt(env.GAS_LIMIT_MARGIN_PCT || "20"),
+    priorityFeeWei: env.PRIORITY_FEE_GWEI ? BigInt(Math.round(parseFloat(env.PRIORITY_FEE_GWEI) * 1e9)) : null,
+  };
+}
+
+const bump = (value) => (value * BUMP_NUMERATOR + BUMP_DENOMINATOR - 1n) / BUMP_DENOMINATOR;
+const max = (a, b) => (a > b ? a : b);
+const min = (a, b) => (a < b ? a : b);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Persisted pending transactions, keyed by signer address
+ */
+function createPendingStore(statePath) {
+  const resolved = path.resolve(statePath);
+  const read = () => (fs.existsSync(resolved) ? JSON.parse(fs.readFileSync(resolved, "utf8")) : {});
+  const write = (state) => {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    const tmp = `${resolved}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, resolved);
+  };
+  return {
+    list: (signer) => read()[signer.toLowerCase()] || [],
+    save: (signer, entry) => {
+      const state = read();
+      const key = signer.toLowerCase();
+      state[key] = (state[key] || []).filter((e) => e.nonce !== entry.nonce).concat(entry);
+      write(state);
+    },
+    remove: (signer, nonce) => {
+      const state = read();
+      const key = signer.toLowerCase();
+      state[key] = (state[key] || []).filter((e) => e.nonce !== nonce);
+      if (state[key].length === 0) delete state[key];
+      write(state);
+    },
+  };
+}
+
+/**
+ * Create a transaction manager for one signer
+ * @param {object} options
+ * @param {import("ethers").Signer} options.signer Signing account (connected to a provider)
+ * @param {import("ethers").Provider} options.provider
+ * @param {object} [options.settings] txSettingsFromEnv() settings
+ * @param {(message: string) => void} [options.log]
+ * @param {(message: string) => void} [options.warn] Problems with pending transactions; defaults to `log`
+ */
+function createTxManager({ signer, provider, settings = txSettingsFromEnv(), log = console.log, warn = log }) {
+  const store = createPendingStore(settings.statePath);
+  let address = null;
+  let nextNonce = null;
+  let lock = Promise.resolve();
+  // Nonces with a watcher, or about to get one (between send() and wait())
+  const watching = new Set();
+  // Nonces resumePending() has announced, so re-watching them stays quiet
+  const resumed = new Set();
+
+  // Serialize nonce assignment between controllers sharing this signer
+  const exclusive = (fn) => {
+    const run = lock.then(fn, fn);
+    lock = run.catch(() => {});
+    return run;
+  };
+
+  const getAddress = async () => {
+    if (!address) address = await signer.getAddress();
+    return address;
+  };
+
+  const syncNonce = async () => {
+    const from = await getAddress();
+    const chainNonce = await provider.getTransactionCount(from, "pending");
+    const persisted = store.list(from).map((e) => e.nonce + 1);
+    nextNonce = Math.max(chainNonce, ...persisted);
+  };
+
+  /**
+   * EIP-1559 fees from the node's suggestion, never above `capWei`
+   */
+  const suggestFees = async (capWei) => {
+    const [feeData, block] = await Promise.all([provider.getFeeData(), provider.getBlock("latest")]);
+    const baseFee = block.baseFeePerGas ?? feeData.gasPrice ?? 0n;
+    let priority = settings.priorityFeeWei ?? feeData.maxPriorityFeePerGas ?? 1000000n;
+    let maxFee = baseFee * 2n + priority;
+    if (capWei !== null && capWei !== undefined) {
+      if (baseFee > capWei) {
+        const error = new Error(`Base fee ${baseFee} wei exceeds controller maxGasPrice ${capWei} wei`);
+        error.code = "GAS_PRICE_TOO_HIGH";
+        throw error;
+      }
+      maxFee = min(maxFee, capWei);
+      priority = min(priority, maxFee);
+    }
+    return { maxFeePerGas: maxFee, maxPriorityFeePerGas: priority, baseFee };
+  };
+
+  /**
+   * Sign a request; the hash is known before anything is broadcast
+   */
+  const sign = async (request) => {
+    const raw = await signer.signTransaction(await signer.populateTransaction(request));
+    return { raw, hash: ethers.keccak256(raw) };
+  };
+
+  /**
+   * Broadcast a signed transaction. Returns false when the outcome is unknown
+   * (every endpoint failed), since it may still have reached a node; throws
+   * when a node rejected it.
+   */
+  const broadcast = async (raw, nonce) => {
+    try {
+      await provider.broadcastTransaction(raw);
+      return true;
+    } catch (error) {
+      if (!UNCONFIRMED_BROADCAST_CODES.has(error.code)) throw error;
+      warn(`  ⚠️  Broadcast for nonce ${nonce} unconfirmed (${error.shortMessage || error.message}); watching it anyway`);
+      return false;
+    }
+  };
+
+  const findReceipt = async (hashes) => {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  };
+
+  /**
+   * Wait for any transaction with this nonce to be mined, speeding up after
+   * each timeout and finally cancelling with a zero-value self transfer.
+   * `replacedExternally` means the nonce was used by a transaction that is not
+   * one of ours; the entry is dropped and there is no receipt.
+   * @returns {Promise<{receipt: object|null, cancelled: boolean, replacedExternally: boolean, replacements: number}>}
+   */
+  const watch = async (entry, onReplace = () => {}) => {
+    const from = await getAddress();
+    let replacements = entry.replacements || 0;
+
+    for (;;) {
+      const deadline = Date.now() + settings.timeoutMs;
+      while (Date.now() < deadline) {
+        const receipt = await findReceipt(entry.hashes).catch(() => null);
+        if (receipt) {
+          store.remove(from, entry.nonce);
+          return { receipt, cancelled: receipt.hash === entry.cancelHash, replacedExternally: false, replacements };
+        }
+        // Nonce consumed by a transaction we no longer know about
+        const latestNonce = await provider.getTransactionCount(from, "latest").catch(() => null);
+        if (latestNonce !== null && latestNonce > entry.nonce) {
+          const late = await findReceipt(entry.hashes).catch(() => null);
+          store.remove(from, entry.nonce);
+          return { receipt: late, cancelled: late ? late.hash === entry.cancelHash : false, replacedExternally: !late, replacements };
+        }
+        await sleep(2000);
+      }
+
+      if (entry.cancelHash) {
+        // Already cancelled and still nothing: leave it persisted for resumePending()
+        warn(`  ⚠️  Nonce ${entry.nonce} still pending after cancel; nothing new is sent until it resolves`);
+        return { receipt: null, cancelled: false, replacedExternally: false, replacements };
+      }
+
+      const cap = entry.capWei !== null ? BigInt(entry.capWei) : null;
+      const previousMax = BigInt(entry.request.maxFeePerGas);
+      const previousPriority = BigInt(entry.request.maxPriorityFeePerGas);
+      let fees = null;
+      try {
+        fees = await suggestFees(cap);
+      } catch (error) {
+        // Base fee above the cap: a speed-up could never be accepted by the controller
+      }
+      const speedUp = fees && {
+        maxFeePerGas: max(bump(previousMax), fees.maxFeePerGas),
+        maxPriorityFeePerGas: max(bump(previousPriority), fees.maxPriorityFeePerGas),
+      };
+      const canSpeedUp = speedUp && replacements < settings.maxReplacements && (cap === null || speedUp.maxFeePerGas <= cap);
+
+      try {
+        if (canSpeedUp) {
+          speedUp.maxPriorityFeePerGas = min(speedUp.maxPriorityFeePerGas, speedUp.maxFeePerGas);
+          const request = { ...entry.request, ...stringifyFees(speedUp) };
+          const { raw, hash } = await sign(toRequest(request, entry.nonce));
+          // Recorded first: a replacement can land even if its broadcast looked failed
+          store.save(from, { ...entry, hashes: [...entry.hashes, hash] });
+          await broadcast(raw, entry.nonce).catch((error) => {
+            store.save(from, entry);
+            throw error;
+          });
+          entry.request = request;
+          entry.hashes.push(hash);
+          replacements++;
+          entry.replacements = replacements;
+          log(`  🚀 Speed-up #${replacements} for nonce ${entry.nonce}: ${hash}`);
+          onReplace({ kind: "speed-up", hash, nonce: entry.nonce, ...speedUp });
+        } else {
+          const cancel = {
+            to: from,
+            data: "0x",
+            value: "0",
+            gasLimit: "21000",
+            ...stringifyFees({
+              maxFeePerGas: max(bump(previousMax), fees ? fees.maxFeePerGas : 0n),
+              maxPriorityFeePerGas: bump(previousPriority),
+            }),
+          };
+          const { raw, hash } = await sign(toRequest(cancel, entry.nonce));
+          store.save(from, { ...entry, hashes: [...entry.hashes, hash] });
+          await broadcast(raw, entry.nonce).catch((error) => {
+            store.save(from, entry);
+            throw error;
+          });
+          entry.hashes.push(hash);
+          entry.cancelHash = hash;
+          log(`  🛑 Cancelling nonce ${entry.nonce} with ${hash}`);
+          onReplace({ kind: "cancel", hash, nonce: entry.nonce });
+        }
+        store.save(from, entry);
+      } catch (error) {
+        // Typically "nonce too low" because the original just got mined
+        warn(`  ⚠️  Replacement for nonce ${entry.nonce} not sent: ${error.shortMessage || error.message}`);
+      }
+    }
+  };
+
+  const watchTracked = (entry, onReplace) => {
+    watching.add(entry.nonce);
+    return watch(entry, onReplace).finally(() => watching.delete(entry.nonce));
+  };
+
+  /**
+   * Send a transaction
+   * @param {object} params
+   * @param {string} params.to
+   * @param {string} params.data
+   * @param {bigint} [params.value]
+   * @param {bigint|null} [params.maxGasPriceWei] Cap on maxFeePerGas (controller maxGasPrice)
+   * @param {object} [params.meta] Stored with the pending entry (e.g. controller, epoch)
+   * @param {(event: object) => void} [params.onReplace] Called for each replacement
+   * @returns {Promise<{hash: string, nonce: number, gasLimit: bigint, maxFeePerGas: bigint, maxPriorityFeePerGas: bigint, wait: () => Promise<object>}>}
+   * @throws {Error} code NONCE_BLOCKED while an earlier transaction is unresolved and unwatched
+   */
+  const send = ({ to, data, value = 0n, maxGasPriceWei = null, meta = {}, onReplace }) => exclusive(async () => {
+    const from = await getAddress();
+    const unresolved = store.list(from).filter((entry) => !watching.has(entry.nonce)).map((entry) => entry.nonce);
+    if (unresolved.length > 0) {
+      const error = new Error(`Nonce ${unresolved.join(", ")} is still pending; not sending behind it until it resolves`);
+      error.code = "NONCE_BLOCKED";
+      throw error;
+    }
+    if (nextNonce === null) {
+      await syncNonce();
+    }
+
+    // Estimation reverts here, before anything is signed
+    const estimate = await provider.estimateGas({ from, to, data, value });
+    const gasLimit = (estimate * BigInt(100 + settings.gasLimitMarginPct)) / 100n;
+    const fees = await suggestFees(maxGasPriceWei);
+
+    const nonce = nextNonce;
+    const request = {
+      to,
+      data,
+      value: value.toString(),
+      gasLimit: gasLimit.toString(),
+      ...stringifyFees(fees),
+    };
+
+    const { raw, hash } = await sign(toRequest(request, nonce));
+    const entry = {
+      nonce,
+      hashes: [hash],
+      request,
+      capWei: maxGasPriceWei === null ? null : maxGasPriceWei.toString(),
+      meta,
+      sentAt: new Date().toISOString(),
+    };
+    // Persisted before the broadcast so a transaction that reached a node is
+    // never forgotten, even if the answer never came back
+    watching.add(nonce);
+    store.save(from, entry);
+    try {
+      await broadcast(raw, nonce);
+    } catch (error) {
+      store.remove(from, nonce);
+      watching.delete(nonce);
+      await syncNonce().catch(() => { nextNonce = null; });
+      throw error;
+    }
+    nextNonce = nonce + 1;
+
+    return {
+      hash,
+      nonce,
+      gasLimit,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      wait: () => watchTracked(entry, onReplace),
+    };
+  });
+
+  /**
+   * Watch the persisted transactions nobody is watching: those of a previous
+   * run, and those still pending after their cancel. Safe to call on every
+   * poll; each one keeps blocking new sends until it resolves.
+   * @param {(meta: object, result: object) => void} onSettled Called with every watch result,
+   *   including `receipt: null` when it is still pending
+   * @returns {Promise<number>} Transactions being watched again
+   */
+  const resumePending = async (onSettled) => {
+    const from = await getAddress();
+    const entries = store.list(from).filter((entry) => !watching.has(entry.nonce));
+    for (const entry of entries) {
+      if (!resumed.has(entry.nonce)) {
+        resumed.add(entry.nonce);
+        log(`🔁 Resuming pending tx nonce ${entry.nonce} (${entry.hashes[entry.hashes.length - 1]})`);
+      }
+      watchTracked(entry)
+        .then((result) => onSettled(entry.meta, result))
+        .catch((error) => warn(`  ⚠️  Could not resume nonce ${entry.nonce}: ${error.message}`));
+    }
+    return entries.length;
+  };
+
+  /**
+   * The persisted transactions nobody is watching, without watching them (a
+   * standby must not speed up or cancel what the leader may still send)
+   * @returns {Promise<Array<{nonce: number, hash: string, meta: object}>>}
+   */
+  const listUnwatched = async () => {
+    const from = await getAddress();
+    return store.list(from)
+      .filter((entry) => !watching.has(entry.nonce))
+      .map((entry) => ({ nonce: entry.nonce, hash: entry.hashes[entry.hashes.length - 1], meta: entry.meta }));
+  };
+
+  /**
+   * Read the nonce from the chain again before the next send, e.g. after
+   * another instance sent with this key while this one was on standby
+   */
+  const resetNonce = () => exclusive(async () => {
+    nextNonce = null;
+  });
+
+  return {
+    send,
+    resumePending,
+    listUnwatched,
+    resetNonce,
+    pendingCount: () => (address ? store.list(address).length : 0),
+    getAddress,
+  };
+}
+
+function stringifyFees(fees) {
+  return {
+    maxFeePerGas: fees.maxFeePerGas.toString(),
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+  };
+}
+
+function toRequest(request, nonce) {
+  return {
+    to: request.to,
+    data: request.data,
+    value: BigInt(request.value),
+    gasLimit: BigInt(request.gasLimit),
+    maxFeePerGas: BigInt(request.maxFeePerGas),
+    maxPriorityFeePerGas: BigInt(request.maxPriorityFeePerGas),
+    nonce,
+    type: 2,
+  };
+}
+
+module.exports = { createTxManager, txSettingsFromEnv, DEFAULT_STATE_PATH };
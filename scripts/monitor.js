@@ -5,347 +5,409 @@
  * Continuously monitors configured token and executes mining when profitable
  */
 
+const path = require("path");
 const { ethers } = require("ethers");
 const dotenv = require("dotenv");
+const { openLedger, DEFAULT_LEDGER_PATH } = require("./lib/ledger");
+const { startStatusServer } = require("./lib/http-server");
+const { createRigMonitor } = require("./lib/rig-monitor");
+const { loadControllers, checkControllers } = require("./lib/controllers");
+const { schedulerFromEnv } = require("./lib/scheduler");
+const { createTxManager, txSettingsFromEnv } = require("./lib/tx-manager");
+const { createProvider } = require("./lib/rpc");
+const { createMulticall } = require("./lib/multicall");
+const { createNotifier, notifySettingsFromEnv } = require("./lib/notifier");
+const { fundingSettingsFromEnv } = require("./lib/funding");
+const { loadConfig, verifyChain } = require("./lib/config");
+const { createSigner, signerAddress } = require("./lib/signers");
+const { createLeaderElection, leaderSettingsFromEnv } = require("./lib/leader");
+const { createLogger, logSettingsFromEnv } = require("./lib/logger");
 
 dotenv.config();
 
 // Configuration
-const RPC_URL = process.env.BASE_RPC_URL || "https://mainnet.base.org";
-const PRIVATE_KEY = process.env.MANAGER_PRIVATE_KEY;
-const CONTROLLER_ADDRESS = process.env.CONTROLLER_ADDRESS;
-const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL || "60000"); // 1 minute default
-const RECIPIENT_ADDRESS = process.env.RECIPIENT_ADDRESS || process.env.OWNER_ADDRESS;
-
-// Contract ABIs (minimal)
-const CONTROLLER_ABI = [
-  "function targetRig() view returns (address)",
-  "function checkProfitability() view returns (bool isProfitable, uint256 currentPrice, uint256 recommendedAmount, uint256 reason)",
-  "function executeMine(address recipient, string epochUri) external returns (uint256 price)",
-  "function getMiningStatus() view returns (bool isEnabled, bool canMintNow, uint256 currentPrice, uint256 nextMintTime, uint256 nextTimeBasedMintTime, uint256 quoteBalance, uint256 currentEpochId, bool priceConditionMet, bool timeConditionMet)",
-  "function config() view returns (uint256 maxMiningPrice, uint256 minProfitMargin, uint256 maxMintAmount, uint256 minMintAmount, bool autoMiningEnabled, uint256 cooldownPeriod, uint256 maxGasPrice, uint256 timeBasedMintPeriod)",
-  "function updateTargetRig(address newRig) external",
-  "event TokensMinted(address indexed recipient, uint256 amount, uint256 cost, uint256 epochId)",
-  "event ConfigUpdated(uint256 maxMiningPrice, uint256 minProfitMargin, uint256 maxMintAmount, uint256 minMintAmount, bool autoMiningEnabled, uint256 cooldownPeriod, uint256 maxGasPrice, uint256 timeBasedMintPeriod)",
-  "event TargetRigUpdated(address indexed oldRig, address indexed newRig)"
-];
-
-// Rig ABI for fetching quote token
-const RIG_ABI = [
-  "function quote() view returns (address)",
-  "function unit() view returns (address)",
-  "function getPrice() view returns (uint256)"
-];
-
-const ERC20_ABI = [
-  "function balanceOf(address) view returns (uint256)",
-  "function decimals() view returns (uint8)"
-];
+const DRY_RUN = process.argv.includes("--dry-run");
 
 // State
+let config;
 let provider;
-let wallet;
-let controller;
+let ledger;
+let notifier;
+let election;
+let monitors = [];
+let signers = new Map();
+let standbyReported = new Set(); // Pending transactions a standby has logged, as address:nonce
+let statusServer;
 let isRunning = false;
-let stats = {
-  startTime: Date.now(),
-  checksPerformed: 0,
-  mintsExecuted: 0,
-  totalTokensMinted: 0,
-  totalSpent: 0, // Generic spending tracker (quote token)
-  errors: 0,
-  lastMintTime: null,
-};
+// Console only until the configuration (which may set LOG_FILE) is loaded
+let logger = createLogger({ ...logSettingsFromEnv(), file: null });
+
+/**
+ * One manager signer per signer name, each with its own transaction manager
+ * so controllers that share a key never race on nonces. The backend (private
+ * key, encrypted keystore or remote signer) is chosen per name, see
+ * lib/signers. In dry-run mode every signer is a VoidSigner for the manager
+ * address, which cannot sign anything.
+ * @returns {Promise<Map<string, {signer: ethers.Signer, txManager: object|null}>>}
+ */
+async function createSigners(entries) {
+  const txSettings = txSettingsFromEnv(config.env);
+  const signers = new Map();
+  for (const entry of entries) {
+    if (signers.has(entry.signer)) continue;
+    if (DRY_RUN) {
+      const managerAddress = signerAddress(entry.signer, config.env) || config.values.MANAGER_ADDRESS;
+      if (!managerAddress) {
+        throw new Error(`Dry run needs ${entry.signer} or MANAGER_ADDRESS to simulate as the manager (${entry.name})`);
+      }
+      signers.set(entry.signer, { signer: new ethers.VoidSigner(managerAddress, provider), txManager: null });
+      continue;
+    }
+    const { signer, backend } = await createSigner(entry.signer, {
+      provider,
+      env: config.env,
+      log: (message) => logger.info(message, { event: "signer", signer: entry.signer }),
+    });
+    if (backend !== "env") {
+      logger.info(`🔐 ${entry.signer}: ${backend} signer ${await signer.getAddress()}`, { event: "signer", signer: entry.signer, backend });
+    }
+    const txManager = createTxManager({
+      signer,
+      provider,
+      settings: txSettings,
+      log: (message) => logger.info(message, { event: "tx", signer: entry.signer }),
+      warn: (message) => logger.warn(message, { event: "tx", signer: entry.signer }),
+    });
+    signers.set(entry.signer, { signer, txManager });
+  }
+  return signers;
+}
+
+/**
+ * Dry runs keep their own ledger next to the real one
+ */
+function dryRunLedgerPath() {
+  const base = config.values.LEDGER_PATH || DEFAULT_LEDGER_PATH;
+  const ext = path.extname(base);
+  return `${base.slice(0, base.length - ext.length)}.dry-run${ext}`;
+}
 
 /**
- * Initialize connection
+ * Initialize connection and per-controller monitors
  */
 async function initialize() {
-  console.log("🔧 Initializing Franchiser Mining Monitor...");
-  
-  if (!PRIVATE_KEY) {
-    throw new Error("MANAGER_PRIVATE_KEY not set in environment");
+  // CONFIG_FILE + environment, validated before anything connects
+  config = loadConfig();
+  logger = createLogger(logSettingsFromEnv(config.env));
+  logger.info("🔧 Initializing Franchiser Mining Monitor...", { event: "startup", dryRun: DRY_RUN });
+  if (DRY_RUN) {
+    logger.info("🧪 DRY RUN: executeMine is only simulated (staticCall + estimateGas), nothing is signed", { event: "dry_run" });
   }
-  
-  if (!CONTROLLER_ADDRESS) {
-    throw new Error("CONTROLLER_ADDRESS not set in environment");
+  const entries = checkControllers(loadControllers(config.env));
+  for (const warning of config.warnings) {
+    logger.warn(`⚠️  ${warning}`, { event: "config_warning" });
+  }
+  if (!config.values.CONTROLLERS_FILE && !config.values.RECIPIENT_ADDRESS && !config.values.RECIPIENTS) {
+    logger.warn(`⚠️  RECIPIENT_ADDRESS not set: minted tokens go to OWNER_ADDRESS ${entries[0].recipient}`, { event: "config_warning" });
   }
 
-  // Connect to Base
-  provider = new ethers.JsonRpcProvider(RPC_URL);
-  wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-  controller = new ethers.Contract(CONTROLLER_ADDRESS, CONTROLLER_ABI, wallet);
+  // Connect (BASE_RPC_URLS lists fallback endpoints) and make sure it is the intended chain
+  provider = createProvider(config.env, {
+    settings: config.rpc,
+    log: (message) => logger.info(message, { event: "rpc" }),
+    warn: (message) => logger.warn(message, { event: "rpc" }),
+  });
+  const network = await verifyChain(provider, config);
+  signers = await createSigners(entries);
+  const ledgerWarn = (message) => logger.warn(message, { event: "ledger" });
+  ledger = openLedger(DRY_RUN ? dryRunLedgerPath() : config.values.LEDGER_PATH, { warn: ledgerWarn });
+  notifier = createNotifier({
+    settings: notifySettingsFromEnv(config.env),
+    log: (message) => logger.warn(message, { event: "notify_failed" }),
+  });
 
-  // Verify connection
-  const network = await provider.getNetwork();
-  const targetRig = await controller.targetRig();
-  
-  // Get quote token for status display
-  const rigContract = new ethers.Contract(targetRig, [
-    "function quote() view returns (address)"
-  ], provider);
-  
-  let quoteTokenAddress, quoteTokenSymbol;
-  try {
-    quoteTokenAddress = await rigContract.quote();
-    const quoteTokenContract = new ethers.Contract(quoteTokenAddress, [
-      "function symbol() view returns (string)"
-    ], provider);
-    quoteTokenSymbol = await quoteTokenContract.symbol();
-  } catch (error) {
-    console.log("⚠️ Could not fetch quote token info");
+  logger.info(`✅ Connected to ${config.network.label} (Chain ID: ${network.chainId})${config.file ? ` using ${config.file}` : ""}`, {
+    event: "connected",
+    chainId: network.chainId,
+  });
+  logger.info(`🌐 RPC endpoints: ${provider.endpoints.map((e) => e.label).join(", ")}${provider.settings.readQuorum > 1 ? ` (read quorum ${provider.settings.readQuorum})` : ""}`, {
+    event: "rpc_endpoints",
+  });
+  // One Multicall3 batch per check, so every value it decides on comes from the same block
+  const multicall = createMulticall(provider);
+  if (await multicall.detect()) {
+    logger.info(`🧮 Reads: batched through Multicall3 (${multicall.address})`, { event: "multicall" });
+  } else {
+    logger.warn("⚠️  Multicall3 not deployed on this chain: reads are sent one by one, pinned to one block", { event: "multicall" });
   }
-  
-  console.log(`✅ Connected to ${network.name} (Chain ID: ${network.chainId})`);
-  console.log(`📍 Controller: ${CONTROLLER_ADDRESS}`);
-  console.log(`🎯 Target Rig: ${targetRig}`);
-  if (quoteTokenAddress) {
-    console.log(`💰 Quote Token: ${quoteTokenSymbol || ""} (${quoteTokenAddress})`);
+  logger.info(`📒 Ledger: ${ledger.path}`, { event: "ledger" });
+  if (logger.settings.file) {
+    logger.info(`🗒️  Log file: ${path.resolve(logger.settings.file)} (${logger.settings.level} and up)`, { event: "log_file" });
   }
-  console.log(`👤 Manager: ${wallet.address}`);
-  console.log(`🎁 Recipient: ${RECIPIENT_ADDRESS}`);
-  
-  // Display config
-  await displayConfig();
-  
-  console.log("\n🚀 Monitor starting...\n");
+  if (notifier.enabled) {
+    logger.info(`🔔 Notifications: ${notifier.sinkTypes().join(", ")}`, { event: "notifications" });
+  }
+  // Redundant instances share a lease; dry runs never send, so they stay out of it
+  const leaderSettings = DRY_RUN ? { ...leaderSettingsFromEnv(config.env), backend: "none" } : leaderSettingsFromEnv(config.env);
+  election = createLeaderElection({
+    settings: leaderSettings,
+    log: (message) => logger.info(message, { event: "leader" }),
+    warn: (message) => logger.warn(message, { event: "leader" }),
+    // Another instance may have used the manager key meanwhile
+    onChange: (state) => {
+      if (state.role === "leader") {
+        for (const { txManager } of signers.values()) {
+          if (txManager) txManager.resetNonce();
+        }
+        // Take over what was left pending (at startup, once the monitors exist)
+        if (monitors.length > 0) resumePendingTxs();
+      }
+    },
+  });
+  await election.start();
+  if (config.values.CONTROLLERS_FILE) {
+    logger.info(`🗂️  Controllers: ${entries.length} from ${config.values.CONTROLLERS_FILE}`, { event: "controllers", count: entries.length });
+  }
+
+  monitors = entries.map((entry) => createRigMonitor({
+    ...entry,
+    signer: signers.get(entry.signer).signer,
+    txManager: signers.get(entry.signer).txManager,
+    provider,
+    multicall,
+    ledger,
+    scheduler: schedulerFromEnv(config.env),
+    dryRun: DRY_RUN,
+    notifier,
+    funding: fundingSettingsFromEnv(config.env),
+    leader: election.enabled ? election : null,
+    eventPollInterval: config.values.EVENT_POLL_INTERVAL ?? 15000,
+    healthMaxMissedPolls: config.values.HEALTH_MAX_MISSED_POLLS || 3,
+    network: config.network,
+    logger,
+    prefixLogs: entries.length > 1,
+  }));
+
+  // A controller that fails to initialize is still scheduled; its checks
+  // report the problem without holding up the others
+  for (const monitor of monitors) {
+    try {
+      await monitor.initialize();
+    } catch (error) {
+      logger.error(`❌ [${monitor.name}] Initialization failed: ${error.message}`, {
+        event: "init_failed",
+        controller: monitor.address,
+        name: monitor.name,
+        error,
+      });
+    }
+  }
+
+  // Keep watching transactions a previous run sent but never saw mined
+  await resumePendingTxs();
+
+  logger.info("\n🚀 Monitor starting...\n", { event: "started", controllers: monitors.length });
 }
 
 /**
- * Display current configuration
+ * Record a persisted transaction watched by resumePendingTxs() once it settles
  */
-async function displayConfig() {
-  try {
-    const config = await controller.config();
-    const status = await controller.getMiningStatus();
-    
-    // Get quote token info for proper display
-    const targetRig = await controller.targetRig();
-    const rigContract = new ethers.Contract(targetRig, [
-      "function quote() view returns (address)",
-      "function unit() view returns (address)"
-    ], provider);
-    
-    let quoteSymbol = "ETH";
-    let quoteDecimals = 18;
-    
-    try {
-      const quoteToken = await rigContract.quote();
-      const quoteContract = new ethers.Contract(quoteToken, [
-        "function symbol() view returns (string)",
-        "function decimals() view returns (uint8)"
-      ], provider);
-      quoteSymbol = await quoteContract.symbol();
-      quoteDecimals = await quoteContract.decimals();
-    } catch (e) {
-      // Use defaults
+async function settlePendingTx(meta, result) {
+  const monitor = monitors.find((m) => m.address.toLowerCase() === String(meta.controller).toLowerCase());
+  if (result.replacedExternally) {
+    logger.warn(`⚠️  Resumed ${meta.action || "mine"} was never mined: its nonce was used by an unknown transaction`, {
+      event: "tx_replaced",
+      controller: meta.controller,
+    });
+    return;
+  }
+  if (meta.action === "wrap") {
+    if (result.receipt) {
+      ledger.record("wrap", { controller: meta.controller, hash: result.receipt.hash, status: result.receipt.status, resumed: true });
+      logger.info(`✅ Resumed wrap settled: ${result.receipt.hash} (status ${result.receipt.status})`, {
+        event: "wrap_resumed",
+        controller: meta.controller,
+        txHash: result.receipt.hash,
+        status: result.receipt.status,
+      });
     }
-    
-    console.log("\n📋 Current Configuration:");
-    console.log(`  Max Mining Price: ${ethers.formatUnits(config.maxMiningPrice, quoteDecimals)} ${quoteSymbol} per mine`);
-    console.log(`  Min Profit Margin: ${Number(config.minProfitMargin) / 100}%`);
-    console.log(`  Mint Range: ${ethers.formatEther(config.minMintAmount)} - ${ethers.formatEther(config.maxMintAmount)} tokens`);
-    console.log(`  Auto Mining: ${config.autoMiningEnabled ? "✅ ENABLED" : "❌ DISABLED"}`);
-    console.log(`  Cooldown: ${config.cooldownPeriod.toString()}s`);
-    console.log(`  Max Gas: ${config.maxGasPrice.toString()} gwei`);
-    console.log(`  Time-Based Mint Period: ${config.timeBasedMintPeriod.toString()}s`);
-    console.log(`  Controller Quote Balance: ${ethers.formatUnits(status.quoteBalance, quoteDecimals)} ${quoteSymbol}`);
-    console.log(`  Current Epoch: ${status.currentEpochId.toString()}`);
-  } catch (error) {
-    console.error("❌ Failed to fetch config:", error.message);
+    return;
+  }
+  if (monitor && result.receipt) {
+    await monitor.recordReceipt(result.receipt, { cancelled: result.cancelled, mineRecipient: meta.recipient });
+    logger.info(`✅ [${monitor.name}] Resumed tx settled: ${result.receipt.hash} (status ${result.receipt.status}${result.cancelled ? ", cancelled" : ""})`, {
+      event: "mine_resumed",
+      controller: monitor.address,
+      name: monitor.name,
+      txHash: result.receipt.hash,
+      status: result.receipt.status,
+      cancelled: result.cancelled,
+    });
   }
 }
 
 /**
- * Check profitability and execute if favorable
+ * Watch the persisted transactions nobody is watching: those of a previous
+ * run, and those still pending after their cancel. Runs before every check,
+ * so they are resolved while the monitor keeps running. Watching can speed up
+ * and cancel, so a standby only logs what it finds and leaves it to the
+ * leader (or to itself, once it takes the lease).
  */
-async function checkAndMine() {
-  try {
-    stats.checksPerformed++;
-    
-    // Get mining status
-    const status = await controller.getMiningStatus();
-    
-    // Get quote token info for display
-    const targetRig = await controller.targetRig();
-    const rigContract = new ethers.Contract(targetRig, [
-      "function quote() view returns (address)"
-    ], provider);
-    
-    let quoteSymbol = "ETH";
-    let quoteDecimals = 18;
-    
+async function resumePendingTxs() {
+  const standby = election.enabled && !election.isLeader();
+  for (const { txManager } of signers.values()) {
+    if (!txManager) continue;
     try {
-      const quoteToken = await rigContract.quote();
-      const quoteContract = new ethers.Contract(quoteToken, [
-        "function symbol() view returns (string)",
-        "function decimals() view returns (uint8)"
-      ], provider);
-      quoteSymbol = await quoteContract.symbol();
-      quoteDecimals = await quoteContract.decimals();
-    } catch (e) {
-      // Use defaults
-    }
-    
-    if (!status.isEnabled) {
-      console.log("⏸️  Auto mining disabled");
-      return;
-    }
-
-    // Check profitability
-    const [isProfitable, currentPrice, recommendedAmount, reason] = await controller.checkProfitability();
-    
-    const formattedPrice = ethers.formatUnits(currentPrice, quoteDecimals);
-    const formattedBalance = ethers.formatUnits(status.quoteBalance, quoteDecimals);
-    const timestamp = new Date().toISOString();
-    
-    console.log(`[${timestamp}] Check #${stats.checksPerformed}`);
-    console.log(`  Price: ${formattedPrice} ${quoteSymbol} | Epoch: ${status.currentEpochId.toString()} | Balance: ${formattedBalance} ${quoteSymbol}`);
-    
-    // Show condition status
-    if (status.priceConditionMet) {
-      console.log(`  ✅ Price condition met (below max)`);
-    } else {
-      console.log(`  ⛔ Price condition not met (above max)`);
-    }
-    
-    if (status.timeConditionMet) {
-      console.log(`  ✅ Time condition met (enough time passed)`);
-    } else {
-      const nextTimeMint = new Date(Number(status.nextTimeBasedMintTime) * 1000);
-      const waitTime = Math.max(0, Math.floor((nextTimeMint - new Date()) / 1000));
-      console.log(`  ⏳ Time condition: ${waitTime}s until time-based mint available`);
-    }
-    
-    if (!status.canMintNow) {
-      const nextMint = new Date(Number(status.nextMintTime) * 1000);
-      console.log(`  ⏳ Cooldown active. Next mint available: ${nextMint.toLocaleTimeString()}`);
-      return;
-    }
-
-    if (!isProfitable || recommendedAmount === 0n) {
-      const reasonText = reason === 0n ? "price-based" : reason === 1n ? "time-based" : "not profitable";
-      console.log(`  ⛔ Not profitable: ${reasonText}`);
-      return;
-    }
-
-    // Execute mine (note: actual amount minted determined by Rig's UPS)
-    const reasonText = reason === 0n ? "price-based" : "time-based";
-    console.log(`  ✅ PROFITABLE! Executing mine (${reasonText})...`);
-    console.log(`  Price: ${formattedPrice} ${quoteSymbol}`);
-    
-    const tx = await controller.executeMine(RECIPIENT_ADDRESS, "", {
-      gasLimit: 500000, // Safety limit
-    });
-    
-    console.log(`  📝 Transaction submitted: ${tx.hash}`);
-    console.log(`  ⏳ Waiting for confirmation...`);
-    
-    const receipt = await tx.wait();
-    
-    if (receipt.status === 1) {
-      // Parse event
-      const event = receipt.logs
-        .map(log => {
-          try {
-            return controller.interface.parseLog(log);
-          } catch {
-            return null;
-          }
-        })
-        .find(e => e && e.name === "TokensMinted");
-      
-      if (event) {
-        const amount = ethers.formatEther(event.args.amount);
-        const cost = ethers.formatUnits(event.args.cost, quoteDecimals);
-        const epochId = event.args.epochId.toString();
-        
-        stats.mintsExecuted++;
-        stats.totalTokensMinted += parseFloat(amount);
-        stats.totalSpent += parseFloat(cost); // Generic spending tracker
-        stats.lastMintTime = new Date();
-        
-        console.log(`  ✅ MINT SUCCESSFUL!`);
-        console.log(`  Tokens: ${amount} | Cost: ${cost} ${quoteSymbol} | Epoch: ${epochId}`);
-        console.log(`  TX: https://basescan.org/tx/${receipt.hash}`);
+      if (!standby) {
+        await txManager.resumePending(settlePendingTx);
+        continue;
       }
-    } else {
-      console.log(`  ❌ Transaction failed`);
-      stats.errors++;
-    }
-    
-  } catch (error) {
-    stats.errors++;
-    
-    if (error.message.includes("Auto mining disabled")) {
-      console.log("⏸️  Auto mining disabled");
-    } else if (error.message.includes("Cooldown active")) {
-      console.log("⏳ Cooldown active, waiting...");
-    } else if (error.message.includes("Price too high")) {
-      console.log("⛔ Price too high and time condition not met, waiting for better opportunity...");
-    } else if (error.message.includes("Insufficient quote token balance")) {
-      console.log("❌ Insufficient quote token balance. Please fund the controller with WETH!");
-    } else {
-      console.error(`❌ Error during check: ${error.message}`);
+      const address = await txManager.getAddress();
+      for (const { nonce, hash, meta } of await txManager.listUnwatched()) {
+        if (standbyReported.has(`${address}:${nonce}`)) continue;
+        standbyReported.add(`${address}:${nonce}`);
+        logger.info(`🧍 Standby: pending ${meta.action || "mine"} tx nonce ${nonce} (${hash}) is left to the leader`, {
+          event: "tx_pending_standby",
+          controller: meta.controller,
+          nonce,
+          txHash: hash,
+        });
+      }
+    } catch (error) {
+      logger.warn(`⚠️  Could not check pending transactions: ${error.message}`, { event: "tx_resume_failed", error });
     }
   }
 }
 
 /**
- * Display statistics
+ * Health across all controllers; unhealthy if any controller is
  */
-function displayStats() {
-  const uptime = Math.floor((Date.now() - stats.startTime) / 1000);
-  const hours = Math.floor(uptime / 3600);
-  const minutes = Math.floor((uptime % 3600) / 60);
-  const seconds = uptime % 60;
-  
-  console.log("\n📊 Statistics:");
-  console.log(`  Uptime: ${hours}h ${minutes}m ${seconds}s`);
-  console.log(`  Checks: ${stats.checksPerformed}`);
-  console.log(`  Mints: ${stats.mintsExecuted}`);
-  console.log(`  Tokens Minted: ${stats.totalTokensMinted.toFixed(2)}`);
-  console.log(`  Total Spent: ${stats.totalSpent.toFixed(4)} (quote token)`);
-  console.log(`  Errors: ${stats.errors}`);
-  if (stats.lastMintTime) {
-    console.log(`  Last Mint: ${stats.lastMintTime.toLocaleString()}`);
+function getHealth() {
+  const controllers = monitors.map((monitor) => ({ name: monitor.name, controller: monitor.address, ...monitor.getHealth() }));
+  return { healthy: controllers.every((c) => c.healthy), controllers };
+}
+
+/**
+ * Merge per-controller metric families by name, plus RPC endpoint health
+ */
+function getMetrics() {
+  const families = new Map();
+  for (const monitor of monitors) {
+    for (const family of monitor.getMetrics()) {
+      if (families.has(family.name)) {
+        families.get(family.name).samples.push(...family.samples);
+      } else {
+        families.set(family.name, { ...family, samples: [...family.samples] });
+      }
+    }
   }
-  console.log("");
+  const endpoints = provider.getEndpointHealth();
+  const rpcFamily = (name, help, type, value) => ({
+    name,
+    help,
+    type,
+    samples: endpoints.map((e) => ({ labels: { endpoint: e.endpoint }, value: value(e) })),
+  });
+  const leaderFamilies = election.enabled
+    ? [{
+      name: "franchiser_leader",
+      help: "1 while this instance holds the leader lease",
+      type: "gauge",
+      samples: [{ labels: { instance: election.id }, value: Number(election.isLeader()) }],
+    }]
+    : [];
+  return [
+    ...families.values(),
+    ...leaderFamilies,
+    rpcFamily("franchiser_rpc_endpoint_score", "RPC endpoint health score (0-1)", "gauge", (e) => e.score),
+    rpcFamily("franchiser_rpc_endpoint_available", "1 if the RPC endpoint is not backing off", "gauge", (e) => Number(e.available)),
+    rpcFamily("franchiser_rpc_errors_total", "Failed requests per RPC endpoint", "counter", (e) => e.errors),
+  ];
 }
 
 /**
- * Main monitoring loop
+ * Poll one controller on its own schedule. Each controller runs in its own
+ * loop so a slow or failing rig never delays the others.
  */
-async function run() {
-  await initialize();
-  
-  isRunning = true;
-  
+async function runMonitorLoop(monitor) {
   // Display stats every 10 checks
   let checkCounter = 0;
   
   while (isRunning) {
-    await checkAndMine();
+    try {
+      await resumePendingTxs();
+      await monitor.checkAndMine();
+    } catch (error) {
+      logger.error(`❌ [${monitor.name}] Unexpected error: ${error.message}`, {
+        event: "loop_error",
+        controller: monitor.address,
+        name: monitor.name,
+        error,
+      });
+    }
     
     checkCounter++;
     if (checkCounter >= 10) {
-      displayStats();
+      monitor.displayStats();
       checkCounter = 0;
     }
     
-    // Wait for next poll
-    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    // Wait for the next predicted opportunity (or poll interval)
+    await monitor.waitForNextCheck();
   }
 }
 
+/**
+ * Main monitoring loop
+ */
+async function run() {
+  await initialize();
+  
+  // Status server disabled unless HTTP_PORT is set
+  const httpPort = config.values.HTTP_PORT;
+  const httpHost = config.values.HTTP_HOST || "127.0.0.1";
+  if (httpPort) {
+    statusServer = await startStatusServer({
+      port: httpPort,
+      host: httpHost,
+      getHealth,
+      getStatus: () => ({
+        controllers: monitors.map((monitor) => monitor.getStatusSnapshot()),
+        leader: election.status(),
+        rpc: provider.getEndpointHealth(),
+      }),
+      getMetrics,
+    });
+    logger.info(`🩺 Status server listening on http://${httpHost}:${httpPort} (/health, /status, /metrics)\n`, {
+      event: "status_server",
+      host: httpHost,
+      port: httpPort,
+    });
+  }
+  
+  isRunning = true;
+  
+  await Promise.all(monitors.map(runMonitorLoop));
+}
+
 /**
  * Graceful shutdown
  */
-function shutdown() {
-  console.log("\n\n🛑 Shutting down...");
+async function shutdown() {
+  logger.info("\n\n🛑 Shutting down...", { event: "shutdown" });
   isRunning = false;
-  displayStats();
-  console.log("👋 Goodbye!");
+  if (statusServer) {
+    statusServer.close();
+  }
+  for (const monitor of monitors) {
+    monitor.stop();
+    monitor.displayStats();
+  }
+  // Hand the lease over so a standby takes over at its next renewal instead of after the TTL
+  if (election) {
+    await election.stop();
+  }
+  logger.info("👋 Goodbye!", { event: "stopped" });
   process.exit(0);
 }
 
@@ -355,16 +417,20 @@ process.on("SIGTERM", shutdown);
 
 // Handle errors
 process.on("unhandledRejection", (error) => {
-  console.error("❌ Unhandled error:", error);
-  stats.errors++;
+  logger.error(`❌ Unhandled error: ${error && error.stack ? error.stack : error}`, { event: "unhandled_rejection", error });
 });
 
 // Start
 if (require.main === module) {
   run().catch((error) => {
-    console.error("❌ Fatal error:", error);
+    // Configuration problems are already explained; no stack trace needed
+    logger.error(`❌ Fatal error: ${["INVALID_CONFIG", "CHAIN_MISMATCH"].includes(error.code) ? error.message : error.stack || error}`, {
+      event: "fatal",
+      code: error.code,
+      error,
+    });
     process.exit(1);
   });
 }
 
-module.exports = { run, stats };
+module.exports = { run, getMonitors: () => monitors, getLedger: () => ledger };
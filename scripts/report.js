@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * Historical mining report
+ * Scans a controller's events (mines, config updates, withdrawals) over a
+ * block range and prints a summary, or exports the mines as CSV / the full
+ * report as JSON.
+ *
+ * Usage: npm run report -- [options]
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const dotenv = require("dotenv");
+const { CONTROLLER_ABI, RIG_ABI, ERC20_ABI } = require("./lib/abis");
+const { createProvider } = require("./lib/rpc");
+const { loadConfig, verifyChain } = require("./lib/config");
+const {
+  openHistoryCache,
+  findDeploymentBlock,
+  scanEvents,
+  joinMines,
+  summarize,
+  minesToCsv,
+  DEFAULT_CACHE_DIR,
+  DEFAULT_CHUNK_SIZE,
+} = require("./lib/history");
+
+dotenv.config();
+
+const MAX_DAYS_SHOWN = 31;
+
+const USAGE = `Usage: npm run report -- [options]
+
+Options:
+  --controller <addr>   Controller (default: CONTROLLER_ADDRESS)
+  --from <block>        First block (default: the controller's deployment block)
+  --to <block>          Last block (default: latest)
+  --chunk <blocks>      Blocks per getLogs request (default ${DEFAULT_CHUNK_SIZE}; halved automatically
+                        when the RPC refuses the range)
+  --csv [file]          Write the mines as CSV (to stdout without a file)
+  --json [file]         Write the full report as JSON (to stdout without a file)
+  --cache <dir>         Scan progress cache (default ${DEFAULT_CACHE_DIR})
+  --refresh             Ignore the cache and scan the whole range again`;
+
+/**
+ * Parse `--key value --flag --key=value`
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) {
+      options[key] = inline;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      options[key] = argv[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+  for (const key of ["from", "to", "chunk"]) {
+    if (options[key] !== undefined && !/^\d+$/.test(String(options[key]))) {
+      throw new Error(`--${key}: expected a block number (got "${options[key]}")`);
+    }
+  }
+  if (options.chunk !== undefined && Number(options.chunk) < 1) {
+    throw new Error("--chunk: expected at least 1 block");
+  }
+  return options;
+}
+
+/**
+ * Progress on stderr, redrawn in place on a terminal
+ */
+function progressLogger() {
+  let lastDraw = 0;
+  return ({ to, target, found, chunkSize }) => {
+    const line = `🔎 Scanned to block ${to} of ${target} (${found} new events, ${chunkSize} blocks per request)`;
+    if (process.stderr.isTTY) {
+      if (Date.now() - lastDraw > 200 || to === target) {
+        process.stderr.write(`\r\x1b[K${line}${to === target ? "\n" : ""}`);
+        lastDraw = Date.now();
+      }
+    } else if (to === target) {
+      process.stderr.write(`${line}\n`);
+    }
+  };
+}
+
+const formatTime = (time) => new Date(time * 1000).toISOString().replace("T", " ").slice(0, 19);
+
+/**
+ * Summary lines for the terminal
+ */
+function renderSummary(report, quote, tokenSymbols) {
+  const { summary } = report;
+  const formatQuote = (value) => `${ethers.formatUnits(value, quote.decimals)} ${quote.symbol}`;
+  const lines = [
+    "📜 Mining Report",
+    "",
+    `📍 Controller: ${report.controller}`,
+    `🧱 Blocks: ${report.fromBlock} - ${report.toBlock}`,
+    "",
+  ];
+
+  if (summary.mines === 0) {
+    lines.push("⛏️  Mines: none in this range");
+  } else {
+    lines.push(`⛏️  Mines: ${summary.mines} (${formatTime(summary.firstMine)} - ${formatTime(summary.lastMine)} UTC)`);
+    lines.push(`💰 Price: avg ${formatQuote(summary.price.average)} | min ${formatQuote(summary.price.min)} | max ${formatQuote(summary.price.max)}`);
+    lines.push(`  Total Spent: ${formatQuote(summary.spent)}`);
+    const l1 = summary.l1FeeMines === summary.mines
+      ? `incl. ${ethers.formatEther(summary.l1Fee)} ETH L1 data fee`
+      : summary.l1FeeMines === 0
+        ? "L2 execution only, the node reports no L1 data fee"
+        : `L1 data fee reported for ${summary.l1FeeMines} of ${summary.mines} mines`;
+    lines.push(`⛽ Gas: ${ethers.formatEther(summary.gasCost)} ETH (${l1}; ${summary.gasUsed} units, avg ${ethers.formatEther(summary.gasCost / BigInt(summary.mines))} ETH per mine)`);
+
+    const days = Object.entries(summary.perDay);
+    lines.push("", `📅 Mines per day (UTC)${days.length > MAX_DAYS_SHOWN ? `, last ${MAX_DAYS_SHOWN} of ${days.length}` : ""}:`);
+    for (const [date, bucket] of days.slice(-MAX_DAYS_SHOWN)) {
+      lines.push(`  ${date}  ${String(bucket.mines).padStart(4)} mine(s)  ${formatQuote(bucket.spent)}  gas ${ethers.formatEther(bucket.gasCost)} ETH`);
+    }
+  }
+
+  lines.push("", `💸 Withdrawals: ${summary.withdrawals.length}`);
+  if (summary.withdrawnEth > 0n) {
+    lines.push(`  ETH: ${ethers.formatEther(summary.withdrawnEth)}`);
+  }
+  for (const [token, amount] of Object.entries(summary.withdrawnTokens)) {
+    const info = tokenSymbols[token] || { symbol: token, decimals: 18 };
+    lines.push(`  ${info.symbol}: ${ethers.formatUnits(amount, info.decimals)}`);
+  }
+  lines.push(`⚙️  Config updates: ${summary.configUpdates} | Rig changes: ${summary.rigUpdates} | Emergency stops: ${summary.emergencyStops}`);
+  return lines;
+}
+
+/**
+ * Symbol and decimals of each withdrawn token (address shown when unreadable)
+ */
+async function readTokenInfo(provider, tokens) {
+  const info = {};
+  for (const token of tokens) {
+    const contract = new ethers.Contract(token, ERC20_ABI, provider);
+    info[token] = {
+      symbol: await contract.symbol().catch(() => token),
+      decimals: Number(await contract.decimals().catch(() => 18n)),
+    };
+  }
+  return info;
+}
+
+function writeOutput(target, content) {
+  if (target === true) {
+    process.stdout.write(content);
+  } else {
+    fs.writeFileSync(target, content);
+    console.error(`💾 Wrote ${target}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const config = loadConfig();
+  const address = options.controller || config.values.CONTROLLER_ADDRESS;
+  if (!address || !ethers.isAddress(address)) {
+    throw new Error("CONTROLLER_ADDRESS not set in .env (or pass --controller <addr>)");
+  }
+  const provider = createProvider(config.env, { settings: config.rpc, log: (message) => console.error(message) });
+  const network = await verifyChain(provider, config);
+  const controller = new ethers.Contract(address, CONTROLLER_ABI, provider);
+
+  const latest = await provider.getBlockNumber();
+  const toBlock = options.to !== undefined ? Math.min(Number(options.to), latest) : latest;
+  const cache = openHistoryCache(options.cache || DEFAULT_CACHE_DIR, {
+    chainId: Number(network.chainId),
+    controller: address,
+    refresh: Boolean(options.refresh),
+  });
+  let fromBlock = options.from !== undefined ? Number(options.from) : cache.data.fromBlock;
+  if (fromBlock === null) {
+    console.error("🔎 Looking up the controller's deployment block...");
+    fromBlock = await findDeploymentBlock(provider, address, latest);
+  }
+  if (fromBlock > toBlock) {
+    throw new Error(`--from ${fromBlock} is after --to ${toBlock}`);
+  }
+
+  const records = await scanEvents({
+    controller,
+    cache,
+    fromBlock,
+    toBlock,
+    latest,
+    chunkSize: Number(options.chunk || DEFAULT_CHUNK_SIZE),
+    onProgress: progressLogger(),
+  });
+  const mines = await joinMines(provider, cache, records);
+  const summary = summarize(mines, records);
+
+  const quote = { address: null, symbol: "???", decimals: 18 };
+  try {
+    quote.address = await new ethers.Contract(await controller.targetRig(), RIG_ABI, provider).quote();
+    const token = new ethers.Contract(quote.address, ERC20_ABI, provider);
+    quote.symbol = await token.symbol();
+    quote.decimals = Number(await token.decimals());
+  } catch (error) {
+    console.error("⚠️  Could not read the rig's quote token; amounts assume 18 decimals");
+  }
+
+  const report = { controller: address, chainId: Number(network.chainId), fromBlock, toBlock, quoteToken: quote, summary, mines, events: records };
+  if (options.csv) {
+    writeOutput(options.csv, minesToCsv(mines, quote.decimals));
+  }
+  if (options.json) {
+    writeOutput(options.json, JSON.stringify(report, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2) + "\n");
+  }
+  // The summary goes to stdout unless an export already does
+  if (options.csv !== true && options.json !== true) {
+    const tokenSymbols = await readTokenInfo(provider, Object.keys(summary.withdrawnTokens));
+    console.log(renderSummary(report, quote, tokenSymbols).join("\n"));
+  }
+}
+
+main().catch((error) => {
+  console.error(`\n❌ ${error.message}`);
+  if (error.code) {
+    console.error(`   Error code: ${error.code}`);
+  }
+  process.exit(1);
+});
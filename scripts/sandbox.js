@@ -0,0 +1,443 @@
+#!/usr/bin/env node
+/**
+ * Local Sandbox
+ * Starts anvil, deploys MockRig + FranchiserController from the forge
+ * artifacts, funds the controller with the mock quote token and runs the
+ * monitor against it while scripted scenarios move the rig's price, epoch and
+ * the chain's clock. Nothing touches a real network or real funds.
+ *
+ * Usage:
+ *   npm run sandbox                      Run every scenario
+ *   npm run sandbox -- price-dip ...     Run the named scenarios
+ *   npm run sandbox -- --list            List scenarios
+ *   npm run sandbox -- --manual          Deploy, start the monitor and leave it running (Ctrl-C to stop)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { ethers } = require("ethers");
+const { SCHEMA } = require("./lib/config");
+const { SCENARIOS } = require("./lib/sandbox-scenarios");
+const { loadArtifact, ensureArtifacts } = require("./lib/artifacts");
+
+const ROOT = path.resolve(__dirname, "..");
+const ARTIFACTS_DIR = path.resolve(ROOT, process.env.SANDBOX_ARTIFACTS_DIR || "out");
+const ANVIL_PORT = parseInt(process.env.SANDBOX_PORT || "8546");
+const EXTERNAL_RPC = process.env.SANDBOX_RPC_URL; // Use an already running dev node instead of starting anvil
+const STATE_DIR = path.join(ROOT, "data", "sandbox");
+const POLL_INTERVAL_MS = 2000;
+
+// anvil's well-known development accounts (never use them anywhere else)
+const OWNER_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const MANAGER_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+const RECIPIENT = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let anvil = null;
+let monitor = null;
+
+async function startChain() {
+  if (EXTERNAL_RPC) {
+    console.log(`⛓️  Using dev node at ${EXTERNAL_RPC}`);
+    return EXTERNAL_RPC;
+  }
+  const url = `http://127.0.0.1:${ANVIL_PORT}`;
+  anvil = spawn("anvil", ["--port", String(ANVIL_PORT), "--chain-id", "31337", "--silent"], { stdio: "ignore" });
+  anvil.on("error", (error) => {
+    console.error(`❌ Could not start anvil: ${error.message} (install Foundry: https://book.getfoundry.sh)`);
+    process.exit(1);
+  });
+  const provider = new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true });
+  for (let i = 0; i < 50; i++) {
+    try {
+      await provider.send("eth_chainId", []);
+      console.log(`⛓️  anvil listening on ${url}`);
+      return url;
+    } catch (error) {
+      await sleep(200);
+    }
+  }
+  throw new Error(`anvil did not start on port ${ANVIL_PORT}`);
+}
+
+/**
+ * Dev-node helpers that differ between anvil, hardhat and ganache
+ */
+function createChainControl(provider) {
+  const tryMethods = async (calls) => {
+    let lastError;
+    for (const [method, params] of calls) {
+      try {
+        return await provider.send(method, params);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  };
+  return {
+    setBalance: (address, wei) => tryMethods([
+      ["anvil_setBalance", [address, ethers.toQuantity(wei)]],
+      ["evm_setAccountBalance", [address, ethers.toQuantity(wei)]],
+    ]),
+    setAutomine: (enabled) => tryMethods([
+      ["evm_setAutomine", [enabled]],
+      [enabled ? "miner_start" : "miner_stop", []],
+    ]),
+    increaseTime: async (seconds) => {
+      await provider.send("evm_increaseTime", [ethers.toQuantity(seconds)]);
+      await provider.send("evm_mine", []);
+    },
+    mine: () => provider.send("evm_mine", []),
+    pendingFrom: async (address) => {
+      const pool = await provider.send("txpool_content", []);
+      const entry = Object.entries(pool.pending || {}).find(([from]) => from.toLowerCase() === address.toLowerCase());
+      return entry ? Object.values(entry[1]) : [];
+    },
+  };
+}
+
+/**
+ * Fresh MockWETH / MockERC20 / MockRig / FranchiserController for one scenario
+ */
+async function deployStack(provider, owner, manager) {
+  const deploy = async (source, contract, ...args) => {
+    const { abi, bytecode } = loadArtifact(ARTIFACTS_DIR, source, contract);
+    const instance = await new ethers.ContractFactory(abi, bytecode, owner).deploy(...args);
+    await instance.waitForDeployment();
+    return instance;
+  };
+  const quote = await deploy("MockRig", "MockWETH");
+  const unit = await deploy("MockRig", "MockERC20", "Sandbox Unit", "UNIT");
+  const rig = await deploy("MockRig", "MockRig", await quote.getAddress(), await unit.getAddress());
+  const controller = await deploy(
+    "FranchiserController", "FranchiserController",
+    await rig.getAddress(), await owner.getAddress(), manager.address, ethers.parseEther("0.001"), 1000
+  );
+  await (await quote.mint(await controller.getAddress(), ethers.parseEther("1"))).wait();
+  return { quote, unit, rig, controller };
+}
+
+/**
+ * Monitor environment: every setting the config layer knows is pinned here,
+ * so nothing from the developer's .env (real keys, webhooks) leaks in
+ */
+function monitorEnv(rpcUrl, chainId, stack, name) {
+  const env = { ...process.env };
+  for (const key of [...Object.keys(SCHEMA), "CONFIG_FILE", "CREDENTIALS_DIRECTORY"]) {
+    env[key] = "";
+  }
+  return Object.assign(env, {
+    NETWORK: "local",
+    CHAIN_ID: String(chainId),
+    LOCAL_RPC_URL: rpcUrl,
+    CONTROLLER_ADDRESS: stack.controllerAddress,
+    MANAGER_PRIVATE_KEY: MANAGER_KEY,
+    MANAGER_SIGNER: "env",
+    RECIPIENT_ADDRESS: RECIPIENT,
+    EPOCH_URI: "sandbox://{controller}/epoch/{epochId}?price={price}",
+    SCHEDULER: "fixed",
+    POLL_INTERVAL: String(POLL_INTERVAL_MS),
+    AUTO_WRAP: "false",
+    LEDGER_PATH: stack.ledgerPath,
+    TX_STATE_PATH: path.join(STATE_DIR, `${name}-pending-txs.json`),
+    TX_TIMEOUT: "30000",
+  });
+}
+
+function startMonitor(env, echo) {
+  const child = spawn(process.execPath, [path.join(__dirname, "monitor.js")], { cwd: ROOT, env, stdio: ["ignore", "pipe", "pipe"] });
+  const forward = (stream) => {
+    let buffer = "";
+    stream.on("data", (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (echo && line.trim()) console.log(`    │ ${line}`);
+      }
+    });
+  };
+  forward(child.stdout);
+  forward(child.stderr);
+  return child;
+}
+
+async function stopMonitor() {
+  if (!monitor) return;
+  const child = monitor;
+  monitor = null;
+  if (child.exitCode !== null) return;
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  child.kill("SIGINT");
+  await Promise.race([exited, sleep(5000)]);
+  if (child.exitCode === null) child.kill("SIGKILL");
+}
+
+/**
+ * What has happened on the controller since `fromBlock`
+ */
+async function observe(provider, stack, managerAddress, fromBlock) {
+  const mined = await stack.controller.queryFilter("TokensMinted", fromBlock);
+  const nonce = await provider.getTransactionCount(managerAddress, "latest");
+  let failed = 0;
+  const latest = await provider.getBlockNumber();
+  for (let n = fromBlock; n <= latest; n++) {
+    const block = await provider.getBlock(n, true);
+    for (const tx of block.prefetchedTransactions) {
+      if (tx.from.toLowerCase() !== managerAddress.toLowerCase()) continue;
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      if (receipt && receipt.status === 0) failed++;
+    }
+  }
+  return { mined: mined.length, nonce, failed };
+}
+
+/**
+ * Run one step; returns a failure message or null
+ */
+async function runStep(step, ctx) {
+  const { provider, chain, stack, owner, manager } = ctx;
+  const amount = (value) => ethers.parseEther(value); // mock tokens use 18 decimals
+
+  if (step.do) {
+    switch (step.do) {
+      case "setPrice":
+        await (await stack.rig.setPrice(amount(step.price))).wait();
+        break;
+      case "setEpoch":
+        await (await stack.rig.setEpoch((await stack.rig.epochId()) + BigInt(step.delta ?? 1))).wait();
+        break;
+      case "setEpochUps":
+        await (await stack.rig.setEpochUps(amount(step.ups))).wait();
+        break;
+      case "increaseTime":
+        await chain.increaseTime(step.seconds);
+        break;
+      case "fund":
+        await (await stack.quote.mint(stack.controllerAddress, amount(step.amount))).wait();
+        break;
+      case "withdrawQuote": {
+        const balance = await stack.quote.balanceOf(stack.controllerAddress);
+        const value = step.amount === "all" ? balance : amount(step.amount);
+        const withdraw = new ethers.Contract(stack.controllerAddress, ["function withdrawTokens(address token, address to, uint256 amount)"], owner);
+        await (await withdraw.withdrawTokens(await stack.quote.getAddress(), await owner.getAddress(), value)).wait();
+        break;
+      }
+      case "competitorFrontruns": {
+        // The competitor pays for its mine like any other miner
+        const rigAddress = await stack.rig.getAddress();
+        await (await stack.quote.mint(await owner.getAddress(), amount("1"))).wait();
+        await (await stack.quote.approve(rigAddress, ethers.MaxUint256)).wait();
+        await chain.setAutomine(false);
+        try {
+          if (step.advance) await chain.increaseTime(step.advance);
+          let pending = [];
+          for (let waited = 0; pending.length === 0; waited += 250) {
+            if (waited > 30000) return "the monitor sent no mine transaction within 30s";
+            await sleep(250);
+            pending = await chain.pendingFrom(manager.address);
+          }
+          // Out-bid the monitor's tip so both competitor txs are ordered first
+          const theirs = pending[0];
+          const tip = BigInt(theirs.maxPriorityFeePerGas || theirs.gasPrice) * 2n + ethers.parseUnits("1", "gwei");
+          const block = await provider.getBlock("latest");
+          const fees = { maxPriorityFeePerGas: tip, maxFeePerGas: (block.baseFeePerGas || 0n) * 2n + tip, gasLimit: 200000n };
+          const epoch = await stack.rig.epochId();
+          await stack.rig.mine(await owner.getAddress(), epoch, ethers.MaxUint256, ethers.MaxUint256, "", fees);
+          await stack.rig.setPrice(amount(step.price), fees);
+          await chain.mine();
+        } finally {
+          await chain.setAutomine(true);
+        }
+        break;
+      }
+      default:
+        return `unknown action "${step.do}"`;
+    }
+    return null;
+  }
+
+  const start = ctx.baseline;
+  const seconds = step.within ?? step.for ?? 20;
+  const deadline = Date.now() + seconds * 1000;
+  for (;;) {
+    const now = await observe(provider, stack, manager.address, start.block + 1);
+    switch (step.expect) {
+      case "mined":
+        if (now.mined > 0) return null;
+        break;
+      case "failedTx":
+        if (now.failed > 0) return null;
+        break;
+      case "recorded":
+        if (ledgerEntries(stack.ledgerPath).some((entry) => entry.type === step.entry)) return null;
+        break;
+      case "idle":
+        if (now.mined > 0) return "mined unexpectedly";
+        if (now.nonce > start.nonce) return "the monitor sent a transaction";
+        break;
+      default:
+        return `unknown expectation "${step.expect}"`;
+    }
+    if (Date.now() >= deadline) {
+      const missing = { mined: "mine", failedTx: "reverted manager tx", recorded: `"${step.entry}" ledger entry` }[step.expect];
+      return step.expect === "idle" ? null : `no ${missing} within ${seconds}s`;
+    }
+    await sleep(500);
+  }
+}
+
+/**
+ * Entries the monitor wrote to the scenario's ledger
+ */
+function ledgerEntries(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map((line) => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      return {}; // Line still being written
+    }
+  });
+}
+
+const describeStep = (step) => {
+  const { do: action, expect, note, ...args } = step;
+  const params = Object.entries(args).map(([key, value]) => `${key}=${value}`).join(" ");
+  return `${action ? `▶ ${action}` : `⏱️  expect ${expect}`}${params ? ` ${params}` : ""}${note ? ` — ${note}` : ""}`;
+};
+
+async function runScenario(name, ctx) {
+  const scenario = SCENARIOS[name];
+  console.log(`\n🎬 ${name}: ${scenario.description}`);
+
+  const stack = await deployStack(ctx.provider, ctx.owner, ctx.manager);
+  stack.controllerAddress = await stack.controller.getAddress();
+  stack.ledgerPath = path.join(STATE_DIR, `${name}-ledger.jsonl`);
+  console.log(`  📍 Controller ${stack.controllerAddress}, rig ${await stack.rig.getAddress()}`);
+
+  monitor = startMonitor(monitorEnv(ctx.rpcUrl, ctx.chainId, stack, name), ctx.verbose);
+  const scenarioCtx = { ...ctx, stack };
+  const started = Date.now();
+  let failure = null;
+  try {
+    for (const step of scenario.steps) {
+      // Expectations only look at what happens after the previous step
+      scenarioCtx.baseline = {
+        block: await ctx.provider.getBlockNumber(),
+        nonce: await ctx.provider.getTransactionCount(ctx.manager.address, "latest"),
+      };
+      console.log(`  ${describeStep(step)}`);
+      const problem = await runStep(step, scenarioCtx);
+      if (problem) {
+        failure = `${describeStep(step)}: ${problem}`;
+        console.log(`    ❌ ${problem}`);
+        break;
+      }
+      if (step.expect) console.log(`    ✅ ok`);
+    }
+  } finally {
+    await stopMonitor();
+  }
+  const took = ((Date.now() - started) / 1000).toFixed(1);
+  console.log(failure ? `  ❌ ${name} failed after ${took}s` : `  ✅ ${name} passed in ${took}s`);
+  return failure;
+}
+
+async function manual(ctx) {
+  const stack = await deployStack(ctx.provider, ctx.owner, ctx.manager);
+  stack.controllerAddress = await stack.controller.getAddress();
+  stack.ledgerPath = path.join(STATE_DIR, "manual-ledger.jsonl");
+  const rig = await stack.rig.getAddress();
+  console.log(`\n📍 Controller: ${stack.controllerAddress}`);
+  console.log(`🎯 MockRig:    ${rig}`);
+  console.log(`💰 Quote:      ${await stack.quote.getAddress()} (1 WETH funded)`);
+  console.log(`🔑 Owner key:  ${OWNER_KEY} (anvil account 0)`);
+  console.log(`\nMove the market from another terminal, e.g.:`);
+  console.log(`  cast send ${rig} "setPrice(uint256)" 2000000000000000 --rpc-url ${ctx.rpcUrl} --private-key ${OWNER_KEY}`);
+  console.log(`  cast rpc evm_increaseTime 3600 --rpc-url ${ctx.rpcUrl} && cast rpc evm_mine --rpc-url ${ctx.rpcUrl}`);
+  console.log(`  CONTROLLER_ADDRESS=${stack.controllerAddress} NETWORK=local CHAIN_ID=${ctx.chainId} LOCAL_RPC_URL=${ctx.rpcUrl} npm run status\n`);
+  monitor = startMonitor(monitorEnv(ctx.rpcUrl, ctx.chainId, stack, "manual"), true);
+  await new Promise((resolve) => monitor.once("exit", resolve));
+}
+
+function cleanup() {
+  if (monitor && monitor.exitCode === null) monitor.kill("SIGKILL");
+  if (anvil && anvil.exitCode === null) anvil.kill("SIGTERM");
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--list")) {
+    for (const [name, scenario] of Object.entries(SCENARIOS)) {
+      console.log(`${name.padEnd(14)} ${scenario.description}`);
+    }
+    return 0;
+  }
+  const names = args.filter((arg) => !arg.startsWith("--"));
+  const unknown = names.filter((name) => !SCENARIOS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scenario ${unknown.join(", ")} (available: ${Object.keys(SCENARIOS).join(", ")})`);
+  }
+
+  console.log("🧪 Auto-Mine Franchiser Sandbox\n");
+  ensureArtifacts(ARTIFACTS_DIR);
+  fs.rmSync(STATE_DIR, { recursive: true, force: true });
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+
+  const rpcUrl = await startChain();
+  const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { pollingInterval: 250 });
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const chain = createChainControl(provider);
+  for (const key of [OWNER_KEY, MANAGER_KEY]) {
+    await chain.setBalance(new ethers.Wallet(key).address, ethers.parseEther("100"));
+  }
+  const ctx = {
+    rpcUrl,
+    chainId,
+    provider,
+    chain,
+    owner: new ethers.NonceManager(new ethers.Wallet(OWNER_KEY, provider)),
+    manager: new ethers.Wallet(MANAGER_KEY, provider),
+    verbose: args.includes("--verbose") || args.includes("--manual"),
+  };
+
+  if (args.includes("--manual")) {
+    await manual(ctx);
+    return 0;
+  }
+
+  const failures = [];
+  for (const name of names.length > 0 ? names : Object.keys(SCENARIOS)) {
+    const failure = await runScenario(name, ctx);
+    if (failure) failures.push(`${name}: ${failure}`);
+  }
+
+  console.log(`\n📋 ${(names.length || Object.keys(SCENARIOS).length) - failures.length} passed, ${failures.length} failed`);
+  for (const failure of failures) {
+    console.log(`  ❌ ${failure}`);
+  }
+  if (failures.length > 0 && !ctx.verbose) {
+    console.log("  (re-run with --verbose to see the monitor output)");
+  }
+  return failures.length > 0 ? 1 : 0;
+}
+
+process.on("SIGINT", () => {
+  cleanup();
+  process.exit(130);
+});
+
+main()
+  .then((code) => {
+    cleanup();
+    process.exit(code);
+  })
+  .catch((error) => {
+    console.error(`\n❌ ${error.message}`);
+    cleanup();
+    process.exit(1);
+  });
@@ -162,3 +162,16 @@ contract MockERC20 is IERC20 {
         return true;
     }
 }
+
+/**
+ * @title MockWETH
+ * @notice MockERC20 with WETH-style deposit for testing ETH wrapping
+ */
+contract MockWETH is MockERC20 {
+    constructor() MockERC20("Wrapped Ether", "WETH") {}
+    
+    function deposit() external payable {
+        balanceOf[msg.sender] += msg.value;
+        totalSupply += msg.value;
+    }
+}
@@ -35,6 +35,7 @@ contract FranchiserControllerTest is Test {
     event ETHWithdrawn(address indexed to, uint256 amount);
     event TokensWithdrawn(address indexed token, address indexed to, uint256 amount);
     event EmergencyStop(address indexed by);
+    event ETHWrapped(address indexed quoteToken, uint256 amount);
     
     function setUp() public {
         owner = address(this);
@@ -293,4 +294,66 @@ contract FranchiserControllerTest is Test {
         vm.expectRevert();
         controller.withdrawTokens(address(quoteToken), manager, 10 ether);
     }
+    
+    function _useWethRig() internal returns (MockWETH weth) {
+        weth = new MockWETH();
+        MockERC20 unitToken = new MockERC20("Test Unit", "TEST");
+        MockRig wethRig = new MockRig(address(weth), address(unitToken));
+        controller.updateTargetRig(address(wethRig));
+    }
+    
+    function testWrapETH() public {
+        MockWETH weth = _useWethRig();
+        (bool success, ) = address(controller).call{value: 1 ether}("");
+        require(success, "ETH transfer failed");
+        
+        vm.expectEmit(true, true, true, true);
+        emit ETHWrapped(address(weth), 0.4 ether);
+        
+        vm.prank(manager);
+        controller.wrapETH(0.4 ether);
+        
+        assertEq(weth.balanceOf(address(controller)), 0.4 ether);
+        assertEq(address(controller).balance, 0.6 ether);
+    }
+    
+    function testWrapETHAll() public {
+        MockWETH weth = _useWethRig();
+        (bool success, ) = address(controller).call{value: 1 ether}("");
+        require(success, "ETH transfer failed");
+        
+        vm.prank(manager);
+        controller.wrapETH(0);
+        
+        assertEq(weth.balanceOf(address(controller)), 1 ether);
+        assertEq(address(controller).balance, 0);
+    }
+    
+    function testWrapETHNonManager() public {
+        _useWethRig();
+        (bool success, ) = address(controller).call{value: 1 ether}("");
+        require(success, "ETH transfer failed");
+        
+        vm.prank(user);
+        vm.expectRevert();
+        controller.wrapETH(0);
+    }
+    
+    function testWrapETHNoBalance() public {
+        _useWethRig();
+        
+        vm.prank(manager);
+        vm.expectRevert("No ETH to wrap");
+        controller.wrapETH(0);
+    }
+    
+    function testWrapETHNonWethQuote() public {
+        // Default quote token is a plain ERC20 without deposit()
+        (bool success, ) = address(controller).call{value: 1 ether}("");
+        require(success, "ETH transfer failed");
+        
+        vm.prank(manager);
+        vm.expectRevert();
+        controller.wrapETH(0);
+    }
 }
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const {
+  CONTRACT_DEFAULTS,
+  parseDuration,
+  parseMargin,
+  parseAmount,
+  applyConfigOptions,
+  configFields,
+  configArgs,
+} = require("../../scripts/lib/controller-config");
+
+test("parseDuration reads seconds and s/m/h/d suffixes", () => {
+  assert.equal(parseDuration("300", "cooldown"), 300n);
+  assert.equal(parseDuration("45s", "cooldown"), 45n);
+  assert.equal(parseDuration("5m", "cooldown"), 300n);
+  assert.equal(parseDuration("2h", "cooldown"), 7200n);
+  assert.equal(parseDuration("1d", "time-period"), 86400n);
+  for (const bad of ["", "5 m", "1.5h", "-1", "1w", "m"]) {
+    assert.throws(() => parseDuration(bad, "cooldown"), /--cooldown: expected a duration/);
+  }
+});
+
+test("parseMargin reads percent and basis points", () => {
+  assert.equal(parseMargin("10%"), 1000n);
+  assert.equal(parseMargin("10"), 1000n);
+  assert.equal(parseMargin("2.5%"), 250n);
+  assert.equal(parseMargin(" 0.01 "), 1n);
+  assert.equal(parseMargin("1000bps"), 1000n);
+  for (const bad of ["10.001%", "-5%", "abc", "10.5bps", "bps", "%"]) {
+    assert.throws(() => parseMargin(bad), /--min-profit: expected/);
+  }
+});
+
+test("parseAmount uses the token decimals", () => {
+  assert.equal(parseAmount("0.05", 18, "fund"), ethers.parseEther("0.05"));
+  assert.equal(parseAmount("1.5", 6, "max-price"), 1500000n);
+  assert.throws(() => parseAmount("0.0000001", 6, "max-price"), /--max-price: invalid amount "0.0000001"/);
+  assert.throws(() => parseAmount("lots", 18, "fund"), /--fund: invalid amount/);
+});
+
+test("applyConfigOptions changes only the given fields", () => {
+  const next = applyConfigOptions(CONTRACT_DEFAULTS, {
+    "max-price": "0.002",
+    "min-profit": "5%",
+    cooldown: "10m",
+    "max-gas": "2",
+    disable: true,
+  }, 18);
+  assert.deepEqual(next, {
+    ...CONTRACT_DEFAULTS,
+    maxMiningPrice: ethers.parseEther("0.002"),
+    minProfitMargin: 500n,
+    cooldownPeriod: 600n,
+    maxGasPrice: 2n,
+    autoMiningEnabled: false,
+  });
+  assert.deepEqual(applyConfigOptions(CONTRACT_DEFAULTS, {}, 18), CONTRACT_DEFAULTS);
+  assert.equal(applyConfigOptions({ ...CONTRACT_DEFAULTS, autoMiningEnabled: false }, { enable: true }, 18).autoMiningEnabled, true);
+  assert.throws(() => applyConfigOptions(CONTRACT_DEFAULTS, { enable: true, disable: true }, 18), /either --enable or --disable/);
+});
+
+test("--max-gas takes whole gwei above zero, as the contract stores it", () => {
+  assert.equal(applyConfigOptions(CONTRACT_DEFAULTS, { "max-gas": " 15 " }, 18).maxGasPrice, 15n);
+  for (const bad of ["0", "1.5", "10gwei", "-2", ""]) {
+    assert.throws(() => applyConfigOptions(CONTRACT_DEFAULTS, { "max-gas": bad }, 18), /--max-gas: expected a whole number of gwei above 0/);
+  }
+});
+
+test("configArgs follows the updateConfig argument order", () => {
+  const keys = configFields({ decimals: 18, symbol: "WETH" }).map(([key]) => key);
+  assert.deepEqual(keys, Object.keys(CONTRACT_DEFAULTS));
+  assert.deepEqual(configArgs(CONTRACT_DEFAULTS), Object.values(CONTRACT_DEFAULTS));
+});
+
+test("configFields formats values in human units", () => {
+  const format = Object.fromEntries(configFields({ decimals: 6, symbol: "USDC" }).map(([key, , fn]) => [key, fn]));
+  assert.equal(format.maxMiningPrice(1500000n), "1.5 USDC");
+  assert.equal(format.minProfitMargin(250n), "2.5% (250 bps)");
+  assert.equal(format.autoMiningEnabled(false), "DISABLED");
+  assert.equal(format.maxGasPrice(10n), "10 gwei");
+});
@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadControllers, checkControllers, findController } = require("../../scripts/lib/controllers");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "controllers-test-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const C1 = "0x08425D9Df219f93d5763c3e85204cb5B4cE33aAa";
+const C2 = "0xA10A3B175F0f2641Cf41912b887F77D8ef34FAe8";
+const R1 = "0x000000000000000000000000000000000000bEEF";
+const R2 = "0x000000000000000000000000000000000000cafE";
+const POOL = "0x2Ce636d6240f8955d085a896e12429f8B3c7db26";
+
+let files = 0;
+// Environment whose CONTROLLERS_FILE holds `content`
+const withFile = (content, env = {}) => {
+  const file = path.join(dir, `controllers-${++files}.json`);
+  fs.writeFileSync(file, JSON.stringify(content));
+  return { RECIPIENT_ADDRESS: R1, ...env, CONTROLLERS_FILE: file };
+};
+
+// The problems checkControllers reports for these entries
+const problemsOf = (entries) => {
+  try {
+    checkControllers(entries);
+    return [];
+  } catch (error) {
+    assert.equal(error.code, "INVALID_CONFIG");
+    return error.problems;
+  }
+};
+
+test("without CONTROLLERS_FILE the environment describes one controller", () => {
+  const [entry, ...rest] = loadControllers({
+    CONTROLLER_ADDRESS: C1,
+    RECIPIENT_ADDRESS: R1,
+    POLL_INTERVAL: "30000",
+    DEX_POOL_ADDRESS: POOL,
+    EXPECTED_HOLD_SECONDS: "600",
+    MAX_SPEND_PER_DAY: "0.5",
+  });
+  assert.equal(rest.length, 0);
+  assert.equal(entry.name, "default");
+  assert.equal(entry.address, C1);
+  assert.deepEqual(entry.recipients, [{ address: R1, weight: 1 }]);
+  assert.equal(entry.recipientPolicy, "fixed");
+  assert.equal(entry.pollInterval, 30000);
+  assert.equal(entry.signer, "MANAGER_PRIVATE_KEY");
+  assert.deepEqual(entry.market, { pool: POOL, poolType: "v2", holdSeconds: 600, gasUnits: undefined, gasPool: undefined, gasPoolType: undefined });
+  assert.equal(entry.spendPolicy.maxSpendPerDay, "0.5");
+});
+
+test("RECIPIENTS wins over the single recipient", () => {
+  const [entry] = loadControllers({ CONTROLLER_ADDRESS: C1, RECIPIENT_ADDRESS: R1, RECIPIENTS: `${R2}:2,${R1}`, RECIPIENT_POLICY: "weighted" });
+  assert.equal(entry.recipient, R2);
+  assert.deepEqual(entry.recipients, [{ address: R2, weight: 2 }, { address: R1, weight: 1 }]);
+  assert.equal(entry.recipientPolicy, "weighted");
+});
+
+test("file entries fall back to the file defaults, then the environment", () => {
+  const env = withFile({
+    defaults: { pollInterval: 15000, recipients: [R2], recipientPolicy: "round-robin", spendPolicy: { maxMinesPerDay: 4 } },
+    controllers: [
+      { name: "main", address: C1, signer: "SECOND_MANAGER_PRIVATE_KEY", spendPolicy: { maxMinesPerDay: null, priceCeiling: "0.01" } },
+      { address: C2, recipient: R1, pollInterval: 5000, market: { pool: POOL, poolType: "v3" } },
+    ],
+  }, { MAX_SPEND_PER_HOUR: "0.1" });
+  const [main, second] = loadControllers(env);
+
+  assert.equal(main.name, "main");
+  assert.equal(main.pollInterval, 15000);
+  assert.equal(main.signer, "SECOND_MANAGER_PRIVATE_KEY");
+  assert.deepEqual(main.recipients, [{ address: R2, weight: 1 }]);
+  assert.equal(main.recipientPolicy, "round-robin");
+  assert.equal(main.market, null);
+  // Each spendPolicy key replaces the environment's, and null lifts a limit
+  assert.equal(main.spendPolicy.maxSpendPerHour, "0.1");
+  assert.equal(main.spendPolicy.maxMinesPerDay, null);
+  assert.equal(main.spendPolicy.priceCeiling, "0.01");
+
+  assert.equal(second.name, "controller-1");
+  assert.equal(second.pollInterval, 5000);
+  assert.equal(second.signer, "MANAGER_PRIVATE_KEY");
+  // An entry's own recipient beats the defaults' list
+  assert.deepEqual(second.recipients, [{ address: R1, weight: 1 }]);
+  assert.equal(second.spendPolicy.maxMinesPerDay, 4);
+  assert.deepEqual(second.market, { pool: POOL, poolType: "v3" });
+});
+
+test("a controllers file needs a non-empty controllers array", () => {
+  assert.throws(() => loadControllers(withFile({ controllers: [] })), /"controllers" must be a non-empty array/);
+  assert.throws(() => loadControllers(withFile({ defaults: {} })), /"controllers" must be a non-empty array/);
+});
+
+test("checkControllers checksums addresses and market pools", () => {
+  const [entry] = checkControllers(loadControllers(withFile({
+    controllers: [{ address: C1.toLowerCase(), recipient: R1.toLowerCase(), market: { pool: POOL.toLowerCase(), gasPool: POOL.toLowerCase(), poolType: "V2" } }],
+  })));
+  assert.equal(entry.address, C1);
+  assert.equal(entry.recipient, R1);
+  assert.equal(entry.recipients[0].address, R1);
+  assert.equal(entry.market.pool, POOL);
+  assert.equal(entry.market.gasPool, POOL);
+});
+
+test("checkControllers reports every problem at once", () => {
+  const problems = problemsOf(loadControllers(withFile({
+    controllers: [
+      { name: "a", address: "0x1234", pollInterval: 500 },
+      { name: "a", address: C2, recipients: [R1, R1], recipientPolicy: "round-robin" },
+    ],
+  })));
+  assert.deepEqual(problems.sort(), [
+    'controller "a" address: not a valid address (got "0x1234")',
+    'controller "a" recipients: R1: listed twice',
+    'controller "a": duplicate name',
+    'controller "a": poll interval must be an integer of at least 1000 ms (got 500)',
+  ].map((p) => p.replace("R1", R1)).sort());
+});
+
+test("checkControllers rejects bad market settings from the file", () => {
+  const problems = problemsOf(loadControllers(withFile({
+    controllers: [{
+      name: "m",
+      address: C1,
+      market: { pool: "not-a-pool", poolType: "v4", gasPoolType: "curve", holdSeconds: 0, gasUnits: 1.5, slippage: 1 },
+    }],
+  })));
+  assert.ok(problems.includes('controller "m" market: unknown setting "slippage" (expected pool, poolType, holdSeconds, gasUnits, gasPool, gasPoolType)'), problems.join("\n"));
+  assert.ok(problems.includes('controller "m" market.poolType: expected one of v2, v3 (got "v4")'));
+  assert.ok(problems.includes('controller "m" market.gasPoolType: expected one of v2, v3 (got "curve")'));
+  assert.ok(problems.includes('controller "m" market.holdSeconds: expected a whole number of at least 1 (got 0)'));
+  assert.ok(problems.includes('controller "m" market.gasUnits: expected a whole number of at least 21000 (got 1.5)'));
+  assert.ok(problems.some((p) => p.startsWith('controller "m" market.pool: ')));
+});
+
+test("checkControllers rejects unknown spendPolicy keys from the file", () => {
+  const problems = problemsOf(loadControllers(withFile({
+    controllers: [{ name: "s", address: C1, spendPolicy: { maxSpendPerMonth: "1", maxMinesPerDay: 0 } }],
+  })));
+  assert.ok(problems.some((p) => p.startsWith('controller "s" spendPolicy: unknown setting "maxSpendPerMonth"')), problems.join("\n"));
+  assert.ok(problems.includes('controller "s" spendPolicy.maxMinesPerDay: expected a whole number of at least 1 (got "0")'));
+});
+
+test("environment problems are named after the variables", () => {
+  const problems = problemsOf(loadControllers({ CONTROLLER_ADDRESS: C1, DEX_POOL_ADDRESS: POOL, DEX_POOL_TYPE: "v9", MAX_MINES_PER_DAY: "0" }));
+  assert.ok(problems.includes("RECIPIENT_ADDRESS (or OWNER_ADDRESS): is required"), problems.join("\n"));
+  assert.ok(problems.includes('DEX_POOL_TYPE: expected one of v2, v3 (got "v9")'));
+  assert.ok(problems.includes('MAX_MINES_PER_DAY: expected a whole number of at least 1 (got "0")'));
+});
+
+test("findController matches addresses case-insensitively", () => {
+  const entries = loadControllers(withFile({ controllers: [{ name: "one", address: C1 }, { name: "two", address: C2 }] }));
+  assert.equal(findController(C2.toLowerCase(), entries).name, "two");
+  assert.equal(findController(R1, entries), null);
+});
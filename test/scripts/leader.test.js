@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFileLeaseBackend, createLeaderElection, leaderProblems } = require("../../scripts/lib/leader");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "leader-test-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let files = 0;
+const leasePath = () => path.join(dir, `lease-${++files}.json`);
+const HOUR = 3600 * 1000;
+
+test("leaderProblems wants the renew interval at most half the TTL", () => {
+  assert.deepEqual(leaderProblems({ backend: "none" }), []);
+  assert.deepEqual(leaderProblems({ backend: "file", path: "lease.json", ttlMs: 30000, renewIntervalMs: 15000 }), []);
+  assert.deepEqual(leaderProblems({ backend: "file", path: null, ttlMs: 30000, renewIntervalMs: 20000 }), [
+    "LEADER_LEASE_PATH: is required for the file lease backend",
+    "LEADER_RENEW_INTERVAL: must be at most half of LEADER_LEASE_TTL (20000 > 15000)",
+  ]);
+});
+
+test("the file lease goes to one holder until it expires", async () => {
+  const backend = createFileLeaseBackend(leasePath());
+  const a = await backend.acquire({ id: "a", ttlMs: 30000, now: Date.now() });
+  assert.equal(a.holder, "a");
+  assert.equal(a.term, 1);
+  assert.equal((await backend.acquire({ id: "b", ttlMs: 30000, now: Date.now() })).holder, "a");
+  assert.equal((await backend.acquire({ id: "a", ttlMs: 30000, now: Date.now() })).term, 1);
+
+  await backend.release({ id: "a" });
+  const b = await backend.acquire({ id: "b", ttlMs: 30000, now: Date.now() });
+  assert.equal(b.holder, "b");
+  assert.equal(b.term, 2);
+});
+
+test("the file lease is timed by the filesystem, not the caller's clock", async () => {
+  const backend = createFileLeaseBackend(leasePath());
+  // A host whose clock is an hour behind must not write a lease that is already expired
+  await backend.acquire({ id: "slow", ttlMs: 30000, now: Date.now() - HOUR });
+  assert.equal((await backend.acquire({ id: "fast", ttlMs: 30000, now: Date.now() + HOUR })).holder, "slow");
+});
+
+test("a stale lock is broken and a fresh one is waited for", async () => {
+  const file = leasePath();
+  const backend = createFileLeaseBackend(file);
+  fs.mkdirSync(`${file}.lock`);
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(`${file}.lock`, old, old);
+  assert.equal((await backend.acquire({ id: "a", ttlMs: 30000, now: Date.now() })).holder, "a");
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+  assert.equal(fs.existsSync(`${file}.lock-break`), false);
+
+  // Held by a live contender for a moment
+  fs.mkdirSync(`${file}.lock`);
+  setTimeout(() => fs.rmSync(`${file}.lock`, { recursive: true }), 300);
+  assert.equal((await backend.acquire({ id: "a", ttlMs: 30000, now: Date.now() })).holder, "a");
+});
+
+test("the leader steps down before its lease can expire", async (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, "now", () => now);
+  const backend = {
+    name: "memory",
+    acquire: async ({ id, ttlMs }) => ({ holder: id, expiresAt: now + ttlMs, term: 1 }),
+    release: async () => {},
+  };
+  const roles = [];
+  const election = createLeaderElection({
+    settings: { backend: "memory", ttlMs: 30000, renewIntervalMs: 10000, id: "a" },
+    backend,
+    onChange: (state) => roles.push(state.role),
+    log: () => {},
+  });
+
+  assert.equal(await election.confirm(), true);
+  // Renewals stop: still leader past the next renewal, standby well before the TTL
+  now += 19999;
+  assert.equal(election.isLeader(), true);
+  now += 1;
+  assert.equal(election.isLeader(), false);
+  assert.equal(election.status().role, "standby");
+
+  backend.acquire = async () => {
+    throw new Error("unreachable");
+  };
+  assert.equal(await election.confirm(), false);
+  assert.deepEqual(roles, ["leader", "standby"]);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openLedger, readLedger, costPerUnit } = require("../../scripts/lib/ledger");
+
+const A = "0x00000000000000000000000000000000000000aa";
+const B = "0x00000000000000000000000000000000000000bb";
+const RECIPIENT = "0x00000000000000000000000000000000000000cc";
+const UNIT = "0x00000000000000000000000000000000000000dd";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-"));
+let files = 0;
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function tempLedger() {
+  return path.join(dir, `ledger-${++files}.jsonl`);
+}
+
+const quiet = () => {};
+
+test("totals survive a reopen, amounts as bigint", () => {
+  const file = tempLedger();
+  const ledger = openLedger(file, { warn: quiet });
+  ledger.record("check", { controller: A, epochId: 7n });
+  ledger.record("receipt", { controller: A, status: 1, recipient: RECIPIENT, block: 10, cost: 10n ** 18n, gasCost: 5n });
+  ledger.record("receipt", { controller: A, status: 0, gasCost: 3n });
+
+  const totals = openLedger(file, { warn: quiet }).totals(A);
+  assert.equal(totals.checks, 1);
+  assert.equal(totals.lastEpochId, 7n);
+  assert.equal(totals.mintsExecuted, 1);
+  assert.equal(totals.txsFailed, 1);
+  assert.equal(totals.totalSpent, 10n ** 18n);
+  assert.equal(totals.totalGasCost, 8n);
+  assert.equal(totals.recipients[RECIPIENT].mines, 1);
+});
+
+test("controllers are totalled separately, whatever the address case", () => {
+  const ledger = openLedger(tempLedger(), { warn: quiet });
+  ledger.record("check", { controller: A.toUpperCase().replace("0X", "0x") });
+  ledger.record("check", { controller: B });
+  assert.equal(ledger.totals(A).checks, 1);
+  assert.equal(ledger.totals(B).checks, 1);
+});
+
+test("a payout is credited to the controller whose mine held the epoch", () => {
+  const ledger = openLedger(tempLedger(), { warn: quiet });
+  ledger.record("receipt", { controller: A, status: 1, recipient: RECIPIENT, block: 10, cost: 1n });
+  assert.deepEqual(ledger.totals(A).heldEpoch, { recipient: RECIPIENT, block: 10 });
+  assert.equal(ledger.totals(B).heldEpoch, null);
+
+  ledger.record("units", { controller: A, token: UNIT, recipient: RECIPIENT, amount: 400n, block: 12 });
+  const a = ledger.totals(A);
+  assert.equal(a.totalUnitsReceived, 400n);
+  assert.equal(a.recipients[RECIPIENT].unitsReceived, 400n);
+  assert.equal(a.heldEpoch, null);
+  assert.equal(ledger.totals(B).totalUnitsReceived, 0n);
+});
+
+test("a failed mine keeps the epoch held by the previous one", () => {
+  const ledger = openLedger(tempLedger(), { warn: quiet });
+  ledger.record("receipt", { controller: A, status: 1, recipient: RECIPIENT, block: 10 });
+  ledger.record("receipt", { controller: A, status: 0, recipient: B, block: 11 });
+  assert.deepEqual(ledger.totals(A).heldEpoch, { recipient: RECIPIENT, block: 10 });
+});
+
+test("a torn last line is skipped and terminated, other bad lines are reported", () => {
+  const file = tempLedger();
+  fs.writeFileSync(file, [
+    JSON.stringify({ type: "check", controller: A }),
+    "not json",
+    JSON.stringify({ type: "check", controller: A }),
+    '{"type":"check","contr',
+  ].join("\n"));
+  const warnings = [];
+  const ledger = openLedger(file, { warn: (message) => warnings.push(message) });
+  assert.equal(ledger.totals(A).checks, 2);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /line 2/);
+
+  ledger.record("check", { controller: A });
+  assert.equal(openLedger(file, { warn: quiet }).totals(A).checks, 3);
+});
+
+test("readLedger leaves the file untouched", () => {
+  const file = tempLedger();
+  const content = JSON.stringify({ type: "check", controller: A }) + "\n" + '{"type":"che';
+  fs.writeFileSync(file, content);
+  assert.equal(readLedger(file, { warn: quiet }).totals(A).checks, 1);
+  assert.equal(fs.readFileSync(file, "utf8"), content);
+});
+
+test("costPerUnit divides spend by whole units received", () => {
+  const ledger = openLedger(tempLedger(), { warn: quiet });
+  assert.equal(costPerUnit(ledger.totals(A)), null);
+  ledger.record("receipt", { controller: A, status: 1, recipient: RECIPIENT, block: 10, cost: 10n ** 18n });
+  ledger.record("units", { controller: A, token: UNIT, recipient: RECIPIENT, amount: 4n * 10n ** 18n, block: 11 });
+  assert.equal(costPerUnit(ledger.totals(A)), 25n * 10n ** 16n);
+  assert.equal(costPerUnit(ledger.totals(A), 6), 25n * 10n ** 4n);
+});
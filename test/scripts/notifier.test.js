@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createNotifier, notifySettingsFromEnv } = require("../../scripts/lib/notifier");
+
+const settings = (fields = {}) => ({
+  ...notifySettingsFromEnv({ NOTIFY_WEBHOOK_URL: "https://hooks.test/alerts" }),
+  ...fields,
+});
+
+const alert = (fields = {}) => ({ type: "low_balance", severity: "warning", title: "Low balance", key: "low_balance:a", ...fields });
+
+/**
+ * Replace fetch and Date.now for one test: `posts` collects delivered bodies,
+ * `clock.now` is the current time and `clock.fail` makes every delivery fail
+ */
+function stub(t) {
+  const clock = { now: 1_000_000, fail: false };
+  const posts = [];
+  t.mock.method(Date, "now", () => clock.now);
+  t.mock.method(globalThis, "fetch", async (url, request) => {
+    if (clock.fail) return { ok: false, status: 500 };
+    posts.push(JSON.parse(request.body));
+    return { ok: true, status: 200 };
+  });
+  return { clock, posts };
+}
+
+test("without sinks nothing is sent", async (t) => {
+  const { posts } = stub(t);
+  const notifier = createNotifier({ settings: notifySettingsFromEnv({}), log: () => {} });
+  assert.equal(notifier.enabled, false);
+  assert.equal(await notifier.notify(alert()), false);
+  assert.equal(posts.length, 0);
+});
+
+test("a keyed condition is announced once per dedup window", async (t) => {
+  const { clock, posts } = stub(t);
+  const notifier = createNotifier({ settings: settings({ dedupSeconds: 60 }), log: () => {} });
+
+  assert.equal(await notifier.notify(alert()), true);
+  assert.equal(await notifier.notify(alert()), false);
+  assert.equal(await notifier.notify(alert({ key: "low_balance:b" })), true);
+
+  clock.now += 60_000;
+  assert.equal(await notifier.notify(alert()), true);
+  assert.equal(posts.length, 3);
+});
+
+test("resolve sends the all-clear only for a delivered alert", async (t) => {
+  const { posts } = stub(t);
+  const notifier = createNotifier({ settings: settings(), log: () => {} });
+
+  assert.equal(await notifier.resolve("low_balance:a", { title: "Balance restored" }), false);
+  await notifier.notify(alert());
+  assert.equal(await notifier.resolve("low_balance:a", { title: "Balance restored" }), true);
+  assert.equal(posts.at(-1).type, "recovered");
+
+  // Cleared, so the next occurrence goes out straight away
+  assert.equal(await notifier.notify(alert()), true);
+  assert.equal(posts.length, 3);
+});
+
+test("the rate limit drops events and the next one reports them", async (t) => {
+  const { clock, posts } = stub(t);
+  const notifier = createNotifier({ settings: settings({ maxPerMinute: 2 }), log: () => {} });
+  const mint = { type: "mint", severity: "success", title: "Mined" };
+
+  assert.equal(await notifier.notify(mint), true);
+  assert.equal(await notifier.notify(mint), true);
+  assert.equal(await notifier.notify(mint), false);
+  assert.equal(await notifier.notify(mint), false);
+  assert.equal(posts.length, 2);
+
+  clock.now += 60_000;
+  assert.equal(await notifier.notify(mint), true);
+  assert.equal(posts.at(-1).suppressed, 2);
+});
+
+test("a keyed alert dropped by the rate limit is retried and not resolved", async (t) => {
+  const { clock, posts } = stub(t);
+  const notifier = createNotifier({ settings: settings({ maxPerMinute: 1 }), log: () => {} });
+
+  await notifier.notify({ type: "mint", severity: "success", title: "Mined" });
+  assert.equal(await notifier.notify(alert()), false);
+  assert.equal(await notifier.notify(alert({ key: "low_balance:b" })), false);
+
+  clock.now += 60_000;
+  assert.equal(await notifier.resolve("low_balance:b", { title: "Balance restored" }), false);
+  assert.equal(await notifier.notify(alert()), true);
+  assert.equal(posts.length, 2);
+  assert.equal(posts.at(-1).key, "low_balance:a");
+});
+
+test("an alert no sink received is not deduplicated", async (t) => {
+  const { clock, posts } = stub(t);
+  const notifier = createNotifier({ settings: settings(), log: () => {} });
+
+  clock.fail = true;
+  assert.equal(await notifier.notify(alert()), false);
+  assert.equal(await notifier.resolve("low_balance:a", { title: "Balance restored" }), false);
+
+  clock.fail = false;
+  assert.equal(await notifier.notify(alert()), true);
+  assert.equal(posts.length, 1);
+});
+
+test("NOTIFY_EVENTS limits the event types", async (t) => {
+  const { posts } = stub(t);
+  const notifier = createNotifier({
+    settings: notifySettingsFromEnv({ NOTIFY_WEBHOOK_URL: "https://hooks.test/alerts", NOTIFY_EVENTS: "mint, tx_failed" }),
+    log: () => {},
+  });
+
+  assert.equal(await notifier.notify(alert()), false);
+  assert.equal(await notifier.notify({ type: "tx_failed", severity: "critical", title: "Failed" }), true);
+  assert.equal(posts.length, 1);
+});
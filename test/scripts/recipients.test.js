@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRecipients, recipientProblems, createRecipientPolicy } = require("../../scripts/lib/recipients");
+
+const A = "0x000000000000000000000000000000000000000A";
+const B = "0x000000000000000000000000000000000000000b";
+const C = "0x000000000000000000000000000000000000000C";
+
+// Ledger totals with per-recipient history: { address: [mines, unitsReceived] }
+const totalsWith = (history = {}, lastRecipient = null) => () => ({
+  lastRecipient,
+  recipients: Object.fromEntries(Object.entries(history).map(([address, [mines, unitsReceived]]) =>
+    [address.toLowerCase(), { address, mines, spent: 0n, unitsReceived }])),
+});
+
+test("parseRecipients reads env lists and controllers-file arrays", () => {
+  assert.deepEqual(parseRecipients(` ${A}:2, ${B} ,`), [{ address: A, weight: 2 }, { address: B, weight: 1 }]);
+  assert.deepEqual(parseRecipients([A, { address: B, weight: "0.5" }, { address: C }]), [
+    { address: A, weight: 1 },
+    { address: B, weight: 0.5 },
+    { address: C, weight: 1 },
+  ]);
+});
+
+test("recipientProblems checks the policy, weights and duplicates", () => {
+  assert.deepEqual(recipientProblems("weighted", parseRecipients(`${A}:2,${B}:0.001`)), []);
+  assert.match(recipientProblems("random", parseRecipients(A))[0], /policy: expected one of/);
+  assert.match(recipientProblems("fixed", parseRecipients(`${A},${B}`))[0], /fixed policy mines for one recipient/);
+  assert.match(recipientProblems("weighted", parseRecipients(`${A}:0`))[0], /weight must be a positive number/);
+  assert.match(recipientProblems("weighted", parseRecipients(`${A}:abc`))[0], /weight must be a positive number/);
+  assert.match(recipientProblems("weighted", [{ address: A, weight: Infinity }])[0], /weight must be a positive number/);
+  assert.match(recipientProblems("round-robin", parseRecipients(`${A},${A.toLowerCase()}`))[0], /listed twice/);
+});
+
+test("recipientProblems rejects weights that round to zero at three decimals", () => {
+  const [problem] = recipientProblems("least-received", parseRecipients(`${A},${B}:0.0004`));
+  assert.match(problem, /weight must be at least 0\.001 \(got 0\.0004\)/);
+  assert.deepEqual(recipientProblems("least-received", parseRecipients(`${A},${B}:0.0005`)), []);
+});
+
+test("fixed and single-recipient policies always pick the first recipient", () => {
+  const fixed = createRecipientPolicy({ policy: "fixed", recipients: parseRecipients(A), totals: totalsWith() });
+  assert.deepEqual(fixed.pick(), { address: A, reason: "fixed" });
+  const single = createRecipientPolicy({ policy: "least-received", recipients: parseRecipients(A), totals: totalsWith() });
+  assert.equal(single.pick({ holder: A }).address, A);
+});
+
+test("round-robin continues after the last recipient from the ledger", () => {
+  const recipients = parseRecipients(`${A},${B},${C}`);
+  const pick = (last) => createRecipientPolicy({ policy: "round-robin", recipients, totals: totalsWith({}, last) }).pick();
+  assert.deepEqual(pick(null), { address: A, reason: "round-robin 1/3" });
+  assert.equal(pick(B.toLowerCase()).address, C);
+  assert.equal(pick(C).address, A);
+  assert.equal(pick("0x00000000000000000000000000000000000000FF").address, A);
+});
+
+test("weighted picks in proportion to the weights", () => {
+  const recipients = parseRecipients(`${A}:3,${B}:1`);
+  const pick = (roll) => createRecipientPolicy({ policy: "weighted", recipients, totals: totalsWith(), random: () => roll }).pick();
+  assert.deepEqual(pick(0), { address: A, reason: "weighted 75%" });
+  assert.equal(pick(0.74).address, A);
+  assert.deepEqual(pick(0.75), { address: B, reason: "weighted 25%" });
+  assert.equal(pick(0.999999).address, B);
+});
+
+test("least-received picks the fewest units per unit of weight", () => {
+  const recipients = parseRecipients(`${A}:2,${B},${C}`);
+  const totals = totalsWith({ [A]: [2, 150n], [B]: [1, 100n], [C]: [1, 80n] });
+  const policy = createRecipientPolicy({ policy: "least-received", recipients, totals });
+  // A has 75 per unit of weight
+  assert.equal(policy.pick().address, A);
+  // The current holder is passed over while its payout is pending
+  assert.equal(policy.pick({ holder: A.toLowerCase() }).address, C);
+  assert.ok(policy.includes(B.toLowerCase()));
+  assert.ok(!policy.includes("0x00000000000000000000000000000000000000FF"));
+});
+
+test("least-received breaks ties on mines, then list order", () => {
+  const recipients = parseRecipients(`${A},${B},${C}`);
+  const policy = createRecipientPolicy({ policy: "least-received", recipients, totals: totalsWith({ [A]: [2, 0n], [B]: [1, 0n], [C]: [1, 0n] }) });
+  assert.equal(policy.pick().address, B);
+  const fresh = createRecipientPolicy({ policy: "least-received", recipients, totals: totalsWith() });
+  assert.equal(fresh.pick().address, A);
+});
+
+test("least-received handles the smallest accepted weight", () => {
+  const recipients = parseRecipients(`${A},${B}:0.0005`);
+  const policy = createRecipientPolicy({ policy: "least-received", recipients, totals: totalsWith({ [A]: [1, 10n ** 18n], [B]: [1, 10n ** 15n] }) });
+  assert.equal(policy.pick().address, A);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { priceAt, predictPriceCrossTime, planNextCheck, schedulerFromEnv } = require("../../scripts/lib/scheduler");
+
+// 1.0 decaying to zero over an hour from t = 1000
+const curve = { initPrice: 10n ** 18n, startTime: 1000n, period: 3600n, valid: true };
+const settings = { maxSleepSeconds: 600, leadSeconds: 4, blockTimeSeconds: 2, defaultEpochPeriod: 3600 };
+
+// Mining status far from every condition unless overridden
+const status = (fields = {}) => ({
+  isEnabled: true,
+  priceConditionMet: false,
+  nextMintTime: 0n,
+  nextTimeBasedMintTime: 100000n,
+  ...fields,
+});
+
+test("priceAt decays linearly and stays within the curve", () => {
+  assert.equal(priceAt(curve, 900n), curve.initPrice);
+  assert.equal(priceAt(curve, 1000n), curve.initPrice);
+  assert.equal(priceAt(curve, 2800n), curve.initPrice / 2n);
+  assert.equal(priceAt(curve, 4600n), 0n);
+  assert.equal(priceAt(curve, 10000n), 0n);
+});
+
+test("predictPriceCrossTime is the first second at or below the max price", () => {
+  const maxPrice = curve.initPrice / 4n;
+  const at = predictPriceCrossTime(curve, maxPrice);
+  assert.equal(at, 3700n);
+  assert.ok(priceAt(curve, at) <= maxPrice);
+  assert.ok(priceAt(curve, at - 1n) > maxPrice);
+
+  // Rounds up when the crossing falls between seconds
+  const odd = predictPriceCrossTime(curve, curve.initPrice / 3n);
+  assert.ok(priceAt(curve, odd) <= curve.initPrice / 3n);
+  assert.ok(priceAt(curve, odd - 1n) > curve.initPrice / 3n);
+});
+
+test("predictPriceCrossTime handles a cheap start and an unusable model", () => {
+  assert.equal(predictPriceCrossTime(curve, curve.initPrice), curve.startTime);
+  assert.equal(predictPriceCrossTime({ ...curve, valid: false }, 1n), null);
+});
+
+test("sleeps until shortly before the price crosses the max", () => {
+  const plan = planNextCheck({ now: 3500n, status: status(), maxMiningPrice: curve.initPrice / 4n, curve, pollInterval: 60000, settings });
+  assert.equal(plan.targetTime, 3700n);
+  assert.equal(plan.delayMs, (200 - 4) * 1000);
+  assert.equal(plan.watchBlocks, true);
+  assert.equal(plan.reason, "price crosses max");
+});
+
+test("never sleeps longer than the maximum", () => {
+  const plan = planNextCheck({ now: 1000n, status: status(), maxMiningPrice: curve.initPrice / 4n, curve, pollInterval: 60000, settings });
+  assert.equal(plan.delayMs, 600000);
+  assert.equal(plan.watchBlocks, false);
+});
+
+test("the cooldown wins over an earlier condition", () => {
+  const plan = planNextCheck({ now: 3500n, status: status({ priceConditionMet: true, nextMintTime: 3800n }), maxMiningPrice: 0n, curve, pollInterval: 60000, settings });
+  assert.equal(plan.targetTime, 3800n);
+  assert.equal(plan.reason, "cooldown expires");
+});
+
+test("the time-based period wins when it comes first", () => {
+  const plan = planNextCheck({ now: 3500n, status: status({ nextTimeBasedMintTime: 3600n }), maxMiningPrice: curve.initPrice / 4n, curve, pollInterval: 60000, settings });
+  assert.equal(plan.targetTime, 3600n);
+  assert.equal(plan.reason, "time-based period elapses");
+});
+
+test("polls when already actionable, and when mining is disabled waits the maximum", () => {
+  const ready = planNextCheck({ now: 3500n, status: status({ priceConditionMet: true }), maxMiningPrice: 0n, curve, pollInterval: 60000, settings });
+  assert.deepEqual(ready, { delayMs: 60000, targetTime: null, watchBlocks: false, reason: "price below max (retry)" });
+
+  const disabled = planNextCheck({ now: 3500n, status: status({ isEnabled: false }), maxMiningPrice: 0n, curve, pollInterval: 60000, settings });
+  assert.equal(disabled.delayMs, 600000);
+  assert.equal(disabled.reason, "mining disabled");
+});
+
+test("without a price model it polls, no later than the target", () => {
+  const plan = planNextCheck({ now: 3500n, status: status({ nextTimeBasedMintTime: 3530n }), maxMiningPrice: 1n, curve: null, pollInterval: 60000, settings });
+  assert.equal(plan.delayMs, 30000);
+  assert.equal(plan.watchBlocks, false);
+  assert.match(plan.reason, /price model unavailable/);
+});
+
+test("schedulerFromEnv defaults", () => {
+  assert.deepEqual(schedulerFromEnv({}), { mode: "predictive", maxSleepSeconds: 600, leadSeconds: 4, blockTimeSeconds: 2, defaultEpochPeriod: 3600 });
+  assert.equal(schedulerFromEnv({ SCHEDULER: "fixed" }).mode, "fixed");
+});
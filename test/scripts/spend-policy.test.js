@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { spendPolicyFromEnv, spendPolicyProblems, hasSpendPolicy, evaluateSpendPolicy } = require("../../scripts/lib/spend-policy");
+
+const HOUR = 3600 * 1000;
+const NOON = Date.parse("2026-06-01T12:00:00Z");
+const eth = (value) => ethers.parseEther(value);
+
+// No limits unless overridden
+const policy = (fields = {}) => ({ ...spendPolicyFromEnv({}), ...fields });
+
+const evaluate = (settings, { now = NOON, price = eth("0.01"), history = [] } = {}) =>
+  evaluateSpendPolicy(settings, { now, price, quoteDecimals: 18, history, format: (v) => `${ethers.formatEther(v)} WETH` });
+
+// Mines `hoursAgo` before noon, each costing `cost`
+const mines = (cost, ...hoursAgo) => hoursAgo.map((h) => ({ time: NOON - h * HOUR, cost: eth(cost) }));
+
+test("spendPolicyFromEnv reads every limit, unset ones as null", () => {
+  assert.deepEqual(spendPolicyFromEnv({}), {
+    maxSpendPerHour: null,
+    maxSpendPerDay: null,
+    maxSpendPerWeek: null,
+    maxMinesPerDay: null,
+    priceCeiling: null,
+    windows: null,
+    blackouts: null,
+  });
+  const settings = spendPolicyFromEnv({ MAX_SPEND_PER_DAY: "0.5", MAX_MINES_PER_DAY: "12", MINING_WINDOWS: "08:00-18:00" });
+  assert.equal(settings.maxSpendPerDay, "0.5");
+  assert.equal(settings.maxMinesPerDay, 12);
+  assert.equal(settings.windows, "08:00-18:00");
+});
+
+test("hasSpendPolicy is false until a limit is set", () => {
+  assert.equal(hasSpendPolicy(null), false);
+  assert.equal(hasSpendPolicy(policy()), false);
+  assert.equal(hasSpendPolicy(policy({ windows: [] })), false);
+  assert.equal(hasSpendPolicy(policy({ priceCeiling: "0.01" })), true);
+  assert.equal(hasSpendPolicy(policy({ blackouts: ["12:00-13:00"] })), true);
+});
+
+test("spendPolicyProblems names environment variables or file keys", () => {
+  assert.deepEqual(spendPolicyProblems(policy({ maxSpendPerDay: "0.5", windows: "08:00-12:00,22:00-02:00", blackouts: "2026-12-24T00:00Z/2026-12-27T00:00Z" })), []);
+  assert.deepEqual(spendPolicyProblems(policy({ maxSpendPerDay: "half", maxMinesPerDay: 0, windows: "8-18", blackouts: "13:00-12:00,12:00-12:00" })), [
+    'MAX_SPEND_PER_DAY: expected an amount in quote tokens like 0.05 (got "half")',
+    'MAX_MINES_PER_DAY: expected a whole number of at least 1 (got "0")',
+    'MINING_WINDOWS: expected UTC ranges like 08:00-18:00 (got "8-18")',
+    'MINING_BLACKOUTS: expected UTC ranges like 12:00-13:00 or 2026-12-24T00:00Z/2026-12-27T00:00Z (got "12:00-12:00")',
+  ]);
+  assert.deepEqual(spendPolicyProblems({ priceCeiling: "-1", maxSpendPerYear: "1" }, 'controller "a"'), [
+    'controller "a" spendPolicy: unknown setting "maxSpendPerYear" (expected maxSpendPerHour, maxSpendPerDay, maxSpendPerWeek, maxMinesPerDay, priceCeiling, windows, blackouts)',
+    'controller "a" spendPolicy.priceCeiling: expected an amount in quote tokens like 0.05 (got "-1")',
+  ]);
+  // An absolute blackout must end after it starts
+  assert.equal(spendPolicyProblems(policy({ blackouts: ["2026-12-27T00:00Z/2026-12-24T00:00Z"] })).length, 1);
+});
+
+test("without limits every mine is allowed", () => {
+  assert.deepEqual(evaluate(policy(), { history: mines("1", 0.5, 1, 2) }), { allowed: true, blocked: [], usage: { spend: [], minesToday: null } });
+});
+
+test("the price ceiling blocks any mine above it", () => {
+  assert.equal(evaluate(policy({ priceCeiling: "0.01" })).allowed, true);
+  const { allowed, blocked } = evaluate(policy({ priceCeiling: "0.01" }), { price: eth("0.011") });
+  assert.equal(allowed, false);
+  assert.deepEqual(blocked, [{ policy: "price_ceiling", reason: "price 0.011 WETH is above the 0.01 WETH ceiling" }]);
+});
+
+test("spend budgets count the mines inside each rolling window", () => {
+  const history = mines("0.02", 0.5, 3, 30, 24 * 8);
+  const settings = policy({ maxSpendPerHour: "0.03", maxSpendPerDay: "0.05", maxSpendPerWeek: "0.07" });
+
+  const result = evaluate(settings, { history });
+  assert.deepEqual(result.usage.spend.map(({ policy: id, spent }) => [id, spent]), [
+    ["max_spend_per_hour", eth("0.02")],
+    ["max_spend_per_day", eth("0.04")],
+    ["max_spend_per_week", eth("0.06")],
+  ]);
+  // Each budget is met exactly: 0.02 + 0.01, 0.04 + 0.01 and 0.06 + 0.01
+  assert.equal(result.allowed, true);
+
+  const over = evaluate(settings, { history, price: eth("0.015") });
+  assert.deepEqual(over.blocked.map((b) => b.policy), ["max_spend_per_hour", "max_spend_per_day", "max_spend_per_week"]);
+  assert.match(over.blocked[1].reason, /0\.04 WETH spent in the last 24h, this mine \(0\.015 WETH\) would pass the 0\.05 WETH budget/);
+});
+
+test("spend budgets use the quote token decimals", () => {
+  const history = [{ time: NOON - HOUR / 2, cost: 4_000_000n }];
+  const result = evaluateSpendPolicy(policy({ maxSpendPerHour: "5" }), {
+    now: NOON, price: 1_500_000n, quoteDecimals: 6, history, format: (v) => `${ethers.formatUnits(v, 6)} USDC`,
+  });
+  assert.equal(result.allowed, false);
+  assert.equal(result.usage.spend[0].limit, 5_000_000n);
+});
+
+test("maxMinesPerDay counts mines in the last 24h", () => {
+  const settings = policy({ maxMinesPerDay: 2 });
+  assert.deepEqual(evaluate(settings, { history: mines("0", 1, 25) }).usage.minesToday, { mines: 1, limit: 2 });
+  const { allowed, blocked } = evaluate(settings, { history: mines("0", 1, 23) });
+  assert.equal(allowed, false);
+  assert.deepEqual(blocked, [{ policy: "max_mines_per_day", reason: "2 mine(s) in the last 24h, the limit is 2" }]);
+});
+
+test("mining windows are UTC, end-exclusive and may wrap past midnight", () => {
+  const at = (time) => Date.parse(`2026-06-01T${time}:00Z`);
+  const day = policy({ windows: "08:00-18:00" });
+  assert.equal(evaluate(day, { now: at("08:00") }).allowed, true);
+  assert.equal(evaluate(day, { now: at("17:59") }).allowed, true);
+  const closed = evaluate(day, { now: at("18:00") });
+  assert.deepEqual(closed.blocked, [{ policy: "mining_window", reason: "outside the mining windows (08:00-18:00 UTC)" }]);
+
+  const night = policy({ windows: ["22:00-02:00", "12:00-13:00"] });
+  assert.equal(evaluate(night, { now: at("23:30") }).allowed, true);
+  assert.equal(evaluate(night, { now: at("01:59") }).allowed, true);
+  assert.equal(evaluate(night, { now: at("12:30") }).allowed, true);
+  assert.equal(evaluate(night, { now: at("02:00") }).allowed, false);
+});
+
+test("blackouts block daily ranges and fixed periods", () => {
+  const daily = evaluate(policy({ blackouts: "11:30-12:30" }));
+  assert.deepEqual(daily.blocked, [{ policy: "blackout", reason: "inside the 11:30-12:30 blackout (UTC)" }]);
+
+  const period = "2026-06-01T00:00Z/2026-06-02T00:00Z";
+  assert.deepEqual(evaluate(policy({ blackouts: [period] })).blocked, [{ policy: "blackout", reason: `inside the ${period} blackout` }]);
+  assert.equal(evaluate(policy({ blackouts: [period] }), { now: Date.parse("2026-06-02T00:00:00Z") }).allowed, true);
+});
+
+test("every broken policy is listed", () => {
+  const settings = policy({ priceCeiling: "0.005", maxMinesPerDay: 1, windows: "00:00-06:00" });
+  const { blocked } = evaluate(settings, { history: mines("0.01", 2) });
+  assert.deepEqual(blocked.map((b) => b.policy), ["price_ceiling", "max_mines_per_day", "mining_window"]);
+});